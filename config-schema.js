@@ -0,0 +1,130 @@
+// --- Config Schema ---
+// What a /save-config payload may contain, shared by the app (script.js checks a payload before
+// sending it) and the mock dispenser in test/. handleSaveConfig() in esp_code.ino applies the
+// same rules by hand, so a change here needs all three.
+//
+// Problems are { field, problem }, e.g. { field: "settings.lunch", problem: "bad-time" }. The device
+// refuses a config with problems in its settings; a compartment it can't use (an unknown ID, a bad
+// date or time) is skipped and listed under "rejected" in its reply, and the rest is applied.
+const CONFIG_SCHEMA = {
+    days: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"],
+    meals: ["Breakfast", "Lunch", "Dinner"],
+    sides: ["Before", "After"],
+    mealKeys: ["breakfast", "lunch", "dinner"], // Meal time keys in "settings" and each "dayTimes" entry
+    doseRules: { // Whole minutes, inclusive; a rule left out keeps the device's current value
+        windowPreMin: { min: 0, max: 120 },
+        windowPostMin: { min: 1, max: 240 },
+        remindEveryMin: { min: 0, max: 120 },
+        lateGraceMin: { min: 0, max: 720 }
+    },
+    time: /^([01]\d|2[0-3]):[0-5]\d$/, // "08:00", 24-hour
+    date: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/ // "2025-01-09"
+};
+
+// "Monday-Lunch-Before" -> { day: 0, slot: 2 }; null for anything that isn't one of the 42 compartments
+function slotIndexes(id) {
+    const parts = typeof id === 'string' ? id.split('-') : [];
+    const day = CONFIG_SCHEMA.days.indexOf(parts[0]);
+    const meal = CONFIG_SCHEMA.meals.indexOf(parts[1]);
+    const side = CONFIG_SCHEMA.sides.indexOf(parts[2]);
+    if (parts.length !== 3 || day < 0 || meal < 0 || side < 0) return null;
+    return { day: day, slot: meal * 2 + side };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Settings problems only: the ones the device refuses the whole config for
+function settingsProblems(payload) {
+    const problems = [];
+    const add = (field, problem) => problems.push({ field: field, problem: problem });
+    const settings = isPlainObject(payload) ? payload.settings : undefined;
+    if (!isPlainObject(settings)) {
+        add("settings", "missing");
+        return problems;
+    }
+    CONFIG_SCHEMA.mealKeys.forEach(key => {
+        if (settings[key] === undefined || settings[key] === "") add(`settings.${key}`, "missing");
+        else if (!CONFIG_SCHEMA.time.test(settings[key])) add(`settings.${key}`, "bad-time");
+    });
+    Object.entries(CONFIG_SCHEMA.doseRules).forEach(([key, range]) => {
+        if (settings[key] === undefined) return;
+        if (!Number.isInteger(settings[key]) || settings[key] < range.min || settings[key] > range.max) add(`settings.${key}`, "out-of-range");
+    });
+    if (settings.dayTimes !== undefined && !isPlainObject(settings.dayTimes)) add("settings.dayTimes", "not-object");
+    Object.entries(isPlainObject(settings.dayTimes) ? settings.dayTimes : {}).forEach(([day, times]) => {
+        if (!CONFIG_SCHEMA.days.includes(day)) return add(`settings.dayTimes.${day}`, "unknown-day");
+        if (!isPlainObject(times)) return add(`settings.dayTimes.${day}`, "not-object");
+        Object.entries(times).forEach(([key, time]) => {
+            if (!CONFIG_SCHEMA.mealKeys.includes(key)) add(`settings.dayTimes.${day}.${key}`, "unknown-meal");
+            else if (!CONFIG_SCHEMA.time.test(time)) add(`settings.dayTimes.${day}.${key}`, "bad-time");
+        });
+    });
+    return problems;
+}
+
+// Every problem with a payload, [] when it can be sent as it is
+function validateConfigPayload(payload) {
+    const problems = settingsProblems(payload);
+    if (!isPlainObject(payload)) return problems;
+    const add = (field, problem) => problems.push({ field: field, problem: problem });
+    const settings = isPlainObject(payload.settings) ? payload.settings : {};
+
+    if (settings.slotTimes !== undefined && !isPlainObject(settings.slotTimes)) add("settings.slotTimes", "not-object");
+    Object.entries(isPlainObject(settings.slotTimes) ? settings.slotTimes : {}).forEach(([id, time]) => {
+        if (!slotIndexes(id)) add(`settings.slotTimes.${id}`, "unknown-slot");
+        else if (!CONFIG_SCHEMA.time.test(time)) add(`settings.slotTimes.${id}`, "bad-time");
+    });
+    if (!Array.isArray(payload.schedule)) add("schedule", "not-list");
+    else payload.schedule.forEach((id, i) => { if (!slotIndexes(id)) add(`schedule[${i}]`, "unknown-slot"); });
+    Object.entries(isPlainObject(payload.slotDates) ? payload.slotDates : {}).forEach(([id, date]) => {
+        if (!slotIndexes(id)) add(`slotDates.${id}`, "unknown-slot");
+        else if (!CONFIG_SCHEMA.date.test(date)) add(`slotDates.${id}`, "bad-date");
+    });
+    Object.entries(isPlainObject(payload.assignments) ? payload.assignments : {}).forEach(([id, meds]) => {
+        if (!slotIndexes(id)) add(`assignments.${id}`, "unknown-slot");
+        else if (!Array.isArray(meds)) add(`assignments.${id}`, "not-list");
+    });
+    if (payload.weekOf !== undefined && payload.weekOf !== "" && !CONFIG_SCHEMA.date.test(payload.weekOf)) add("weekOf", "bad-date");
+    if (payload.revision !== undefined && !(Number.isInteger(payload.revision) && payload.revision > 0)) add("revision", "out-of-range");
+    return problems;
+}
+
+// What the device runs for a config, in its acknowledgement's "accepted" shape:
+// { "Monday-Lunch-Before": "08:00", "Thursday-Dinner-After": "20:00@2025-01-09" }, in day/slot order.
+// Takes a payload or a /get-config reply (same fields); unusable entries are left out, as the device does.
+function expectedSlots(config) {
+    const settings = isPlainObject(config.settings) ? config.settings : {};
+    const dayTimes = isPlainObject(settings.dayTimes) ? settings.dayTimes : {};
+    const slotTimes = isPlainObject(settings.slotTimes) ? settings.slotTimes : {};
+    const dates = isPlainObject(config.slotDates) ? config.slotDates : {};
+    const valid = (time) => typeof time === 'string' && CONFIG_SCHEMA.time.test(time) ? time : undefined;
+    const active = new Set((Array.isArray(config.schedule) ? config.schedule : []).filter(slotIndexes));
+    const slots = {};
+    CONFIG_SCHEMA.days.forEach(day => CONFIG_SCHEMA.meals.forEach((meal, m) => CONFIG_SCHEMA.sides.forEach(side => {
+        const id = `${day}-${meal}-${side}`;
+        if (!active.has(id)) return;
+        const key = CONFIG_SCHEMA.mealKeys[m];
+        const time = valid(slotTimes[id]) || valid((isPlainObject(dayTimes[day]) ? dayTimes[day] : {})[key]) || valid(settings[key]) || "";
+        slots[id] = time + (typeof dates[id] === 'string' && CONFIG_SCHEMA.date.test(dates[id]) ? `@${dates[id]}` : "");
+    })));
+    return slots;
+}
+
+// FNV-1a (32-bit, hex) over "<id>=<time>;" for each slot in day/slot order, then
+// "rules=<pre>,<post>,<remind>,<grace>": configChecksum() in esp_code.ino hashes the same text
+function configChecksum(slots, rules) {
+    const text = Object.keys(slots).map(id => `${id}=${slots[id]};`).join('')
+        + `rules=${rules.windowPreMin},${rules.windowPostMin},${rules.remindEveryMin},${rules.lateGraceMin}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i) & 0xff;
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { CONFIG_SCHEMA, slotIndexes, settingsProblems, validateConfigPayload, expectedSlots, configChecksum };
+}
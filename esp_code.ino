@@ -17,6 +17,12 @@
 #include <WiFi.h>
 #include <WebServer.h>
 #include <ArduinoJson.h> // Make sure to add this library in Wokwi
+#include <Preferences.h>
+#include "mbedtls/md.h"
+#include <esp_wifi.h>
+#include "esp_timer.h"
+
+const char *FIRMWARE_VERSION = "4.1.0"; // Reported by /diagnostics
 
 // --- NETWORK CONFIG ---
 // For Wokwi Simulation:
@@ -29,6 +35,36 @@ const char* AP_PASS = "12345678";
 
 WebServer server(80);
 
+// --- AUTH CONFIG ---
+// The PIN is kept in NVS as SHA-256(salt + PIN); the default only applies until it is first changed
+const char* DEFAULT_PIN = "1234";
+const int MAX_SESSIONS = 4;                          // One per caregiver phone
+const unsigned long SESSION_TTL_MS = 12UL * 3600000; // Tokens expire after 12h
+const int MAX_FREE_ATTEMPTS = 5;                     // Wrong PINs allowed before lockout kicks in
+const unsigned long LOCKOUT_BASE_MS = 30000;         // Doubles with each further wrong PIN
+const unsigned long LOCKOUT_MAX_MS = 15UL * 60000;
+
+Preferences prefs;
+
+struct Session {
+  char token[33];
+  unsigned long issuedAt;
+};
+Session sessions[MAX_SESSIONS];
+int nextSession = 0;
+int failedAttempts = 0;
+unsigned long lockoutUntil = 0;
+
+// --- LIVE EVENTS ---
+// Server-Sent Events on a second port. WebServer closes every connection once it has answered,
+// so the open streams live here and logEvent(), checkSchedules() and /save-config write to them.
+const uint16_t EVENTS_PORT = 81;
+const unsigned long EVENT_PING_MS = 15000; // Comment line that lets both ends notice a dead stream
+WiFiServer eventServer(EVENTS_PORT);
+WiFiClient eventClients[MAX_SESSIONS];
+int nextEventClient = 0;
+unsigned long lastEventPing = 0;
+
 // --- HARDWARE CONFIG ---
 #define FAST_TEST_MODE false // Set to FALSE for real usage
 
@@ -49,6 +85,12 @@ Adafruit_ILI9341 tft = Adafruit_ILI9341(TFT_CS, TFT_DC, TFT_RST);
 Adafruit_FT6206 touch = Adafruit_FT6206();
 RTC_DS1307 rtc;
 
+// The RTC keeps local time; utcOffsetMin (set by the app via /set-time) records which zone that is
+Preferences clockPrefs;
+int utcOffsetMin = 0;
+bool clockLostPower = false; // RTC had stopped at boot and was reset to the build time
+const long MIN_VALID_EPOCH = 1577836800L; // 2020-01-01; anything earlier is a clock that was never set
+
 // Pin mapping
 const int PIN_STEP = 25;
 const int PIN_DIR  = 26;
@@ -70,14 +112,66 @@ bool wifiConnected = false;
 const int STEPS_PER_REV = 200;
 const int POSITIONS = 22;
 const int STEPS_PER_POSITION = (int)round(STEPS_PER_REV / (float)POSITIONS);
-const long DOSE_WINDOW_PRE_SEC  = 0;
-const long DOSE_WINDOW_POST_SEC = 30*60;
+// Dose rules: defaults until the app pushes its own via /save-config "settings"
+long doseWindowPreSec  = 0;        // Alarm may start this long before the scheduled time
+long doseWindowPostSec = 30*60;    // On-time window after the scheduled time
+long remindEverySec    = 0;        // 0 = buzz for the whole window, else re-buzz on this interval
+long lateGraceSec      = 0;        // After the window, still dispense (logged LATE) for this long
+const unsigned long REMINDER_BUZZ_MS = 60000; // How long each reminder buzz lasts
 const int SERVO_MIN_ANGLE = 0;
 const int SERVO_MAX_ANGLE = 90;
 const int FLAP_OPEN_MS = 800;
+const int HOME_INDEX = 21;      // Carousel position the wheel parks at between days
+const int MAX_REASON_LEN = 80;  // Longest reason kept with a remote control action in the log
 
 const char *LOG_FILE = "/med_log.txt";
 
+// Log rotation. Once LOG_FILE passes LOG_MAX_BYTES its front is trimmed, but only up to the lowest
+// offset the phones syncing it have confirmed they stored (POST /ack-logs), and never below the last
+// LOG_KEEP_BYTES. /get-logs offsets count from the first line ever written: logBase is how much has
+// been trimmed off, so saved cursors stay valid.
+const char *LOG_TMP_FILE = "/med_log.tmp";
+const long LOG_MAX_BYTES = 128L * 1024;
+const long LOG_KEEP_BYTES = 64L * 1024;
+Preferences logPrefs;
+long logBase = 0;              // Bytes trimmed off the front so far, kept in flash
+unsigned long logDropped = 0;  // Lines that couldn't be written since boot (SPIFFS full)
+
+// Phones that confirm log lines, by the id the app sends with each acknowledgement, kept in flash.
+// One that hasn't confirmed anything for LOG_READER_EXPIRE_S (reset, or handed on) is dropped, so it
+// doesn't hold the log back for good; if it comes back, /get-logs restarts it at logBase.
+const int MAX_LOG_READERS = 4;
+const uint32_t LOG_READER_EXPIRE_S = 30UL * 86400;
+struct LogReader {
+  char id[33];    // The app's phone id; "" for an app that doesn't send one
+  long acked;     // Furthest offset this phone has stored
+  uint32_t seen;  // RTC time of its last acknowledgement
+};
+LogReader logReaders[MAX_LOG_READERS];
+int logReaderCount = 0;
+
+// Names used in the app's segment IDs, e.g. "Monday-Lunch-Before"
+const char *DAY_NAMES[7] = {"Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"};
+const char *MEAL_NAMES[3] = {"Breakfast", "Lunch", "Dinner"};
+const char *MEAL_KEYS[3] = {"breakfast", "lunch", "dinner"}; // Keys in the app's "settings" object
+
+// Default meal times; days and single slots may override them (each SlotState keeps its own time)
+int mealHour[3] = {8, 13, 20};
+int mealMinute[3] = {0, 0, 0};
+
+// Accepted dose rule ranges in minutes, as CONFIG_SCHEMA.doseRules in config-schema.js
+const char *RULE_KEYS[4] = {"windowPreMin", "windowPostMin", "remindEveryMin", "lateGraceMin"};
+const int RULE_MIN[4] = {0, 1, 0, 0};
+const int RULE_MAX[4] = {120, 240, 120, 720};
+
+// Bumped by every /save-config since boot; 0 = the schedule hasn't been set since power-up
+unsigned long configVersion = 0;
+
+// Revision of the running config, kept in flash: it only ever goes up, so a phone editing an older
+// revision than this one is missing changes saved from elsewhere (see handleSaveConfig)
+Preferences configPrefs;
+unsigned long configRevision = 0;
+
 // Data Model
 struct SlotState {
   uint8_t hour;
@@ -85,31 +179,206 @@ struct SlotState {
   bool active;
   bool dispensed;
   bool missed;
+  uint8_t stock;  // STOCK_EMPTY / STOCK_LOADED / STOCK_DISPENSED; unlike the flags above it survives the daily reset
+  char meds[64]; // Medications loaded in this compartment, e.g. "Metformin 500mg x2; Aspirin 75mg"
+  char date[11];  // "2025-01-09": a course dose for that date only (slotDates); "" = every week
 };
 
+// Compartment inventory. The caregiver marks compartments loaded during the weekly refill,
+// a dispense empties them, and a new week turns "dispensed" back into "empty" (needs refilling).
+const uint8_t STOCK_EMPTY = 0;
+const uint8_t STOCK_LOADED = 1;
+const uint8_t STOCK_DISPENSED = 2;
+const char *STOCK_NAMES[3] = {"empty", "loaded", "dispensed"};
+Preferences stockPrefs;
+long lastWeek = -1; // Weeks since the epoch, counted from Monday
+
 // 7 Days, 6 Slots (0=Bk-Before, 1=Bk-After, 2=Ln-Before, 3=Ln-After, 4=Dn-Before, 5=Dn-After)
 SlotState schedule7[7][6];
+char configWeekOf[11] = ""; // Monday ("2025-01-06") of the week the last saved config was worked out for
 int currentIndex = 0;
 int lastDate = -1;
 
+// Dose that is alarming right now (-1 when idle); /silence stops the buzzer for it
+int alertDay = -1;
+int alertSlot = -1;
+bool alarmSilenced = false;
+
 // --- UTILITY FUNCTIONS ---
 
 void appendLog(const String &line) {
   File f = SPIFFS.open(LOG_FILE, FILE_APPEND);
-  if (f) {
-    f.println(line);
-    f.close();
+  // A full SPIFFS fails the write; counted so /diagnostics shows it rather than logging stopping silently
+  if (!f || f.println(line) < line.length() + 2) logDropped++;
+  if (f) f.close();
+}
+
+long logFileSize() {
+  File f = SPIFFS.open(LOG_FILE, "r");
+  if (!f) return 0;
+  long size = f.size();
+  f.close();
+  return size;
+}
+
+void saveLogReaders() {
+  if (logReaderCount == 0) logPrefs.remove("readers");
+  else logPrefs.putBytes("readers", logReaders, logReaderCount * sizeof(LogReader));
+}
+
+void loadLogReaders() {
+  size_t len = logPrefs.getBytesLength("readers");
+  if (len == 0 || len % sizeof(LogReader) != 0 || len > sizeof(logReaders)) return;
+  logPrefs.getBytes("readers", logReaders, len);
+  logReaderCount = len / sizeof(LogReader);
+}
+
+// Drops the phones not seen for LOG_READER_EXPIRE_S (see Log rotation). A clock set back since
+// keeps them: "seen" in the future isn't stale.
+void expireLogReaders(uint32_t now) {
+  int kept = 0;
+  for (int i = 0; i < logReaderCount; i++) {
+    if (now > logReaders[i].seen && now - logReaders[i].seen > LOG_READER_EXPIRE_S) {
+      Serial.printf("Log reader %s expired at offset %ld\n", logReaders[i].id, logReaders[i].acked);
+      continue;
+    }
+    logReaders[kept++] = logReaders[i];
+  }
+  if (kept == logReaderCount) return;
+  logReaderCount = kept;
+  saveLogReaders();
+}
+
+// The phone's entry; with add, a new phone gets one, taking the place of the phone seen longest ago
+// when the table is full
+LogReader *findLogReader(const char *id, bool add) {
+  for (int i = 0; i < logReaderCount; i++) {
+    if (strcmp(logReaders[i].id, id) == 0) return &logReaders[i];
+  }
+  if (!add) return nullptr;
+  int slot = logReaderCount;
+  if (slot == MAX_LOG_READERS) {
+    slot = 0;
+    for (int i = 1; i < logReaderCount; i++) {
+      if (logReaders[i].seen < logReaders[slot].seen) slot = i;
+    }
+  } else {
+    logReaderCount++;
   }
+  strlcpy(logReaders[slot].id, id, sizeof(logReaders[slot].id));
+  logReaders[slot].acked = logBase;
+  logReaders[slot].seen = 0;
+  return &logReaders[slot];
+}
+
+// How far every phone has stored the log: the most trimLogIfNeeded() may cut to
+long logAckedByAll() {
+  if (logReaderCount == 0) return logBase;
+  long lowest = logReaders[0].acked;
+  for (int i = 1; i < logReaderCount; i++) lowest = min(lowest, logReaders[i].acked);
+  return lowest;
+}
+
+// Drops confirmed lines from the front of the log once it passes LOG_MAX_BYTES (see Log rotation).
+// The tail is copied to LOG_TMP_FILE, and the new logBase noted in flash ("next_base") before the
+// swap, so recoverLogTrim() can tell how far a power cut got: offsets never point into the wrong file.
+void trimLogIfNeeded() {
+  long size = logFileSize();
+  if (size <= LOG_MAX_BYTES) return;
+  long acked = logAckedByAll() - logBase;
+  long cut = min(acked, size - LOG_KEEP_BYTES);
+  if (cut <= 0) return;
+
+  File in = SPIFFS.open(LOG_FILE, "r");
+  if (!in) return;
+  if (cut < acked) {
+    // Not at a confirmed cursor: start at the next whole line (reading from the byte before the
+    // cut finds its own newline when the cut already falls on a line start)
+    in.seek(cut - 1);
+    in.readStringUntil('\n');
+    cut = in.position();
+  }
+  in.seek(cut);
+  File out = SPIFFS.open(LOG_TMP_FILE, FILE_WRITE);
+  bool copied = (bool)out;
+  uint8_t buf[512];
+  while (copied && in.available()) {
+    size_t n = in.read(buf, sizeof(buf));
+    copied = out.write(buf, n) == n;
+  }
+  in.close();
+  if (out) out.close();
+  if (!copied) {
+    SPIFFS.remove(LOG_TMP_FILE); // No room for the copy; the next acknowledgement tries again
+    return;
+  }
+
+  logPrefs.putLong("next_base", logBase + cut);
+  SPIFFS.remove(LOG_FILE);
+  SPIFFS.rename(LOG_TMP_FILE, LOG_FILE);
+  logBase += cut;
+  logPrefs.putLong("base", logBase);
+  logPrefs.remove("next_base");
+  Serial.printf("Log trimmed by %ld bytes, now starts at offset %ld\n", cut, logBase);
 }
 
-void logEvent(const DateTime &t, int day, int slot, const char *ev) {
-  char buf[120];
-  // CSV Format: YYYY-MM-DD HH:MM:SS,day,slot,Event
+// After a power cut during trimLogIfNeeded(), once logBase is loaded. Without "next_base" the swap
+// hadn't started, so a copy left over is dropped; with it the copy is complete, so the swap is
+// finished from wherever it stopped and logBase moved on to match the trimmed file.
+void recoverLogTrim() {
+  long nextBase = logPrefs.getLong("next_base", -1);
+  if (nextBase < 0) {
+    if (SPIFFS.exists(LOG_TMP_FILE)) SPIFFS.remove(LOG_TMP_FILE);
+    return;
+  }
+  if (SPIFFS.exists(LOG_TMP_FILE)) {
+    SPIFFS.remove(LOG_FILE);
+    SPIFFS.rename(LOG_TMP_FILE, LOG_FILE);
+  }
+  logBase = nextBase;
+  logPrefs.putLong("base", logBase);
+  logPrefs.remove("next_base");
+  Serial.printf("Finished an interrupted log trim, log starts at offset %ld\n", logBase);
+}
+
+void logEvent(const DateTime &t, int day, int slot, const char *ev, const char *reason = "") {
+  char buf[256];
+  // CSV Format: YYYY-MM-DD HH:MM:SS,day,slot,Event[,Medications[,Reason]]
+  // day/slot are -1 for actions that aren't about one compartment (e.g. HOMED)
   sprintf(buf, "%04d-%02d-%02d %02d:%02d:%02d,%d,%d,%s", 
           t.year(), t.month(), t.day(), t.hour(), t.minute(), t.second(), 
           day, slot, ev);
+  const char *meds = (day >= 0 && slot >= 0) ? schedule7[day][slot].meds : "";
+  if (meds[0] != '\0' || reason[0] != '\0') {
+    strcat(buf, ",");
+    strcat(buf, meds);
+  }
+  if (reason[0] != '\0') {
+    strcat(buf, ",");
+    strcat(buf, reason);
+  }
   Serial.println(buf);
   appendLog(String(buf));
+  broadcastEvent("log", String(buf));
+}
+
+// Inventory is kept in flash so a power cut doesn't forget what is loaded
+void saveStock() {
+  uint8_t stock[42];
+  for (int d=0; d<7; d++) for (int s=0; s<6; s++) stock[d * 6 + s] = schedule7[d][s].stock;
+  stockPrefs.putBytes("stock", stock, sizeof(stock));
+}
+
+void loadStock() {
+  uint8_t stock[42] = {0};
+  stockPrefs.getBytes("stock", stock, sizeof(stock));
+  for (int d=0; d<7; d++) for (int s=0; s<6; s++) schedule7[d][s].stock = stock[d * 6 + s] <= STOCK_DISPENSED ? stock[d * 6 + s] : STOCK_EMPTY;
+  lastWeek = stockPrefs.getLong("week", -1);
+}
+
+// 1970-01-01 was a Thursday; shifting by 3 days makes each week start on Monday
+long weekNumber(const DateTime &t) {
+  return ((long)(t.unixtime() / 86400L) + 3) / 7;
 }
 
 // --- WEB SERVER FUNCTIONS ---
@@ -117,39 +386,555 @@ void logEvent(const DateTime &t, int day, int slot, const char *ev) {
 void enableCORS() {
   server.sendHeader("Access-Control-Allow-Origin", "*");
   server.sendHeader("Access-Control-Allow-Methods", "POST, GET, OPTIONS");
-  server.sendHeader("Access-Control-Allow-Headers", "Content-Type");
+  server.sendHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  server.sendHeader("Access-Control-Expose-Headers", "X-Log-Start, X-Log-Next");
+}
+
+// --- AUTH FUNCTIONS ---
+
+String sha256Hex(const String &input) {
+  uint8_t out[32];
+  mbedtls_md_context_t ctx;
+  mbedtls_md_init(&ctx);
+  mbedtls_md_setup(&ctx, mbedtls_md_info_from_type(MBEDTLS_MD_SHA256), 0);
+  mbedtls_md_starts(&ctx);
+  mbedtls_md_update(&ctx, (const unsigned char *)input.c_str(), input.length());
+  mbedtls_md_finish(&ctx, out);
+  mbedtls_md_free(&ctx);
+
+  char hex[65];
+  for (int i = 0; i < 32; i++) sprintf(hex + i * 2, "%02x", out[i]);
+  return String(hex);
+}
+
+String randomHex(int bytes) {
+  String out = "";
+  char buf[3];
+  for (int i = 0; i < bytes; i++) {
+    sprintf(buf, "%02x", (uint8_t)(esp_random() & 0xFF));
+    out += buf;
+  }
+  return out;
+}
+
+void storePin(const String &pin) {
+  String salt = randomHex(16);
+  prefs.putString("pin_salt", salt);
+  prefs.putString("pin_hash", sha256Hex(salt + pin));
+}
+
+bool checkPin(const String &pin) {
+  String salt = prefs.getString("pin_salt", "");
+  return sha256Hex(salt + pin) == prefs.getString("pin_hash", "");
+}
+
+void clearSessions() {
+  for (int i = 0; i < MAX_SESSIONS; i++) sessions[i].token[0] = '\0';
+}
+
+String issueSession() {
+  String token = randomHex(16);
+  Session &slot = sessions[nextSession];
+  strncpy(slot.token, token.c_str(), sizeof(slot.token));
+  slot.issuedAt = millis();
+  nextSession = (nextSession + 1) % MAX_SESSIONS; // Oldest session is dropped when full
+  return token;
+}
+
+// Expired tokens are dropped on the way
+bool isValidSession(const String &token) {
+  for (int i = 0; i < MAX_SESSIONS; i++) {
+    Session &s = sessions[i];
+    if (s.token[0] == '\0' || token != s.token) continue;
+    if (millis() - s.issuedAt > SESSION_TTL_MS) {
+      s.token[0] = '\0';
+      return false;
+    }
+    return true;
+  }
+  return false;
+}
+
+// Returns true if the request carries a live "Authorization: Bearer <token>".
+// Otherwise answers 401 itself, so handlers just `if (!requireAuth()) return;`
+bool requireAuth() {
+  String header = server.header("Authorization");
+  if (header.startsWith("Bearer ") && isValidSession(header.substring(7))) return true;
+  server.send(401, "application/json", "{\"error\": \"Unauthorized\"}");
+  return false;
+}
+
+// GET /events?token=<session token> on EVENTS_PORT
+// EventSource can't send an Authorization header, so the token comes in the query string.
+// Each stream starts with a "hello" event; after that see broadcastEvent().
+void acceptEventClient(WiFiClient client) {
+  client.setTimeout(1000);
+  String requestLine = client.readStringUntil('\n');
+  while (client.connected()) { // Skip the headers, nothing in them is needed
+    String header = client.readStringUntil('\n');
+    if (header.length() <= 1) break;
+  }
+
+  String token = "";
+  int tokenAt = requestLine.indexOf("token=");
+  if (requestLine.startsWith("GET /events") && tokenAt >= 0) {
+    token = requestLine.substring(tokenAt + 6);
+    int end = 0;
+    while (end < (int)token.length() && isHexadecimalDigit(token[end])) end++;
+    token = token.substring(0, end);
+  }
+  if (!isValidSession(token)) {
+    client.print("HTTP/1.1 401 Unauthorized\r\nContent-Type: application/json\r\n"
+                 "Access-Control-Allow-Origin: *\r\nConnection: close\r\n\r\n"
+                 "{\"error\": \"Unauthorized\"}");
+    client.stop();
+    return;
+  }
+
+  // Reuse a closed slot, otherwise drop the oldest stream (like sessions)
+  int slot = -1;
+  for (int i = 0; i < MAX_SESSIONS && slot < 0; i++) if (!eventClients[i].connected()) slot = i;
+  if (slot < 0) {
+    slot = nextEventClient;
+    nextEventClient = (nextEventClient + 1) % MAX_SESSIONS;
+  }
+  eventClients[slot].stop();
+  eventClients[slot] = client;
+  client.print("HTTP/1.1 200 OK\r\nContent-Type: text/event-stream\r\nCache-Control: no-cache\r\n"
+               "Access-Control-Allow-Origin: *\r\nConnection: keep-alive\r\n\r\n"
+               "retry: 5000\n\n");
+  client.print("event: hello\ndata: {\"device_id\": \"" + WiFi.macAddress() + "\"}\n\n");
+  Serial.printf("Event stream %d opened\n", slot);
+}
+
+// Event types: "log" (data is the raw CSV line, same as /get-logs), "window" (a dose window
+// opened or closed) and "sync" (a new config was saved). data must be a single line.
+void broadcastEvent(const char *type, const String &data) {
+  for (int i = 0; i < MAX_SESSIONS; i++) {
+    if (!eventClients[i].connected()) continue;
+    eventClients[i].printf("event: %s\ndata: %s\n\n", type, data.c_str());
+  }
+}
+
+// {"state": "open", "day": 0, "slot": 2, "time": "13:00"}; "close" adds "result": "taken" or "missed"
+void broadcastWindow(const char *windowState, int day, int slot, const char *result = "") {
+  char buf[112];
+  sprintf(buf, "{\"state\": \"%s\", \"day\": %d, \"slot\": %d, \"time\": \"%02d:%02d\"",
+          windowState, day, slot, schedule7[day][slot].hour, schedule7[day][slot].minute);
+  if (result[0] != '\0') sprintf(buf + strlen(buf), ", \"result\": \"%s\"", result);
+  strcat(buf, "}");
+  broadcastEvent("window", String(buf));
+}
+
+// Called from loop() and while waiting for a dose, like server.handleClient()
+void serviceEvents() {
+  WiFiClient incoming = eventServer.available();
+  if (incoming) acceptEventClient(incoming);
+
+  if (millis() - lastEventPing < EVENT_PING_MS) return;
+  lastEventPing = millis();
+  for (int i = 0; i < MAX_SESSIONS; i++) {
+    if (eventClients[i].connected()) eventClients[i].print(": ping\n\n");
+    else eventClients[i].stop();
+  }
+}
+
+// Streams belong to sessions; once those are gone (PIN changed) the phones must log in again
+void closeEventStreams() {
+  for (int i = 0; i < MAX_SESSIONS; i++) eventClients[i].stop();
+}
+
+// Answers 429 while locked out after too many wrong PINs
+bool rejectIfLockedOut() {
+  if (lockoutUntil == 0 || (long)(millis() - lockoutUntil) >= 0) return false;
+  char buf[64];
+  sprintf(buf, "{\"error\": \"Too many attempts\", \"retry_after\": %lu}", (lockoutUntil - millis()) / 1000 + 1);
+  server.send(429, "application/json", buf);
+  return true;
+}
+
+void registerFailedAttempt() {
+  failedAttempts++;
+  if (failedAttempts >= MAX_FREE_ATTEMPTS) {
+    int extra = min(failedAttempts - MAX_FREE_ATTEMPTS, 5);
+    lockoutUntil = millis() + min(LOCKOUT_BASE_MS << extra, LOCKOUT_MAX_MS);
+    Serial.printf("Auth locked for %lu s\n", (lockoutUntil - millis()) / 1000);
+  }
+}
+
+// POST /login {"pin": "1234"} -> {"token": "..."}
+void handleLogin() {
+  enableCORS();
+  if (rejectIfLockedOut()) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "text/plain", "Invalid JSON");
+    return;
+  }
+
+  if (!checkPin(doc["pin"] | "")) {
+    registerFailedAttempt();
+    server.send(401, "application/json", "{\"error\": \"Incorrect PIN\"}");
+    return;
+  }
+
+  failedAttempts = 0;
+  lockoutUntil = 0;
+  String response = "{\"token\": \"" + issueSession() + "\"}";
+  server.send(200, "application/json", response);
+}
+
+// POST /change-pin {"current": "1234", "pin": "5678"} -> {"token": "..."}
+// Signs out every other session and hands the caller a fresh token.
+void handleChangePin() {
+  enableCORS();
+  if (!requireAuth()) return;
+  if (rejectIfLockedOut()) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "text/plain", "Invalid JSON");
+    return;
+  }
+
+  if (!checkPin(doc["current"] | "")) {
+    registerFailedAttempt();
+    server.send(401, "application/json", "{\"error\": \"Incorrect PIN\"}");
+    return;
+  }
+
+  String pin = doc["pin"] | "";
+  bool digitsOnly = pin.length() >= 4 && pin.length() <= 8;
+  for (unsigned int i = 0; i < pin.length(); i++) if (!isDigit(pin[i])) digitsOnly = false;
+  if (!digitsOnly) {
+    server.send(400, "application/json", "{\"error\": \"PIN must be 4-8 digits\"}");
+    return;
+  }
+
+  storePin(pin);
+  clearSessions();
+  closeEventStreams();
+  Serial.println("PIN changed");
+  String response = "{\"token\": \"" + issueSession() + "\"}";
+  server.send(200, "application/json", response);
 }
 
 void handleStatus() {
   enableCORS();
-  DynamicJsonDocument doc(256);
+  if (!requireAuth()) return;
+  DynamicJsonDocument doc(384);
   doc["status"] = "online";
   doc["ip"] = WiFi.localIP().toString();
+  doc["device_id"] = WiFi.macAddress(); // Stable ID the app tags synced logs with
   
   DateTime now = rtc.now();
   char timeBuf[20];
   sprintf(timeBuf, "%02d:%02d:%02d", now.hour(), now.minute(), now.second());
   doc["device_time"] = timeBuf;
+  // Full local date/time, its zone and the matching UTC epoch, so the app can spot drift
+  char dateTimeBuf[24];
+  sprintf(dateTimeBuf, "%04d-%02d-%02dT%02d:%02d:%02d", now.year(), now.month(), now.day(), now.hour(), now.minute(), now.second());
+  doc["device_datetime"] = dateTimeBuf;
+  doc["utc_offset_min"] = utcOffsetMin;
+  doc["epoch"] = (long)now.unixtime() - utcOffsetMin * 60L;
+  doc["clock_lost_power"] = clockLostPower;
+  doc["alarm"] = !medicineTimeActive ? "off" : alarmSilenced ? "silenced" : "sounding";
+  doc["carousel_index"] = currentIndex;
+  doc["events_port"] = EVENTS_PORT;
 
   String response;
   serializeJson(doc, response);
   server.send(200, "application/json", response);
 }
 
+// GET /get-logs?offset=N
+// Streams the log from byte N onwards so the app only downloads new lines.
+// X-Log-Start echoes where reading began (the oldest line still kept if N was trimmed
+// off or past the end, e.g. after the log was deleted) and X-Log-Next is the cursor
+// the app should send next time. Offsets include the trimmed bytes (logBase).
 void handleGetLogs() {
   enableCORS();
-  if (SPIFFS.exists(LOG_FILE)) {
-    File file = SPIFFS.open(LOG_FILE, "r");
-    server.streamFile(file, "text/plain");
-    file.close();
-  } else {
+  if (!requireAuth()) return;
+  long offset = server.hasArg("offset") ? server.arg("offset").toInt() : 0;
+
+  if (!SPIFFS.exists(LOG_FILE)) {
+    server.sendHeader("X-Log-Start", String(logBase));
+    server.sendHeader("X-Log-Next", String(logBase));
     server.send(200, "text/plain", ""); // Return empty if no logs
+    return;
+  }
+
+  File file = SPIFFS.open(LOG_FILE, "r");
+  long end = logBase + (long)file.size();
+  if (offset < logBase || offset > end) offset = logBase;
+  file.seek(offset - logBase);
+
+  server.sendHeader("X-Log-Start", String(offset));
+  server.sendHeader("X-Log-Next", String(end));
+  server.setContentLength(end - offset);
+  server.send(200, "text/plain", "");
+
+  char buf[512];
+  while (file.available()) {
+    size_t n = file.read((uint8_t *)buf, sizeof(buf));
+    server.sendContent(buf, n);
+  }
+  file.close();
+}
+
+// POST /ack-logs {"offset": N, "phone": "id"}: that phone has stored every line before N (an
+// X-Log-Next it was sent), so once every phone has, those lines may go when the log is trimmed.
+// Each phone's offset only moves forward; one outside the kept log (trimmed off, or from before the
+// log was deleted) is ignored. "acked" in the reply is this phone's offset.
+void handleAckLogs() {
+  enableCORS();
+  if (!requireAuth()) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "text/plain", "Invalid JSON");
+    return;
+  }
+  long offset = doc["offset"] | -1L;
+  const char *phone = doc["phone"] | "";
+  uint32_t now = rtc.now().unixtime();
+  expireLogReaders(now);
+  bool valid = offset >= logBase && offset <= logBase + logFileSize();
+  LogReader *reader = findLogReader(phone, valid);
+  if (valid) {
+    reader->acked = max(reader->acked, offset);
+    reader->seen = now;
+    saveLogReaders();
+    trimLogIfNeeded();
+  }
+
+  StaticJsonDocument<96> reply;
+  reply["acked"] = reader ? reader->acked : 0;
+  reply["log_base"] = logBase;
+  String response;
+  serializeJson(reply, response);
+  server.send(200, "application/json", response);
+}
+
+// GET /diagnostics: the numbers behind the app's Diagnostics panel
+void handleDiagnostics() {
+  enableCORS();
+  if (!requireAuth()) return;
+  DynamicJsonDocument doc(512);
+  doc["firmware_version"] = FIRMWARE_VERSION;
+  doc["uptime_s"] = (unsigned long)(esp_timer_get_time() / 1000000LL); // millis() wraps after 49 days
+  doc["free_heap"] = ESP.getFreeHeap();
+  doc["min_free_heap"] = ESP.getMinFreeHeap();
+  doc["spiffs_used"] = SPIFFS.usedBytes();
+  doc["spiffs_total"] = SPIFFS.totalBytes();
+  doc["log_size"] = logFileSize();
+  doc["log_max"] = LOG_MAX_BYTES;
+  doc["log_base"] = logBase;
+  doc["log_acked"] = logAckedByAll();
+  doc["log_readers"] = logReaderCount;
+  doc["log_dropped"] = logDropped;
+
+  wifi_mode_t mode = WiFi.getMode();
+  doc["wifi_mode"] = mode == WIFI_AP ? "ap" : mode == WIFI_STA ? "sta" : mode == WIFI_AP_STA ? "ap+sta" : "off";
+  if (mode == WIFI_STA && WiFi.status() == WL_CONNECTED) {
+    doc["wifi_rssi"] = WiFi.RSSI();
+  } else {
+    // Access point: the strongest connected phone, as the dispenser hears it
+    wifi_sta_list_t stations;
+    int best = 0;
+    if (esp_wifi_ap_get_sta_list(&stations) == ESP_OK) {
+      for (int i = 0; i < stations.num; i++) {
+        if (best == 0 || stations.sta[i].rssi > best) best = stations.sta[i].rssi;
+      }
+    }
+    if (best != 0) doc["wifi_rssi"] = best;
+    else doc["wifi_rssi"] = nullptr;
+    doc["wifi_clients"] = WiFi.softAPgetStationNum();
+  }
+  doc["carousel_index"] = currentIndex;
+
+  String response;
+  serializeJson(doc, response);
+  server.send(200, "application/json", response);
+}
+
+// Helper to build the app's segment ID for a day/slot, e.g. (0, 3) -> "Monday-Lunch-After"
+String slotId(int day, int slot) {
+  return String(DAY_NAMES[day]) + "-" + MEAL_NAMES[slot / 2] + "-" + ((slot % 2 == 0) ? "Before" : "After");
+}
+
+// Helper to format hour/min -> "08:00"
+String formatTimeStr(int h, int m) {
+  char buf[6];
+  sprintf(buf, "%02d:%02d", h, m);
+  return String(buf);
+}
+
+// Returns the schedule currently held in memory, in the same shape the app
+// sends to /save-config, plus today's dispensed/missed flags per active slot.
+void handleGetConfig() {
+  enableCORS();
+  if (!requireAuth()) return;
+  DynamicJsonDocument doc(12288);
+
+  JsonObject settings = doc.createNestedObject("settings");
+  for (int m=0; m<3; m++) {
+    settings[MEAL_KEYS[m]] = formatTimeStr(mealHour[m], mealMinute[m]);
+  }
+
+  // Rebuild the overrides from the per-slot times: a day override when both
+  // compartments of a meal share a non-default time, slot overrides otherwise
+  JsonObject dayTimes = settings.createNestedObject("dayTimes");
+  JsonObject slotTimes = settings.createNestedObject("slotTimes");
+  for (int d=0; d<7; d++) {
+    for (int m=0; m<3; m++) {
+      SlotState &before = schedule7[d][m * 2];
+      SlotState &after = schedule7[d][m * 2 + 1];
+      int dayH = mealHour[m], dayM = mealMinute[m];
+      if (before.hour == after.hour && before.minute == after.minute &&
+          (before.hour != dayH || before.minute != dayM)) {
+        dayH = before.hour; dayM = before.minute;
+        if (!dayTimes.containsKey(DAY_NAMES[d])) dayTimes.createNestedObject(DAY_NAMES[d]);
+        dayTimes[DAY_NAMES[d]][MEAL_KEYS[m]] = formatTimeStr(dayH, dayM);
+      }
+      for (int s = m * 2; s <= m * 2 + 1; s++) {
+        SlotState &slot = schedule7[d][s];
+        if (slot.hour != dayH || slot.minute != dayM) slotTimes[slotId(d, s)] = formatTimeStr(slot.hour, slot.minute);
+      }
+    }
+  }
+  settings["windowPreMin"] = doseWindowPreSec / 60;
+  settings["windowPostMin"] = doseWindowPostSec / 60;
+  settings["remindEveryMin"] = remindEverySec / 60;
+  settings["lateGraceMin"] = lateGraceSec / 60;
+
+  JsonArray schedule = doc.createNestedArray("schedule");
+  JsonObject slots = doc.createNestedObject("slots");
+  JsonObject slotDates = doc.createNestedObject("slotDates");
+  for (int d=0; d<7; d++) {
+    for (int s=0; s<6; s++) {
+      SlotState &slot = schedule7[d][s];
+      if (!slot.active) continue;
+      String id = slotId(d, s);
+      schedule.add(id);
+      slots[id] = slot.dispensed ? "dispensed" : (slot.missed ? "missed" : "pending");
+      if (slot.date[0] != '\0') slotDates[id] = slot.date;
+    }
   }
+  doc["week_of"] = configWeekOf;
+  doc["config_version"] = configVersion;
+  doc["revision"] = configRevision;
+  doc["checksum"] = configChecksum();
+
+  // Every compartment that isn't empty, scheduled or not
+  JsonObject inventory = doc.createNestedObject("inventory");
+  for (int d=0; d<7; d++) {
+    for (int s=0; s<6; s++) {
+      if (schedule7[d][s].stock != STOCK_EMPTY) inventory[slotId(d, s)] = STOCK_NAMES[schedule7[d][s].stock];
+    }
+  }
+
+  String response;
+  serializeJson(doc, response);
+  server.send(200, "application/json", response);
+}
+
+// Helper to parse "08:00" -> hour=8, min=0. Anything but a 24-hour "HH:MM" leaves h and m alone.
+bool parseTimeStr(const char* str, int &h, int &m) {
+  int hh, mm;
+  if (strlen(str) != 5 || str[2] != ':' || sscanf(str, "%2d:%2d", &hh, &mm) != 2) return false;
+  if (hh < 0 || hh > 23 || mm < 0 || mm > 59) return false;
+  h = hh;
+  m = mm;
+  return true;
+}
+
+// "2025-01-09"
+bool isDateStr(const char *str) {
+  int y, mo, d;
+  if (strlen(str) != 10 || str[4] != '-' || str[7] != '-') return false;
+  return sscanf(str, "%4d-%2d-%2d", &y, &mo, &d) == 3 && mo >= 1 && mo <= 12 && d >= 1 && d <= 31;
 }
 
-// Helper to parse "08:00" -> hour=8, min=0
-void parseTimeStr(const char* str, int &h, int &m) {
-  sscanf(str, "%d:%d", &h, &m);
+// Helper to parse "Monday-Lunch-Before" -> dayIdx=0, slotIdx=2.
+// Returns false (both -1) for anything that isn't one of the 42 compartments instead of guessing.
+bool parseSlotId(const String &str, int &dayIdx, int &slotIdx) {
+  dayIdx = -1;
+  slotIdx = -1;
+  int dash1 = str.indexOf('-');
+  int dash2 = str.lastIndexOf('-');
+  if (dash1 < 0 || dash2 == dash1) return false;
+
+  String dayStr = str.substring(0, dash1);
+  String mealStr = str.substring(dash1 + 1, dash2);
+  String sideStr = str.substring(dash2 + 1);
+
+  int day = -1, meal = -1;
+  for (int d=0; d<7; d++) if (dayStr == DAY_NAMES[d]) day = d;
+  for (int m=0; m<3; m++) if (mealStr == MEAL_NAMES[m]) meal = m;
+  int side = sideStr == "Before" ? 0 : (sideStr == "After" ? 1 : -1);
+  if (day < 0 || meal < 0 || side < 0) return false;
+
+  dayIdx = day;
+  slotIdx = meal * 2 + side; // Map Meal + Before/After to 0-5
+  return true;
+}
+
+// What a slot runs, as the app's expectedSlots(): "08:00", or "20:00@2025-01-09" for a dated one
+String slotSummary(int d, int s) {
+  SlotState &slot = schedule7[d][s];
+  String summary = formatTimeStr(slot.hour, slot.minute);
+  if (slot.date[0] != '\0') summary += String("@") + slot.date;
+  return summary;
+}
+
+uint32_t fnv1a(uint32_t hash, const String &text) {
+  for (unsigned int i = 0; i < text.length(); i++) {
+    hash ^= (uint8_t)text[i];
+    hash *= 16777619UL;
+  }
+  return hash;
+}
+
+// FNV-1a over "<slot id>=<slotSummary>;" for each active slot in day/slot order, then the dose rules in
+// minutes. configChecksum() in config-schema.js hashes a payload the same way, so the app can tell
+// whether the dispenser runs what it sent.
+String configChecksum() {
+  uint32_t hash = 2166136261UL;
+  for (int d=0; d<7; d++) {
+    for (int s=0; s<6; s++) {
+      if (schedule7[d][s].active) hash = fnv1a(hash, slotId(d, s) + "=" + slotSummary(d, s) + ";");
+    }
+  }
+  hash = fnv1a(hash, "rules=" + String(doseWindowPreSec / 60) + "," + String(doseWindowPostSec / 60) + "," +
+                     String(remindEverySec / 60) + "," + String(lateGraceSec / 60));
+  char buf[9];
+  sprintf(buf, "%08lx", (unsigned long)hash);
+  return String(buf);
+}
+
+void addProblem(JsonArray list, const String &field, const char *problem) {
+  JsonObject entry = list.createNestedObject();
+  entry["field"] = field;
+  entry["problem"] = problem;
+}
+
+// Helper to flatten [{name, strength, count}, ...] into "Metformin 500mg x2; Aspirin 75mg".
+// Commas are swapped out so the label stays a single CSV field in the log.
+void buildMedsLabel(JsonArray meds, char *out, size_t outSize) {
+  String label = "";
+  for (JsonObject med : meds) {
+    if (label.length() > 0) label += "; ";
+    label += med["name"] | "";
+    const char *strength = med["strength"] | "";
+    if (strlen(strength) > 0) { label += " "; label += strength; }
+    int count = med["count"] | 1;
+    if (count > 1) { label += " x"; label += count; }
+  }
+  label.replace(",", " ");
+  strncpy(out, label.c_str(), outSize - 1);
+  out[outSize - 1] = '\0';
 }
 
 void handleSaveConfig() {
@@ -158,9 +943,10 @@ void handleSaveConfig() {
     server.send(405, "text/plain", "Method Not Allowed");
     return;
   }
+  if (!requireAuth()) return;
 
   String body = server.arg("plain");
-  StaticJsonDocument<4096> doc; // Large buffer for schedule
+  DynamicJsonDocument doc(12288); // Large buffer for schedule, time overrides + medication assignments
   DeserializationError error = deserializeJson(doc, body);
 
   if (error) {
@@ -170,65 +956,167 @@ void handleSaveConfig() {
     return;
   }
 
-  // 1. Check Auth (Optional PIN check)
-  const char* pin = doc["auth"];
-  // if (strcmp(pin, "1234") != 0) { ... }
+  // 1. Auth is checked up front via the session token (requireAuth)
+
+  // 2. Check the settings before touching anything (settingsProblems() in config-schema.js).
+  // A bad meal time or dose rule refuses the whole config; slot problems are dealt with below.
+  DynamicJsonDocument reply(6144);
+  JsonArray problems = reply.createNestedArray("problems");
+  JsonObject settings = doc["settings"];
+  int h, mi;
+  if (settings.isNull()) addProblem(problems, "settings", "missing");
+  for (int m=0; m<3 && !settings.isNull(); m++) {
+    const char *t = settings[MEAL_KEYS[m]] | "";
+    if (strlen(t) == 0) addProblem(problems, String("settings.") + MEAL_KEYS[m], "missing");
+    else if (!parseTimeStr(t, h, mi)) addProblem(problems, String("settings.") + MEAL_KEYS[m], "bad-time");
+  }
+  for (int r=0; r<4; r++) {
+    JsonVariant rule = settings[RULE_KEYS[r]];
+    if (rule.isNull()) continue;
+    if (!rule.is<int>() || rule.as<int>() < RULE_MIN[r] || rule.as<int>() > RULE_MAX[r]) {
+      addProblem(problems, String("settings.") + RULE_KEYS[r], "out-of-range");
+    }
+  }
+  for (JsonPair day : settings["dayTimes"].as<JsonObject>()) {
+    String field = String("settings.dayTimes.") + day.key().c_str();
+    bool known = false;
+    for (int d=0; d<7; d++) if (strcmp(day.key().c_str(), DAY_NAMES[d]) == 0) known = true;
+    if (!known) { addProblem(problems, field, "unknown-day"); continue; }
+    for (JsonPair meal : day.value().as<JsonObject>()) {
+      bool isMeal = false;
+      for (int m=0; m<3; m++) if (strcmp(meal.key().c_str(), MEAL_KEYS[m]) == 0) isMeal = true;
+      if (!isMeal) addProblem(problems, field + "." + meal.key().c_str(), "unknown-meal");
+      else if (!parseTimeStr(meal.value() | "", h, mi)) addProblem(problems, field + "." + meal.key().c_str(), "bad-time");
+    }
+  }
+  if (problems.size() > 0) {
+    reply["error"] = "Invalid config";
+    String response;
+    serializeJson(reply, response);
+    server.send(400, "application/json", response);
+    return;
+  }
+  reply.remove("problems");
 
-  // 2. Extract Meal Timings
-  int bk_h, bk_m, ln_h, ln_m, dn_h, dn_m;
-  parseTimeStr(doc["settings"]["breakfast"], bk_h, bk_m);
-  parseTimeStr(doc["settings"]["lunch"], ln_h, ln_m);
-  parseTimeStr(doc["settings"]["dinner"], dn_h, dn_m);
+  // 3. A revision no newer than the running one was edited without the changes saved since
+  // (another phone): refuse it so the app can show the conflict. Without a revision it overwrites.
+  JsonVariant revision = doc["revision"];
+  if (!revision.isNull() && revision.as<unsigned long>() <= configRevision) {
+    server.send(409, "application/json", "{\"error\": \"Conflict\", \"revision\": " + String(configRevision) + "}");
+    return;
+  }
+  JsonArray rejected = reply.createNestedArray("rejected"); // Compartments skipped, as { field, problem }
 
-  Serial.println("Updating Timings...");
-  Serial.printf("BK: %d:%d, LN: %d:%d, DN: %d:%d\n", bk_h, bk_m, ln_h, ln_m, dn_h, dn_m);
+  // 4. Extract Meal Timings (defaults; per-day and per-slot overrides are applied below)
+  for (int m=0; m<3; m++) {
+    parseTimeStr(settings[MEAL_KEYS[m]] | "", mealHour[m], mealMinute[m]);
+  }
 
-  // 3. Reset Schedule
+  Serial.println("Updating Timings...");
+  Serial.printf("BK: %d:%d, LN: %d:%d, DN: %d:%d\n", mealHour[0], mealMinute[0], mealHour[1], mealMinute[1], mealHour[2], mealMinute[2]);
+
+  // Dose rules (minutes in the payload); missing fields keep their current value
+  doseWindowPreSec  = (long)(settings["windowPreMin"]   | (int)(doseWindowPreSec / 60)) * 60;
+  doseWindowPostSec = (long)(settings["windowPostMin"]  | (int)(doseWindowPostSec / 60)) * 60;
+  remindEverySec    = (long)(settings["remindEveryMin"] | (int)(remindEverySec / 60)) * 60;
+  lateGraceSec      = (long)(settings["lateGraceMin"]   | (int)(lateGraceSec / 60)) * 60;
+  Serial.printf("Window: -%ld/+%lds, remind every %lds, late grace %lds\n", doseWindowPreSec, doseWindowPostSec, remindEverySec, lateGraceSec);
+
+  // Monday of the week the app worked the schedule out for (courses change from week to week)
+  strlcpy(configWeekOf, doc["weekOf"] | "", sizeof(configWeekOf));
+
+  // 5. Reset Schedule
+  // Time precedence: settings.slotTimes["Saturday-Lunch-After"], then
+  // settings.dayTimes["Saturday"]["lunch"], then settings["lunch"]
+  JsonObject dayTimes = settings["dayTimes"];
+  JsonObject slotTimes = settings["slotTimes"];
+  for (JsonPair kv : slotTimes) {
+    int dayIdx, slotIdx;
+    String field = String("settings.slotTimes.") + kv.key().c_str();
+    if (!parseSlotId(String(kv.key().c_str()), dayIdx, slotIdx)) addProblem(rejected, field, "unknown-slot");
+    else if (!parseTimeStr(kv.value() | "", h, mi)) addProblem(rejected, field, "bad-time");
+  }
   for (int d=0; d<7; d++) {
     for (int s=0; s<6; s++) {
-      schedule7[d][s].active = false;
-      // Default times
-      if(s==0 || s==1) { schedule7[d][s].hour = bk_h; schedule7[d][s].minute = bk_m; }
-      if(s==2 || s==3) { schedule7[d][s].hour = ln_h; schedule7[d][s].minute = ln_m; }
-      if(s==4 || s==5) { schedule7[d][s].hour = dn_h; schedule7[d][s].minute = dn_m; }
+      SlotState &slot = schedule7[d][s];
+      int m = s / 2;
+      slot.active = false;
+      slot.meds[0] = '\0';
+      slot.date[0] = '\0';
+      int h = mealHour[m], mi = mealMinute[m];
+
+      const char *dayTime = dayTimes[DAY_NAMES[d]][MEAL_KEYS[m]] | "";
+      if (strlen(dayTime) > 0) parseTimeStr(dayTime, h, mi);
+      const char *ownTime = slotTimes[slotId(d, s)] | "";
+      if (parseTimeStr(ownTime, h, mi)) {
+        Serial.printf("Slot time: Day %d Slot %d -> %s\n", d, s, ownTime);
+      }
+      slot.hour = h;
+      slot.minute = mi;
     }
   }
 
-  // 4. Parse Schedule Array
+  // 6. Parse Schedule Array
   JsonArray schedule = doc["schedule"];
+  int index = 0;
   for (const char* item : schedule) {
     // Format: "Monday-Lunch-Before"
     // We need to parse this string manually
-    String str = String(item);
-    
-    int dash1 = str.indexOf('-');
-    int dash2 = str.lastIndexOf('-');
-    
-    String dayStr = str.substring(0, dash1);
-    String mealStr = str.substring(dash1 + 1, dash2);
-    String timeStr = str.substring(dash2 + 1);
-
-    int dayIdx = 0;
-    if (dayStr == "Monday") dayIdx = 0;
-    else if (dayStr == "Tuesday") dayIdx = 1;
-    else if (dayStr == "Wednesday") dayIdx = 2;
-    else if (dayStr == "Thursday") dayIdx = 3;
-    else if (dayStr == "Friday") dayIdx = 4;
-    else if (dayStr == "Saturday") dayIdx = 5;
-    else if (dayStr == "Sunday") dayIdx = 6;
-
-    int slotIdx = 0;
-    // Map Meal + Before/After to 0-5
-    if (mealStr == "Breakfast") slotIdx = (timeStr == "Before") ? 0 : 1;
-    else if (mealStr == "Lunch") slotIdx = (timeStr == "Before") ? 2 : 3;
-    else if (mealStr == "Dinner") slotIdx = (timeStr == "Before") ? 4 : 5;
+    String str = String(item ? item : "");
+    int dayIdx, slotIdx;
+    if (!parseSlotId(str, dayIdx, slotIdx)) {
+      addProblem(rejected, "schedule[" + String(index++) + "]", "unknown-slot");
+      continue;
+    }
+    index++;
 
     // Activate
     schedule7[dayIdx][slotIdx].active = true;
-    Serial.printf("Activated: Day %d Slot %d (%s-%s)\n", dayIdx, slotIdx, mealStr.c_str(), timeStr.c_str());
+    Serial.printf("Activated: Day %d Slot %d (%s)\n", dayIdx, slotIdx, item);
+  }
+
+  // Course-only compartments: { "Thursday-Dinner-After": "2025-01-09" }, skipped on every other date
+  JsonObject slotDates = doc["slotDates"];
+  for (JsonPair kv : slotDates) {
+    const char *date = kv.value() | "";
+    int dayIdx, slotIdx;
+    String field = String("slotDates.") + kv.key().c_str();
+    if (!parseSlotId(String(kv.key().c_str()), dayIdx, slotIdx)) { addProblem(rejected, field, "unknown-slot"); continue; }
+    if (!isDateStr(date)) { addProblem(rejected, field, "bad-date"); continue; }
+    strlcpy(schedule7[dayIdx][slotIdx].date, date, sizeof(schedule7[dayIdx][slotIdx].date));
+  }
+
+  // 7. Parse Medication Assignments
+  // Format: { "Monday-Lunch-Before": [{ "name": "Metformin", "strength": "500mg", "count": 2 }, ...] }
+  JsonObject assignments = doc["assignments"];
+  for (JsonPair kv : assignments) {
+    int dayIdx, slotIdx;
+    String field = String("assignments.") + kv.key().c_str();
+    if (!parseSlotId(String(kv.key().c_str()), dayIdx, slotIdx)) { addProblem(rejected, field, "unknown-slot"); continue; }
+    if (!kv.value().is<JsonArray>()) { addProblem(rejected, field, "not-list"); continue; }
+    buildMedsLabel(kv.value().as<JsonArray>(), schedule7[dayIdx][slotIdx].meds, sizeof(schedule7[dayIdx][slotIdx].meds));
+    Serial.printf("Loaded: Day %d Slot %d -> %s\n", dayIdx, slotIdx, schedule7[dayIdx][slotIdx].meds);
   }
 
-  server.send(200, "application/json", "{\"message\": \"Config Saved\"}");
+  // 8. Acknowledge: what each compartment now runs, so the app can spot anything that differs
+  configVersion++;
+  configRevision = revision.isNull() ? configRevision + 1 : revision.as<unsigned long>();
+  configPrefs.putULong("revision", configRevision);
+  JsonObject accepted = reply.createNestedObject("accepted");
+  for (int d=0; d<7; d++) {
+    for (int s=0; s<6; s++) {
+      if (schedule7[d][s].active) accepted[slotId(d, s)] = slotSummary(d, s);
+    }
+  }
+  reply["message"] = "Config Saved";
+  reply["version"] = configVersion;
+  reply["revision"] = configRevision;
+  reply["checksum"] = configChecksum();
+  String response;
+  serializeJson(reply, response);
+  server.send(200, "application/json", response);
+  broadcastEvent("sync", "{\"message\": \"Config Saved\", \"version\": " + String(configVersion) +
+                        ", \"revision\": " + String(configRevision) + "}");
   
   // Flash screen to indicate sync
   tft.fillScreen(ILI9341_CYAN);
@@ -239,6 +1127,181 @@ void handleSaveConfig() {
   forceScreenRedraw();
 }
 
+// POST /set-time {"epoch": 1736150400, "utc_offset_min": 60}
+// Sets the RTC to the phone's local time. The reading it replaced goes into the log.
+void handleSetTime() {
+  enableCORS();
+  if (!requireAuth()) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "text/plain", "Invalid JSON");
+    return;
+  }
+
+  long epoch = doc["epoch"] | 0L;
+  int offset = doc["utc_offset_min"] | utcOffsetMin;
+  if (epoch < MIN_VALID_EPOCH || offset < -720 || offset > 840) {
+    server.send(400, "application/json", "{\"error\": \"Invalid time\"}");
+    return;
+  }
+
+  DateTime before = rtc.now();
+  rtc.adjust(DateTime((uint32_t)(epoch + offset * 60L)));
+  utcOffsetMin = offset;
+  clockPrefs.putInt("utc_offset", offset);
+  clockLostPower = false;
+
+  char note[48];
+  sprintf(note, "Set from app (was %04d-%02d-%02d %02d:%02d:%02d)",
+          before.year(), before.month(), before.day(), before.hour(), before.minute(), before.second());
+  logEvent(rtc.now(), -1, -1, "CLOCK_SET", note);
+  Serial.println(note);
+  forceScreenRedraw();
+  server.send(200, "application/json", "{\"message\": \"Clock set\"}");
+}
+
+// POST /inventory {"loaded": ["Monday-Lunch-Before", ...], "empty": [...]}
+// Called by the app's refill wizard as each compartment is filled (or found empty).
+void handleInventory() {
+  enableCORS();
+  if (!requireAuth()) return;
+
+  DynamicJsonDocument doc(4096);
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "text/plain", "Invalid JSON");
+    return;
+  }
+
+  const char *keys[2] = {"empty", "loaded"}; // Index = the stock value they set
+  for (int k=0; k<2; k++) {
+    for (const char *item : doc[keys[k]].as<JsonArray>()) {
+      int dayIdx, slotIdx;
+      if (!parseSlotId(String(item ? item : ""), dayIdx, slotIdx)) continue;
+      schedule7[dayIdx][slotIdx].stock = k == 0 ? STOCK_EMPTY : STOCK_LOADED;
+    }
+  }
+  saveStock();
+  server.send(200, "application/json", "{\"message\": \"Inventory updated\"}");
+}
+
+// --- REMOTE CONTROL ---
+// Caregiver actions from the app. Each takes a JSON body with a "reason", which is
+// written to the log with the action; day (0-6) and slot (0-5) pick a compartment.
+
+// Parses a control request; answers 400 itself and returns false when it can't be used
+bool readControlRequest(JsonDocument &doc, bool needsSlot, String &reason) {
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "text/plain", "Invalid JSON");
+    return false;
+  }
+
+  reason = doc["reason"] | "";
+  reason.replace(",", " "); // Keep it a single CSV field
+  reason.replace("\r", " ");
+  reason.replace("\n", " ");
+  reason.trim();
+  if (reason.length() == 0) {
+    server.send(400, "application/json", "{\"error\": \"A reason is required\"}");
+    return false;
+  }
+  if (reason.length() > MAX_REASON_LEN) reason = reason.substring(0, MAX_REASON_LEN);
+
+  int day = doc["day"] | -1;
+  int slot = doc["slot"] | -1;
+  if (needsSlot && (day < 0 || day > 6 || slot < 0 || slot > 5)) {
+    server.send(400, "application/json", "{\"error\": \"Unknown compartment\"}");
+    return false;
+  }
+  return true;
+}
+
+// POST /dispense-now {"day": 0, "slot": 2, "reason": "IR sensor not responding", "force": false}
+// Dispenses a compartment straight away. A compartment already dispensed today is refused
+// (409) unless "force" is set, so a double tap in the app can't double-dose.
+void handleDispenseNow() {
+  enableCORS();
+  if (!requireAuth()) return;
+
+  StaticJsonDocument<256> doc;
+  String reason;
+  if (!readControlRequest(doc, true, reason)) return;
+  int day = doc["day"];
+  int slot = doc["slot"];
+
+  if (schedule7[day][slot].dispensed && !(doc["force"] | false)) {
+    server.send(409, "application/json", "{\"error\": \"Already dispensed today\"}");
+    return;
+  }
+
+  performDispense(day, slot, "MANUAL_DISPENSE", reason.c_str());
+  server.send(200, "application/json", "{\"message\": \"Dose dispensed\"}");
+}
+
+// POST /test-flap {"day": 0, "slot": 2, "reason": "Refilled Monday"}
+// Turns to a compartment and cycles its flap without marking the dose as taken.
+void handleTestFlap() {
+  enableCORS();
+  if (!requireAuth()) return;
+
+  StaticJsonDocument<256> doc;
+  String reason;
+  if (!readControlRequest(doc, true, reason)) return;
+  int day = doc["day"];
+  int slot = doc["slot"];
+
+  wakeScreen();
+  showMainScreen(rtc.now(), "Testing flap...", "Please wait");
+  rotateToIndex(getStepperPosition(day, slot));
+  delay(200);
+  if (slot % 2 == 0) servoAOpen(); else servoBOpen();
+  delay(FLAP_OPEN_MS);
+  if (slot % 2 == 0) servoAClose(); else servoBClose();
+  forceScreenRedraw();
+  schedule7[day][slot].stock = STOCK_EMPTY; // Whatever was loaded has dropped out
+  saveStock();
+
+  logEvent(rtc.now(), day, slot, "TEST_FLAP", reason.c_str());
+  server.send(200, "application/json", "{\"message\": \"Flap tested\"}");
+}
+
+// POST /home {"reason": "Wheel looked out of line"}
+// Turns the carousel back to HOME_INDEX, where the daily reset parks it.
+void handleHome() {
+  enableCORS();
+  if (!requireAuth()) return;
+
+  StaticJsonDocument<256> doc;
+  String reason;
+  if (!readControlRequest(doc, false, reason)) return;
+
+  rotateToIndex(HOME_INDEX);
+  logEvent(rtc.now(), -1, -1, "HOMED", reason.c_str());
+  server.send(200, "application/json", "{\"message\": \"Carousel homed\"}");
+}
+
+// POST /silence {"reason": "Patient is asleep"}
+// Stops the buzzer for the dose alarming now. The LED stays on and the dose can still be
+// taken until its window closes. 409 when nothing is alarming.
+void handleSilence() {
+  enableCORS();
+  if (!requireAuth()) return;
+
+  StaticJsonDocument<256> doc;
+  String reason;
+  if (!readControlRequest(doc, false, reason)) return;
+
+  if (!medicineTimeActive || alertDay < 0) {
+    server.send(409, "application/json", "{\"error\": \"No alarm is sounding\"}");
+    return;
+  }
+
+  alarmSilenced = true;
+  digitalWrite(PIN_BUZZ, LOW);
+  logEvent(rtc.now(), alertDay, alertSlot, "SILENCED", reason.c_str());
+  server.send(200, "application/json", "{\"message\": \"Alarm silenced\"}");
+}
+
 void handleOptions() {
   enableCORS();
   server.send(204);
@@ -389,43 +1452,78 @@ void checkSchedules() {
     }
   }
 
-  int dow = checkTime.dayOfTheWeek();
-  int today = dow;
+  // RTClib counts from Sunday = 0, but schedule7 (like DAY_NAMES and the app) starts at Monday = 0
+  int today = (checkTime.dayOfTheWeek() + 6) % 7;
+  char todayDate[11];
+  sprintf(todayDate, "%04d-%02d-%02d", checkTime.year(), checkTime.month(), checkTime.day());
   
   for (int s=0; s<6; s++){
     SlotState &slot = schedule7[today][s];
     if (!slot.active) continue;
+    if (slot.date[0] != '\0' && strcmp(slot.date, todayDate) != 0) continue; // Course dose for another week, or a course that has ended
     if (slot.dispensed || slot.missed) continue;
     
     DateTime scheduled(checkTime.year(), checkTime.month(), checkTime.day(), slot.hour, slot.minute, 0);
     long scheduledEpoch = scheduled.unixtime();
     long nowEpoch = checkTime.unixtime();
-    long windowStart = scheduledEpoch - DOSE_WINDOW_PRE_SEC;
-    long windowEnd   = scheduledEpoch + DOSE_WINDOW_POST_SEC;
+    long windowStart = scheduledEpoch - doseWindowPreSec;
+    long windowEnd   = scheduledEpoch + doseWindowPostSec;
+    long lateEnd     = windowEnd + lateGraceSec; // Doses taken after windowEnd but before this are LATE
     
-    if (nowEpoch >= windowStart && nowEpoch <= windowEnd) {
+    if (nowEpoch >= windowStart && nowEpoch <= lateEnd) {
       medicineTimeActive = true;
+      alertDay = today;
+      alertSlot = s;
+      alarmSilenced = false;
       wakeScreen();
       showMedicineAlert(checkTime);
       digitalWrite(PIN_LED, HIGH);
       digitalWrite(PIN_BUZZ, HIGH);
+      broadcastWindow("open", today, s);
       
       unsigned long waitStart = millis();
-      unsigned long waitMax = FAST_TEST_MODE ? 15000 : (windowEnd - nowEpoch) * 1000UL;
+      unsigned long waitMax = FAST_TEST_MODE ? 15000 : (lateEnd - nowEpoch) * 1000UL;
+      unsigned long onTimeMax = FAST_TEST_MODE ? 15000 : (windowEnd > nowEpoch ? (windowEnd - nowEpoch) * 1000UL : 0);
+      unsigned long lastReminder = millis();
+      bool buzzing = true;
       bool taken = false;
       
       while ((millis() - waitStart) < waitMax) {
+        // Keep answering the app while we wait; the window can last hours
+        server.handleClient();
+        serviceEvents();
+        if (slot.dispensed) { // Dispensed from the app (/dispense-now)
+          taken = true;
+          break;
+        }
+
         int val = digitalRead(PIN_IR);
         if (val == HIGH) {
           delay(200);
           if (digitalRead(PIN_IR) == HIGH) {
             digitalWrite(PIN_BUZZ, LOW);
             digitalWrite(PIN_LED, LOW);
-            performDispense(today, s);
+            bool late = (millis() - waitStart) > onTimeMax;
+            performDispense(today, s, late ? "LATE" : "DISPENSED");
             taken = true;
             break;
           }
         }
+
+        // Reminder mode: short buzz, quiet, buzz again every remindEverySec
+        if (alarmSilenced) {
+          buzzing = false; // /silence already switched the buzzer off
+        } else if (remindEverySec > 0) {
+          unsigned long sinceReminder = millis() - lastReminder;
+          if (buzzing && sinceReminder > REMINDER_BUZZ_MS) {
+            digitalWrite(PIN_BUZZ, LOW);
+            buzzing = false;
+          } else if (!buzzing && sinceReminder > (unsigned long)remindEverySec * 1000UL) {
+            digitalWrite(PIN_BUZZ, HIGH);
+            buzzing = true;
+            lastReminder = millis();
+          }
+        }
         delay(100);
       }
       
@@ -444,13 +1542,16 @@ void checkSchedules() {
         // Reset interaction timer after missed dose
         lastInteraction = millis();
       }
+      broadcastWindow("close", today, s, taken ? "taken" : "missed");
       
       medicineTimeActive = false;
+      alertDay = -1;
+      alertSlot = -1;
     }
   }
 }
 
-void performDispense(int day, int slot) {
+void performDispense(int day, int slot, const char *ev = "DISPENSED", const char *reason = "") {
   Serial.println("=== DISPENSING MEDICATION ===");
   Serial.print("Day: ");
   Serial.print(day);
@@ -492,7 +1593,9 @@ void performDispense(int day, int slot) {
   
   schedule7[day][slot].dispensed = true;
   schedule7[day][slot].missed = false;
-  logEvent(now, day, slot, "DISPENSED");
+  schedule7[day][slot].stock = STOCK_DISPENSED;
+  saveStock();
+  logEvent(now, day, slot, ev, reason);
   
   soundAlarmStart();
   
@@ -520,7 +1623,23 @@ void dailyResetIfNeeded() {
       }
     }
     lastDate = todayDate;
-    rotateToIndex(21);
+    rotateToIndex(HOME_INDEX);
+  }
+
+  // New week: last week's emptied compartments now need refilling
+  long week = weekNumber(now);
+  if (week != lastWeek) {
+    if (lastWeek != -1) {
+      Serial.println("New week - dispensed compartments are now empty");
+      for (int d=0; d<7; d++) {
+        for (int s=0; s<6; s++) {
+          if (schedule7[d][s].stock == STOCK_DISPENSED) schedule7[d][s].stock = STOCK_EMPTY;
+        }
+      }
+      saveStock();
+    }
+    lastWeek = week;
+    stockPrefs.putLong("week", week);
   }
 }
 
@@ -531,13 +1650,22 @@ void setup() {
   
   // Hardware Init
   SPIFFS.begin(true);
+  logPrefs.begin("log", false);
+  logBase = logPrefs.getLong("base", 0);
+  loadLogReaders();
+  recoverLogTrim();
   pinMode(PIN_STEP, OUTPUT); pinMode(PIN_DIR, OUTPUT); pinMode(PIN_EN, OUTPUT);
   pinMode(PIN_IR, INPUT); pinMode(PIN_BUZZ, OUTPUT); pinMode(PIN_LED, OUTPUT);
   digitalWrite(PIN_EN, HIGH);
   
   Wire.begin(TOUCH_SDA, TOUCH_SCL);
   rtc.begin();
-  if (!rtc.isrunning()) rtc.adjust(DateTime(F(__DATE__), F(__TIME__)));
+  if (!rtc.isrunning()) {
+    clockLostPower = true; // Reported by /status until the app sets the clock
+    rtc.adjust(DateTime(F(__DATE__), F(__TIME__)));
+  }
+  clockPrefs.begin("clock", false);
+  utcOffsetMin = clockPrefs.getInt("utc_offset", 0);
 
   tft.begin();
   tft.setRotation(3);
@@ -568,15 +1696,32 @@ void setup() {
     Serial.println("ERROR: Failed to start Access Point");
   }
 
+  // --- AUTH SETUP ---
+  prefs.begin("auth", false);
+  if (prefs.getString("pin_hash", "") == "") storePin(DEFAULT_PIN);
+  clearSessions();
+
   // --- SERVER ROUTES ---
+  const char *headerKeys[] = {"Authorization"};
+  server.collectHeaders(headerKeys, 1);
+  server.on("/login", HTTP_POST, handleLogin);
+  server.on("/change-pin", HTTP_POST, handleChangePin);
   server.on("/status", HTTP_GET, handleStatus);
   server.on("/get-logs", HTTP_GET, handleGetLogs);
+  server.on("/ack-logs", HTTP_POST, handleAckLogs);
+  server.on("/diagnostics", HTTP_GET, handleDiagnostics);
+  server.on("/get-config", HTTP_GET, handleGetConfig);
   server.on("/save-config", HTTP_POST, handleSaveConfig);
+  server.on("/set-time", HTTP_POST, handleSetTime);
+  server.on("/inventory", HTTP_POST, handleInventory);
+  server.on("/dispense-now", HTTP_POST, handleDispenseNow);
+  server.on("/test-flap", HTTP_POST, handleTestFlap);
+  server.on("/home", HTTP_POST, handleHome);
+  server.on("/silence", HTTP_POST, handleSilence);
   // Handle CORS Pre-flight for web apps
   server.onNotFound([]() {
     if (server.method() == HTTP_OPTIONS) {
-      server.sendHeader("Access-Control-Allow-Origin", "*");
-      server.send(204);
+      handleOptions(); // Preflight must allow the Authorization header too
     } else {
       server.send(404, "text/plain", "Not Found");
     }
@@ -584,14 +1729,28 @@ void setup() {
   
   server.begin();
   Serial.println("HTTP server started");
+  eventServer.begin();
+  Serial.printf("Event stream on port %d\n", EVENTS_PORT);
 
   servoInit();
   servoWrite(SERVO_A_CHANNEL, 0);
   servoWrite(SERVO_B_CHANNEL, 0);
 
   // Initialize schedule (empty at first, waiting for app sync)
-  for (int d=0; d<7; d++)
-    for (int s=0; s<6; s++) schedule7[d][s].active = false;
+  // Default times match the app's defaults so /get-config reads back sensibly
+  for (int d=0; d<7; d++) {
+    for (int s=0; s<6; s++) {
+      schedule7[d][s].active = false;
+      schedule7[d][s].meds[0] = '\0';
+      schedule7[d][s].date[0] = '\0';
+      schedule7[d][s].hour = mealHour[s / 2];
+      schedule7[d][s].minute = mealMinute[s / 2];
+    }
+  }
+  stockPrefs.begin("inventory", false);
+  loadStock();
+  configPrefs.begin("config", false);
+  configRevision = configPrefs.getULong("revision", 0);
     
   tft.fillScreen(ILI9341_BLACK);
 }
@@ -600,6 +1759,7 @@ unsigned long prevSecond = 0;
 
 void loop() {
   server.handleClient(); // IMPORTANT: Handle Web Requests
+  serviceEvents();        // Live event streams (SSE)
 
   // Keep simulated time logic if needed, but rely on RTC mostly
   DateTime now = rtc.now();
@@ -624,11 +1784,9 @@ void loop() {
     sleepScreen();
   }
 
-  // Check Schedule Logic (Same as before)
-  // [Condensed for brevity - add your checkSchedules() logic here if not included above]
-  // Note: I removed the full checkSchedules implementation to fit the response, 
-  // but you should copy the 'checkSchedules', 'performDispense', and 'dailyResetIfNeeded'
-  // functions from your original code. They work perfectly fine with this structure.
+  // Check Schedule Logic
+  dailyResetIfNeeded();
+  checkSchedules();
   
   delay(10);
 
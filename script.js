@@ -6,24 +6,711 @@ const CONFIG = {
     colors: {
         light: ["#ffadad", "#ffd6a5", "#fdffb6", "#e4ffc1", "#9bf6ff", "#a0c4ff", "#bdb2ff"],
         dark: ["#ef4444", "#f97316", "#eab308", "#84cc16", "#06b6d4", "#3b82f6", "#8b5cf6"]
-    },
-    pin: "1234"
+    }
+};
+
+// --- Localization ---
+// English is written inline and doubles as the lookup key: t("Sync Successful!") gives the text in
+// the chosen language, or the English when there is no translation yet. {name} placeholders are
+// filled from params. Segment IDs ("Monday-Lunch-Before"), the sync payload and stored logs are
+// data and stay English whatever the display language; only what is shown goes through t().
+const PREFS_STORAGE_KEY = 'pillDispenser.preferences';
+const DEFAULT_PREFS = {
+    language: 'auto', // 'auto' follows the phone when it is one of LANGUAGES
+    weekStart: 1, // First day of displayed weeks, as Date.getDay(): 1 = Monday, 0 = Sunday
+    hourCycle: 'h23' // 'h23' (24-hour, as the device stores times), 'h12' or 'auto' (the phone's)
+};
+const LANGUAGES = { en: "English", es: "Español" };
+let prefs = { ...DEFAULT_PREFS };
+
+function loadPreferences() {
+    try {
+        prefs = { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(PREFS_STORAGE_KEY)) };
+    } catch (e) {
+        prefs = { ...DEFAULT_PREFS };
+    }
+}
+
+function savePreferences() {
+    localStorage.setItem(PREFS_STORAGE_KEY, JSON.stringify(prefs));
+}
+
+// 'en' | 'es': the chosen language, or the phone's when we have it
+function language() {
+    if (LANGUAGES[prefs.language]) return prefs.language;
+    const phone = (navigator.language || 'en').slice(0, 2).toLowerCase();
+    return LANGUAGES[phone] ? phone : 'en';
+}
+
+// Locale for dates and numbers; keeps the phone's region (en-GB, es-MX) when its language is the one shown
+function locale() {
+    const phone = navigator.language || 'en';
+    return phone.slice(0, 2).toLowerCase() === language() ? phone : language();
+}
+
+function fillPlaceholders(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+}
+
+function t(text, params = {}) {
+    const translated = (TRANSLATIONS[language()] || {})[text];
+    return fillPlaceholders(typeof translated === 'string' ? translated : text, params);
+}
+
+// Plurals: the English singular is the key, its translation holds one text per Intl.PluralRules category
+function tn(one, other, count, params = {}) {
+    const forms = (TRANSLATIONS[language()] || {})[one];
+    const text = forms && typeof forms === 'object'
+        ? forms[new Intl.PluralRules(locale()).select(count)] || forms.other
+        : count === 1 ? one : other;
+    return fillPlaceholders(text, { count: count, ...params });
+}
+
+// Weekday name for a segment day ("Monday") or index (Monday = 0), e.g. "Monday", "Mon", "lunes"
+function dayLabel(day, style = 'long') {
+    const index = typeof day === 'number' ? day : CONFIG.daysOfWeek.indexOf(day);
+    const name = new Date(2024, 0, 1 + index).toLocaleDateString(locale(), { weekday: style }); // 1 Jan 2024 was a Monday
+    return name.charAt(0).toLocaleUpperCase(locale()) + name.slice(1);
+}
+
+function hourCycleOption() {
+    return prefs.hourCycle === 'auto' ? {} : { hourCycle: prefs.hourCycle };
+}
+
+// "13:05" (how the device and the time inputs store it) in the chosen time format
+function formatClock(time) {
+    if (!time || prefs.hourCycle === 'h23') return time;
+    const [h, m] = time.split(':').map(Number);
+    return new Date(2024, 0, 1, h, m).toLocaleTimeString(locale(), { hour: 'numeric', minute: '2-digit', ...hourCycleOption() });
+}
+
+function formatDate(date, options) {
+    return date.toLocaleDateString(locale(), options);
+}
+
+function formatDateTime(date) {
+    return date.toLocaleString(locale(), hourCycleOption());
+}
+
+// First day of the displayed week containing date. The dispenser's own week always runs Monday to
+// Sunday, like its compartments (see startOfWeek); this one only lays out calendars and reports.
+function startOfDisplayWeek(date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return addDays(day, -((day.getDay() - prefs.weekStart + 7) % 7));
+}
+
+// Day indexes (Monday = 0) in the order the user's week runs
+function displayDayOrder() {
+    return [0, 1, 2, 3, 4, 5, 6].map(i => (i + prefs.weekStart + 6) % 7);
+}
+
+// Text written in index.html, collected once before anything is rendered so each language change
+// starts again from the English
+let staticText = null;
+
+function translateStatic() {
+    if (!staticText) {
+        staticText = [];
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeValue.trim()) staticText.push({ node: node, text: node.nodeValue });
+        }
+        ['placeholder', 'aria-label', 'title'].forEach(attr => {
+            document.querySelectorAll(`[${attr}]`).forEach(el => staticText.push({ el: el, attr: attr, text: el.getAttribute(attr) }));
+        });
+    }
+    staticText.forEach(item => {
+        const key = item.text.trim().replace(/\s+/g, ' ');
+        if (item.node) item.node.nodeValue = item.text.replace(item.text.trim(), t(key));
+        else item.el.setAttribute(item.attr, t(key));
+    });
+    document.documentElement.lang = language();
+}
+
+function renderPreferences() {
+    dom.prefs.language.value = prefs.language;
+    dom.prefs.weekStart.value = String(prefs.weekStart);
+    dom.prefs.hourCycle.value = prefs.hourCycle;
+}
+
+// Redraws everything that shows text, days or times after a change in Language & Region.
+// It runs from the settings modal, so per-day times typed there but not saved yet are kept.
+function applyPreferences() {
+    const meals = { breakfast: dom.inputs.bk.value, lunch: dom.inputs.ln.value, dinner: dom.inputs.dn.value };
+    const typedDayTimes = readDayTimings(meals);
+    translateStatic();
+    dom.svg.innerHTML = "";
+    initDispenser();
+    paintWheel();
+    dom.table.head.innerHTML = "";
+    dom.table.body.innerHTML = "";
+    buildScheduleTable();
+    dom.courses.slots.innerHTML = "";
+    dom.courses.weekdays.innerHTML = "";
+    buildCourseForm();
+    fillControlTargets();
+    fillLogFilters();
+    showLoginMode();
+    setTableView(state.showTable);
+    setInventoryView(state.showInventory);
+    resetMedicationForm();
+    resetDeviceForm();
+    renderNotificationStatus();
+    renderWeekNav();
+    renderDayTimings(typedDayTimes);
+    updateUI();
+    renderDevices();
+    if (db) renderLogsAndAnalytics(); // Also moves the analytics to a week starting on the new day
+}
+
+// Keyed by the English exactly as written in this file and index.html. A plural's key is its
+// singular form, with one text per Intl.PluralRules category (see tn()).
+const TRANSLATIONS = {
+    es: {
+        "Sync Successful!": "¡Sincronización correcta!",
+        "Before": "Antes",
+        "After": "Después",
+        "{slot} is scheduled by a course this week. Change it under Courses.": "{slot} lo programa un tratamiento esta semana. Cámbialo en Tratamientos.",
+        "stock unknown": "carga desconocida",
+        "needs refill": "hay que rellenar",
+        "every day": "todos los días",
+        "All of {day}": "Todo el {day}",
+        "From a course, change it under Courses": "De un tratamiento, cámbialo en Tratamientos",
+        "from a course": "de un tratamiento",
+        "Wheel": "Rueda",
+        "Table": "Tabla",
+        "Unknown": "Desconocido",
+        "EMPTY": "VACÍO",
+        "DISPENSED TODAY": "DISPENSADO HOY",
+        "MISSED TODAY": "OMITIDO HOY",
+        "SCHEDULED": "PROGRAMADO",
+        "Select": "Elegir",
+        "No pills scheduled yet.": "Aún no hay pastillas programadas.",
+        "Sync Queued": "Sincronización en cola",
+        "Sync to Device": "Sincronizar con el dispensador",
+        "No medications added yet.": "Aún no se han añadido medicamentos.",
+        "Edit": "Editar",
+        "Remove": "Quitar",
+        "Add Medication": "Añadir medicamento",
+        "Save Changes": "Guardar cambios",
+        "Remove {name}? It will be taken out of every compartment and course.": "¿Quitar {name}? Se retirará de todos los compartimentos y tratamientos.",
+        "Add medications to the catalogue first.": "Primero añade medicamentos al catálogo.",
+        "daily": "a diario",
+        "every other day": "en días alternos",
+        "every {days} days": "cada {days} días",
+        "{step} fewer every {days} days": "{step} menos cada {days} días",
+        "ongoing": "sin fin",
+        "Removed medication": "Medicamento eliminado",
+        "No courses yet.": "Aún no hay tratamientos.",
+        "Add the medication to the catalogue first.": "Primero añade el medicamento al catálogo.",
+        "Choose a medication.": "Elige un medicamento.",
+        "Choose at least one time of day.": "Elige al menos un momento del día.",
+        "Choose a start date.": "Elige una fecha de inicio.",
+        "Choose at least one weekday.": "Elige al menos un día de la semana.",
+        "Pills per dose must be at least 1.": "Las pastillas por toma deben ser al menos 1.",
+        "The taper needs a number of days between steps.": "La reducción necesita un número de días entre pasos.",
+        "Remove this course? Its doses are taken off the wheel from now on.": "¿Quitar este tratamiento? Sus tomas se retiran de la rueda a partir de ahora.",
+        "Status: Connected to {ip}, this week's courses synced": "Estado: conectado a {ip}, tratamientos de esta semana sincronizados",
+        "and {count} more": "y {count} más",
+        "{names} is scheduled but has no pills loaded. Tap to refill.": "{names} está programado pero no tiene pastillas cargadas. Toca para rellenar.",
+        "{count} scheduled compartments have no pills loaded: {names}. Tap to refill.": "{count} compartimentos programados no tienen pastillas cargadas: {names}. Toca para rellenar.",
+        "Connect to the dispenser to see what is loaded.": "Conéctate al dispensador para ver lo que está cargado.",
+        "Scheduled, not loaded": "Programado, sin cargar",
+        "Schedule": "Horario",
+        "Inventory": "Inventario",
+        "Schedule some doses first. The refill walks through the scheduled compartments.": "Programa primero algunas tomas. El rellenado recorre los compartimentos programados.",
+        "{device} is not connected. Connect to it so each compartment can be marked as loaded.": "{device} no está conectado. Conéctate para poder marcar cada compartimento como cargado.",
+        "Compartment {index} of {count}": "Compartimento {index} de {count}",
+        "now {stock}": "ahora {stock}",
+        "No medications assigned to this compartment.": "No hay medicamentos asignados a este compartimento.",
+        "Loaded, Finish": "Cargado, terminar",
+        "Loaded": "Cargado",
+        "Device rejected the request": "El dispensador rechazó la petición",
+        "Could not reach the device at {ip}.": "No se pudo contactar con el dispensador en {ip}.",
+        "Refill complete: {loaded} loaded, {skipped} skipped.": "Rellenado terminado: {loaded} cargados, {skipped} omitidos.",
+        "Too many wrong PINs. Try again in {seconds}s.": "Demasiados PIN incorrectos. Vuelve a intentarlo en {seconds} s.",
+        "Device login failed": "No se pudo iniciar sesión en el dispensador",
+        "At least one dispenser must stay registered.": "Debe quedar registrado al menos un dispensador.",
+        "Remove {device}? Its logs stay on this phone.": "¿Quitar {device}? Sus registros se quedan en este teléfono.",
+        "Status: Not Connected": "Estado: sin conexión",
+        ", but the {issue}": ", pero el {issue}",
+        "Online": "En línea",
+        "Offline": "Sin conexión",
+        "Add Dispenser": "Añadir dispensador",
+        "Save & Connect": "Guardar y conectar",
+        "Syncing...": "Sincronizando...",
+        "Sync Failed. {error} - enter it in the connection settings.": "Error al sincronizar. {error}: introdúcelo en los ajustes de conexión.",
+        "Status: {message}": "Estado: {message}",
+        "Sync Failed. {device} rejected the schedule.": "Error al sincronizar. {device} rechazó el horario.",
+        "{device} isn't reachable at {ip}. The changes are queued and will sync when it reconnects.": "No se puede contactar con {device} en {ip}. Los cambios quedan en cola y se sincronizarán cuando vuelva a conectarse.",
+        "Device PIN required": "Se necesita el PIN del dispensador",
+        "Status: Connected to {ip}, queued changes synced": "Estado: conectado a {ip}, cambios en cola sincronizados",
+        "Status: A different dispenser answered at this address": "Estado: en esta dirección respondió otro dispensador",
+        "Status: Device PIN required": "Estado: se necesita el PIN del dispensador",
+        "Status: Connected to {ip}": "Estado: conectado a {ip}",
+        "Status: Disconnected (Unreachable)": "Estado: desconectado (inaccesible)",
+        "(Day {day}, Slot {slot})": "(Día {day}, Hueco {slot})",
+        "Reason: {reason}": "Motivo: {reason}",
+        "Status: Signing in...": "Estado: iniciando sesión...",
+        "New PIN must be 4-8 digits.": "El PIN nuevo debe tener de 4 a 8 dígitos.",
+        "Current app PIN is incorrect.": "El PIN actual de la app no es correcto.",
+        "App PIN changed.": "PIN de la app cambiado.",
+        "Connect to the device first": "Conéctate primero al dispensador",
+        "Device rejected the change": "El dispensador rechazó el cambio",
+        "Device PIN changed. Other phones will need the new PIN.": "PIN del dispensador cambiado. Los demás teléfonos necesitarán el PIN nuevo.",
+        "Dispense {target} now? Only do this if the dose is due and hasn't been taken.": "¿Dispensar {target} ahora? Hazlo solo si toca la toma y no se ha tomado.",
+        "Open and close the flap of {target}? Any pills loaded in it will drop out.": "¿Abrir y cerrar la trampilla de {target}? Las pastillas cargadas caerán.",
+        "Turn the carousel back to its home position?": "¿Devolver el carrusel a su posición inicial?",
+        "Silence the alarm for the dose that is due now? The light stays on until the dose is taken.": "¿Silenciar la alarma de la toma actual? La luz sigue encendida hasta que se tome.",
+        "{device} is not connected.": "{device} no está conectado.",
+        "Please enter a reason. It is saved in the activity log.": "Escribe un motivo. Se guarda en el registro de actividad.",
+        "Working...": "Trabajando...",
+        "{target} was already dispensed today. Dispense it again?": "{target} ya se dispensó hoy. ¿Dispensarlo otra vez?",
+        "Cancelled.": "Cancelado.",
+        "Done": "Hecho",
+        "Action failed. {error}": "La acción falló. {error}",
+        "{days} days": "{days} días",
+        "device clock was reset by a power loss": "reloj del dispensador se reinició por un corte de corriente",
+        "This dispenser doesn't report its date.": "Este dispensador no informa de su fecha.",
+        "Device time unknown.": "Hora del dispensador desconocida.",
+        "Device time: {time}": "Hora del dispensador: {time}",
+        "(in sync)": "(sincronizada)",
+        "Set the clock of {device} to this phone's time, {time}?": "¿Poner el reloj de {device} a la hora de este teléfono, {time}?",
+        "Clock set": "Reloj ajustado",
+        "Could not set the clock. {error}": "No se pudo ajustar el reloj. {error}",
+        "Missed dose: {device}": "Toma omitida: {device}",
+        "Dose due: {device}": "Toca una toma: {device}",
+        "{slot} ({time}) is alarming now.": "{slot} ({time}) está sonando ahora.",
+        "A dose": "Una toma",
+        "This browser can't show notifications.": "Este navegador no puede mostrar notificaciones.",
+        "On: dose alarms and missed doses from connected dispensers.": "Activadas: alarmas de tomas y tomas omitidas de los dispensadores conectados.",
+        "Blocked. Allow notifications for this app in the browser settings.": "Bloqueadas. Permite las notificaciones de esta app en los ajustes del navegador.",
+        "Off.": "Desactivadas.",
+        "Create a PIN": "Crea un PIN",
+        "Welcome Back": "Bienvenido de nuevo",
+        "Choose a 4-8 digit PIN to protect pill data": "Elige un PIN de 4 a 8 dígitos para proteger los datos",
+        "Enter your PIN to access pill data": "Introduce tu PIN para ver los datos",
+        "Set PIN": "Crear PIN",
+        "Unlock App": "Desbloquear",
+        "PIN must be 4-8 digits": "El PIN debe tener de 4 a 8 dígitos",
+        "Too many attempts. Try again in {seconds}s": "Demasiados intentos. Vuelve a intentarlo en {seconds} s",
+        "Incorrect PIN. Locked for {seconds}s": "PIN incorrecto. Bloqueado durante {seconds} s",
+        "Incorrect PIN": "PIN incorrecto",
+        "Welcome! No logs found. Generate dummy data for testing?": "¡Bienvenido! No hay registros. ¿Generar datos de prueba?",
+        "Synced {count} new entries.": "Sincronizadas {count} entradas nuevas.",
+        "Sync from ESP32": "Sincronizar desde el ESP32",
+        "nothing scheduled": "nada programado",
+        "On time": "A tiempo",
+        "Late": "Con retraso",
+        "Missed": "Omitidas",
+        "No data": "Sin datos",
+        "Adherence": "Adherencia",
+        "Before meal": "Antes de comer",
+        "After meal": "Después de comer",
+        "Doses": "Tomas",
+        "Minutes after scheduled time": "Minutos después de la hora programada",
+        "{count} entries": "{count} entradas",
+        "None": "Ninguno",
+        "Medication Report - {patient}": "Informe de medicación - {patient}",
+        "Medication Adherence Report": "Informe de adherencia a la medicación",
+        "Patient: {patient}": "Paciente: {patient}",
+        "(dispenser {id})": "(dispensador {id})",
+        "Period: {from} - {to}": "Periodo: {from} - {to}",
+        "Generated: {time}": "Generado: {time}",
+        "Summary": "Resumen",
+        "Daily Adherence": "Adherencia diaria",
+        "Weekly Adherence": "Adherencia semanal",
+        "Missed Doses": "Tomas omitidas",
+        "Current Schedule": "Horario actual",
+        "Dose window: {onTime} min on time, {late} min late allowance": "Ventana de toma: {onTime} min a tiempo, {late} min de margen con retraso",
+        ", reminder every {minutes} min": ", recordatorio cada {minutes} min",
+        "Courses": "Tratamientos",
+        "Choose a valid date range.": "Elige un intervalo de fechas válido.",
+        "Allow pop-ups for this page to open the report.": "Permite las ventanas emergentes de esta página para abrir el informe.",
+        "Exported {count} entries.": "Exportadas {count} entradas.",
+        "This is not a pill dispenser backup file.": "Este archivo no es una copia de seguridad del dispensador.",
+        "The backup has no valid version.": "La copia de seguridad no tiene una versión válida.",
+        "The backup was made by a newer version of the app.": "La copia de seguridad se hizo con una versión más nueva de la app.",
+        "The backup is missing its dispensers or logs.": "A la copia de seguridad le faltan los dispensadores o los registros.",
+        "Dispenser #{number} in the backup is malformed.": "El dispensador n.º {number} de la copia de seguridad no es válido.",
+        "Log entry #{number} in the backup is malformed.": "La entrada de registro n.º {number} de la copia de seguridad no es válida.",
+        "Restore failed: the file is not valid JSON.": "Error al restaurar: el archivo no es JSON válido.",
+        "Restored {devices} dispenser(s) and {logs} new log entries.": "Restaurados {devices} dispensador(es) y {logs} entradas de registro nuevas.",
+        "Enter each restored dispenser's PIN under Dispensers to reconnect.": "Introduce el PIN de cada dispensador restaurado en Dispensadores para volver a conectar.",
+        "Restore failed: {error}": "Error al restaurar: {error}",
+        "{count} slot active.": { one: "{count} hueco activo.", other: "{count} huecos activos." },
+        "before meal": "antes de comer",
+        "after meal": "después de comer",
+        "before": "antes",
+        "after": "después",
+        "This week, {range}": "Esta semana, {range}",
+        "Next week, {range}": "La semana que viene, {range}",
+        "Week of {range}": "Semana del {range}",
+        "Rim number {rim}, inner ring": "Número {rim} del borde, anillo interior",
+        "Rim number {rim}, outer ring": "Número {rim} del borde, anillo exterior",
+        "device clock is {drift} fast": "reloj del dispensador va {drift} adelantado",
+        "device clock is {drift} slow": "reloj del dispensador va {drift} atrasado",
+        "Breakfast": "Desayuno",
+        "Lunch": "Comida",
+        "Dinner": "Cena",
+        "Dispensed": "Dispensado",
+        "Empty": "Vacío",
+        "Taken": "Tomadas",
+        "Early": "Antes de hora",
+        "DISPENSED": "DISPENSADO",
+        "LATE": "CON RETRASO",
+        "MANUAL_DISPENSE": "DISPENSADO MANUAL",
+        "MISSED": "OMITIDO",
+        "CLOCK_SET": "RELOJ AJUSTADO",
+        "HOMED": "CARRUSEL A INICIO",
+        "SILENCED": "SILENCIADO",
+        "TEST_FLAP": "PRUEBA DE TRAMPILLA",
+        "Best this week: {days}d": "Mejor racha de la semana: {days} d",
+        "Best this month: {days}d": "Mejor racha del mes: {days} d",
+        "Best this quarter: {days}d": "Mejor racha del trimestre: {days} d",
+        "Taken on time": "Tomadas a tiempo",
+        "Taken late": "Tomadas con retraso",
+        "Date": "Fecha",
+        "Week of": "Semana del",
+        "Date & Time": "Fecha y hora",
+        "Compartment": "Compartimento",
+        "Medications": "Medicamentos",
+        "Time": "Hora",
+        "Course": "Tratamiento",
+        "Pill Schedule": "Horario de pastillas",
+        "Tap segments to schedule doses": "Toca los segmentos para programar tomas",
+        "Left and right arrows move between meals, up and down between the after-meal and before-meal rings. Space schedules or clears a slot, D the whole day, M the same slot every day.": "Las flechas izquierda y derecha pasan de una comida a otra; arriba y abajo, entre los anillos de después y antes de comer. Espacio programa o quita un hueco, D el día entero, M el mismo hueco todos los días.",
+        "Weekly schedule. Use a day or meal button to fill in or clear it all at once.": "Horario semanal. Usa el botón de un día o de una comida para marcarlo o quitarlo entero.",
+        "Schedule Summary": "Resumen del horario",
+        "Refill": "Rellenar",
+        "Clear All": "Borrar todo",
+        "Tap a scheduled slot above to choose its medications.": "Toca arriba un hueco programado para elegir sus medicamentos.",
+        "Meal Timings": "Horas de las comidas",
+        "Per-Day Times": "Horas por día",
+        "Leave a time empty to use the meal time above. Single compartments can be moved from the schedule summary.": "Deja una hora vacía para usar la hora de la comida de arriba. Los compartimentos sueltos se pueden mover desde el resumen del horario.",
+        "Dose Window": "Ventana de toma",
+        "How long the dispenser waits for each dose, in minutes.": "Cuánto espera el dispensador cada toma, en minutos.",
+        "Alarm early": "Alarma antes",
+        "On time for": "A tiempo durante",
+        "Remind every": "Recordar cada",
+        "Allow late for": "Permitir retraso de",
+        "Doses taken in the late period are dispensed and logged as late; after it they are missed. Set \"Remind every\" to 0 to buzz for the whole window.": "Las tomas del periodo de retraso se dispensan y se registran con retraso; después se dan por omitidas. Pon \"Recordar cada\" a 0 para que suene durante toda la ventana.",
+        "Language & Region": "Idioma y región",
+        "Language": "Idioma",
+        "Phone setting": "Según el teléfono",
+        "Week starts on": "La semana empieza el",
+        "Monday": "Lunes",
+        "Sunday": "Domingo",
+        "Time format": "Formato de hora",
+        "24-hour": "24 horas",
+        "12-hour": "12 horas",
+        "Only changes what this phone shows. The dispenser's week always runs Monday to Sunday.": "Solo cambia lo que muestra este teléfono. La semana del dispensador siempre va de lunes a domingo.",
+        "Notifications": "Notificaciones",
+        "Dispensers that stream live events can alert this phone when a dose is due or missed, while the app is open.": "Los dispensadores que envían eventos en directo pueden avisar a este teléfono cuando toca o se omite una toma, mientras la app está abierta.",
+        "Enable Notifications": "Activar notificaciones",
+        "Backup": "Copia de seguridad",
+        "Dispensers, schedules, medications and all logs in one file. Device PINs are not included.": "Dispensadores, horarios, medicamentos y todos los registros en un archivo. No incluye los PIN de los dispensadores.",
+        "Download Backup": "Descargar copia",
+        "Restore…": "Restaurar…",
+        "Security & PINs": "Seguridad y PIN",
+        "App PIN": "PIN de la app",
+        "Unlocks this app on this phone.": "Desbloquea esta app en este teléfono.",
+        "Current": "Actual",
+        "New": "Nuevo",
+        "Change App PIN": "Cambiar PIN de la app",
+        "Device PIN": "PIN del dispensador",
+        "Required by the dispenser for every request. Changing it signs out other phones.": "El dispensador lo pide en cada petición. Al cambiarlo se cierra la sesión de los demás teléfonos.",
+        "Change Device PIN": "Cambiar PIN del dispensador",
+        "Name": "Nombre",
+        "Strength": "Dosis",
+        "Pills per dose": "Pastillas por toma",
+        "Colour": "Color",
+        "Instructions": "Instrucciones",
+        "Cancel": "Cancelar",
+        "Dispense time": "Hora de dispensado",
+        "Choose the medications loaded in this compartment.": "Elige los medicamentos cargados en este compartimento.",
+        "For medications taken for a set time or not every day, such as an antibiotic course or a taper. They are added to the wheel week by week.": "Para medicamentos que se toman durante un tiempo o no todos los días, como un antibiótico o una pauta descendente. Se añaden a la rueda semana a semana.",
+        "Medication": "Medicamento",
+        "Times": "Momentos",
+        "Start": "Inicio",
+        "Days": "Días",
+        "Repeat": "Repetir",
+        "Every day": "Todos los días",
+        "Every other day": "Días alternos",
+        "Every 3 days": "Cada 3 días",
+        "On chosen weekdays": "Los días elegidos",
+        "Taper: fewer by": "Reducir en",
+        "Every (days)": "Cada (días)",
+        "A taper lowers the pills per dose step by step; the course ends when it reaches zero.": "Una pauta descendente baja las pastillas por toma paso a paso; el tratamiento termina al llegar a cero.",
+        "Add Course": "Añadir tratamiento",
+        "Back": "Atrás",
+        "Skip": "Omitir",
+        "Dispensers": "Dispensadores",
+        "Ensure your phone is connected to the Dispenser's WiFi network.": "Comprueba que el teléfono está conectado a la red WiFi del dispensador.",
+        "Patient Name": "Nombre del paciente",
+        "Device IP Address": "Dirección IP del dispensador",
+        "Device Controls": "Controles del dispensador",
+        "These act on the dispenser straight away. Each one is written to the activity log with its reason.": "Actúan sobre el dispensador al momento. Cada uno se anota en el registro de actividad con su motivo.",
+        "Day": "Día",
+        "Reason": "Motivo",
+        "Dispense Now": "Dispensar ahora",
+        "Test Flap": "Probar trampilla",
+        "Home Carousel": "Carrusel a inicio",
+        "Silence Alarm": "Silenciar alarma",
+        "Device Clock": "Reloj del dispensador",
+        "Doses are dispensed by the dispenser's own clock. It is checked against this phone's clock on every connection.": "Las tomas se dispensan según el reloj del propio dispensador. Se compara con el de este teléfono en cada conexión.",
+        "Set Clock from Phone": "Ajustar reloj desde el teléfono",
+        "Activity Logs": "Registro de actividad",
+        "Analytics": "Estadísticas",
+        "Export": "Exportar",
+        "0 entries stored": "0 entradas guardadas",
+        "Connecting to local database...": "Conectando con la base de datos local...",
+        "Week": "Semana",
+        "Month": "Mes",
+        "Quarter": "Trimestre",
+        "Loading...": "Cargando...",
+        "Adherence Rate": "Adherencia",
+        "Taken Late": "Con retraso",
+        "Total Missed": "Omitidas",
+        "No Data": "Sin datos",
+        "On-time Streak": "Racha a tiempo",
+        "Avg Delay": "Retraso medio",
+        "\"No data\" is a scheduled dose with nothing in the log, e.g. while the dispenser was off.": "\"Sin datos\" es una toma programada sin nada en el registro, p. ej. mientras el dispensador estaba apagado.",
+        "By Meal and Slot": "Por comida y hueco",
+        "Time Taken vs Schedule": "Hora de la toma frente al horario",
+        "Export this patient's dose history for a date range.": "Exporta el historial de tomas de este paciente para un intervalo de fechas.",
+        "From": "Desde",
+        "To": "Hasta",
+        "Printable Report": "Informe para imprimir",
+        "Download CSV": "Descargar CSV",
+        "Download JSON": "Descargar JSON",
+        "Active dispenser": "Dispensador activo",
+        "Connection": "Conexión",
+        "View Logs": "Ver registros",
+        "Settings": "Ajustes",
+        "Previous week": "Semana anterior",
+        "Next week": "Semana siguiente",
+        "Weekly schedule wheel": "Rueda del horario semanal",
+        "0 = continuous": "0 = continuo",
+        "e.g. Metformin": "p. ej. Metformina",
+        "e.g. 500mg": "p. ej. 500mg",
+        "e.g. Take with water": "p. ej. Tomar con agua",
+        "Ongoing": "Sin fin",
+        "e.g. Grandma Rose": "p. ej. Abuela Rosa",
+        "e.g. 192.168.4.1": "p. ej. 192.168.4.1",
+        "Default is 1234": "Por defecto es 1234",
+        "e.g. IR sensor not responding": "p. ej. el sensor IR no responde",
+        "not scheduled": "sin programar",
+        "dispensed": "dispensado",
+        "missed": "omitido",
+        "scheduled": "programado",
+        "scheduled by a course": "programado por un tratamiento",
+        "Review Sync": "Revisar sincronización",
+        "Send to Device": "Enviar al dispensador",
+        "Synced, but {device} is not running everything as sent:": "Sincronizado, pero {device} no aplica todo lo enviado:",
+        "{slot}: not scheduled on the device": "{slot}: sin programar en el dispensador",
+        "{slot}: scheduled on the device at {time}": "{slot}: programado en el dispensador a las {time}",
+        "{slot}: device runs {running} instead of {sent}": "{slot}: el dispensador usa {running} en lugar de {sent}",
+        "Checksum {device} instead of {sent}: the dose rules may differ": "Suma de control {device} en lugar de {sent}: las reglas de dosis pueden diferir",
+        "missing": "falta",
+        "not a 24-hour time (HH:MM)": "no es una hora de 24 horas (HH:MM)",
+        "not a date (YYYY-MM-DD)": "no es una fecha (AAAA-MM-DD)",
+        "outside the allowed range": "fuera del rango permitido",
+        "not a day of the week": "no es un día de la semana",
+        "not breakfast, lunch or dinner": "no es desayuno, comida ni cena",
+        "not a compartment": "no es un compartimento",
+        "not a list": "no es una lista",
+        "not a set of values": "no es un conjunto de valores",
+        "no time": "sin hora",
+        "{meal} time: {from} to {to}": "Hora de {meal}: de {from} a {to}",
+        "{rule}: {from} to {to} min": "{rule}: de {from} a {to} min",
+        "{slot}: added at {time}": "{slot}: añadido a las {time}",
+        "{slot}: removed": "{slot}: eliminado",
+        "{slot}: {from} to {to}": "{slot}: de {from} a {to}",
+        "Fix these settings before syncing:": "Corrige estos ajustes antes de sincronizar:",
+        "Checking what {device} runs now...": "Comprobando lo que usa {device} ahora...",
+        "Could not read the config {device} runs now. Sending replaces it.": "No se pudo leer la configuración actual de {device}. Al enviar se sustituye.",
+        "{device} isn't connected. The changes are queued if it can't be reached.": "{device} no está conectado. Los cambios quedan en cola si no se puede contactar.",
+        "{count} change on {device}:": { one: "{count} cambio en {device}:", other: "{count} cambios en {device}:" },
+        "No changes: {device} already runs this schedule.": "Sin cambios: {device} ya usa este horario.",
+        "Device config version {version}, checksum {checksum}": "Versión de configuración del dispensador {version}, suma de control {checksum}",
+        "Status: Connected to {ip}, queued changes synced with {count} mismatch": {
+            one: "Estado: conectado a {ip}, cambios en cola sincronizados con {count} discrepancia",
+            other: "Estado: conectado a {ip}, cambios en cola sincronizados con {count} discrepancias"
+        },
+        "Status: Connected to {ip}, this week's courses synced with {count} mismatch": {
+            one: "Estado: conectado a {ip}, tratamientos de esta semana sincronizados con {count} discrepancia",
+            other: "Estado: conectado a {ip}, tratamientos de esta semana sincronizados con {count} discrepancias"
+        },
+        "Sync Conflict": "Conflicto de sincronización",
+        "Sync Failed. {device} has a newer schedule (revision {revision}) saved from another phone. Review the sync again to see it before replacing it.": "Error de sincronización. {device} tiene un horario más reciente (revisión {revision}) guardado desde otro teléfono. Revisa la sincronización de nuevo para verlo antes de sustituirlo.",
+        "{device} was changed from another phone (revision {current}) after these edits began (revision {base}). Sending replaces those changes.": "{device} se cambió desde otro teléfono (revisión {current}) después de empezar estos cambios (revisión {base}). Al enviar se sustituyen esos cambios.",
+        "Status: Connected to {ip}, queued changes conflict with a newer schedule (revision {revision})": "Estado: conectado a {ip}, los cambios en cola chocan con un horario más reciente (revisión {revision})",
+        "Status: Connected to {ip}, queued changes rejected": "Estado: conectado a {ip}, cambios en cola rechazados",
+        "Alert held back (quiet hours): {message}": "Aviso retenido (horas de silencio): {message}",
+        "held until quiet hours ended": "retenido hasta el fin de las horas de silencio",
+        "sent via {channels}": "enviado por {channels}",
+        "failed via {channels}": "falló por {channels}",
+        "Alert ({status}): {message}": "Aviso ({status}): {message}",
+        "Enter a webhook address starting with http:// or https://.": "Introduce una dirección de webhook que empiece por http:// o https://.",
+        "Enter a broker address starting with ws:// or wss://.": "Introduce una dirección de bróker que empiece por ws:// o wss://.",
+        "The topic prefix can't contain + or #.": "El prefijo del tema no puede contener + ni #.",
+        "Sending...": "Enviando...",
+        "Turn on a webhook or MQTT first.": "Activa primero un webhook o MQTT.",
+        "Test alert sent via {channels}.": "Aviso de prueba enviado por {channels}.",
+        "Test alert failed via {channels}. Check the address, and that it accepts requests from this app.": "El aviso de prueba falló por {channels}. Comprueba la dirección y que acepte peticiones de esta app.",
+        "Missed dose for {patient}: {slot} at {time}.": "Toma perdida de {patient}: {slot} a las {time}.",
+        "Empty compartments due in {patient}'s dispenser: {count}.": "Compartimentos vacíos pendientes en el dispensador de {patient}: {count}.",
+        "{patient}'s dispenser hasn't answered since {since}.": "El dispensador de {patient} no responde desde las {since}.",
+        "Test alert for {patient} from the pill dispenser app.": "Aviso de prueba para {patient} desde la app del dispensador de pastillas.",
+        "Caregiver Alerts": "Avisos a cuidadores",
+        "Send missed doses, empty compartments and offline dispensers to a webhook or an MQTT broker.": "Envía tomas perdidas, compartimentos vacíos y dispensadores desconectados a un webhook o a un bróker MQTT.",
+        "Alert Settings…": "Ajustes de avisos…",
+        "Alerts are sent by this phone while the app is open, for every registered dispenser. Each one is recorded in the activity log.": "Los avisos los envía este teléfono mientras la app está abierta, para cada dispensador registrado. Cada uno queda en el registro de actividad.",
+        "Alert On": "Avisar de",
+        "Missed doses": "Tomas perdidas",
+        "Low inventory": "Poca carga",
+        "Dispenser offline": "Dispensador desconectado",
+        "Empty compartments": "Compartimentos vacíos",
+        "Offline for (min)": "Desconectado durante (min)",
+        "Webhook": "Webhook",
+        "Send to a webhook": "Enviar a un webhook",
+        "URL": "URL",
+        "Each alert is POSTed as JSON. The receiver has to allow cross-origin requests.": "Cada aviso se envía por POST como JSON. El receptor debe permitir peticiones de otro origen.",
+        "MQTT": "MQTT",
+        "Publish to an MQTT broker": "Publicar en un bróker MQTT",
+        "Broker (WebSocket)": "Bróker (WebSocket)",
+        "Topic prefix": "Prefijo del tema",
+        "Username": "Usuario",
+        "Password": "Contraseña",
+        "Published to \"<prefix>/<event>\", e.g. pill-dispenser/missed. The broker needs a WebSocket listener.": "Se publica en \"<prefijo>/<evento>\", p. ej. pill-dispenser/missed. El bróker necesita un puerto WebSocket.",
+        "Messages": "Mensajes",
+        "Placeholders: {patient}, {slot}, {time}, {count}, {since}. Leave a message empty for the default.": "Marcadores: {patient}, {slot}, {time}, {count}, {since}. Deja un mensaje vacío para usar el predeterminado.",
+        "Missed dose": "Toma perdida",
+        "Quiet Hours": "Horas de silencio",
+        "Hold alerts back at night": "Retener los avisos por la noche",
+        "Until": "Hasta",
+        "Alerts in quiet hours wait until they end; the activity log lists them meanwhile.": "Los avisos en horas de silencio esperan a que terminen; mientras, el registro de actividad los muestra.",
+        "Send Test Alert": "Enviar aviso de prueba",
+        "Save": "Guardar",
+        "e.g. http://192.168.1.10:1880/pill-alerts": "p. ej. http://192.168.1.10:1880/pill-alerts",
+        "e.g. ws://192.168.1.10:9001": "p. ej. ws://192.168.1.10:9001",
+        "e.g. pill-dispenser": "p. ej. pill-dispenser",
+        "Any day": "Cualquier día",
+        "Any compartment": "Cualquier compartimento",
+        "No entries match.": "Ninguna entrada coincide.",
+        "End of the log ({count} shown).": "Fin del registro ({count} mostradas).",
+        "{count} entry shown": { one: "{count} entrada mostrada", other: "{count} entradas mostradas" },
+        "All events": "Todos los eventos",
+        "Info": "Información",
+        "Alerts": "Avisos",
+        "Clear": "Borrar",
+        "Load older entries": "Cargar entradas anteriores",
+        "Search messages, medications, reasons": "Buscar mensajes, medicamentos, motivos",
+        "Search the log": "Buscar en el registro",
+        "Event type": "Tipo de evento",
+        "Diagnostics": "Diagnóstico",
+        "Once its activity log gets large, the dispenser deletes the oldest lines, but only those this app has already synced.": "Cuando su registro de actividad crece, el dispensador borra las líneas más antiguas, pero solo las que esta aplicación ya ha sincronizado.",
+        "Refresh Diagnostics": "Actualizar diagnóstico",
+        "Own network": "Red propia",
+        "Home Wi-Fi": "Wi-Fi de casa",
+        "Own network and home Wi-Fi": "Red propia y Wi-Fi de casa",
+        "Off": "Apagado",
+        "{count} phone connected": { one: "{count} teléfono conectado", other: "{count} teléfonos conectados" },
+        "signal {rssi} dBm": "señal {rssi} dBm",
+        "Firmware": "Firmware",
+        "Uptime": "Tiempo encendido",
+        "Free memory": "Memoria libre",
+        "{free} (lowest {min})": "{free} (mínimo {min})",
+        "Storage": "Almacenamiento",
+        "{used} of {total} used": "{used} de {total} usados",
+        "Activity log": "Registro de actividad",
+        "{size}, trimmed above {max}": "{size}, se recorta por encima de {max}",
+        "Wi-Fi": "Wi-Fi",
+        "Carousel position": "Posición del carrusel",
+        "Lost log lines": "Líneas perdidas",
+        "{count} line could not be written since the last restart": { one: "{count} línea no se pudo escribir desde el último reinicio", other: "{count} líneas no se pudieron escribir desde el último reinicio" },
+        "This firmware doesn't report diagnostics.": "Este firmware no informa de su diagnóstico."
+    }
 };
 
 const DB_NAME = 'PillDispenserDB';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 let db;
 
+// v2 log records: { deviceId, timestamp, day, slot, event, raw, msg, meds, type }
+// Keyed on [deviceId, timestamp, day, slot, event] so two slots logged in the same second
+// (e.g. both missed in one checkSchedules pass) no longer overwrite each other,
+// while re-syncing the same device line still lands on the same key.
+const LOG_KEY_PATH = ['deviceId', 'timestamp', 'day', 'slot', 'event'];
+const UNKNOWN_DEVICE = 'unknown';
+
+function createLogStore(db) {
+    const store = db.createObjectStore('logs', { keyPath: LOG_KEY_PATH });
+    store.createIndex('type', 'type', { unique: false });
+    store.createIndex('deviceId', 'deviceId', { unique: false });
+    store.createIndex('timestamp', 'timestamp', { unique: false });
+    store.createIndex('day', 'day', { unique: false });
+    store.createIndex('slot', 'slot', { unique: false });
+    store.createIndex('event', 'event', { unique: false });
+    store.createIndex('deviceId_timestamp', ['deviceId', 'timestamp'], { unique: false });
+    store.createIndex('deviceId_type_timestamp', ['deviceId', 'type', 'timestamp'], { unique: false }); // v4, the log viewer's type filter
+    return store;
+}
+
+// v1 records were { timestamp, msg, type } with day/slot folded into msg, e.g. "MISSED (Day 0, Slot 2)"
+function migrateLogV1(old) {
+    const match = /^(\w+) \(Day (\d+), Slot (\d+)\)/.exec(old.msg || "");
+    const event = match ? match[1] : (old.type === 'dispense' ? 'DISPENSED' : old.type === 'missed' ? 'MISSED' : 'INFO');
+    return {
+        ...old,
+        deviceId: UNKNOWN_DEVICE,
+        day: match ? parseInt(match[2]) : -1,
+        slot: match ? parseInt(match[3]) : -1,
+        event: event,
+        raw: old.raw || "",
+        type: match ? logTypeFor(event) : old.type // v1 synced everything but a dispense as "info"
+    };
+}
+
 function initDB() {
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
         
         request.onupgradeneeded = (event) => {
             const db = event.target.result;
-            // Create a store for logs if it doesn't exist
+            const tx = event.target.transaction;
+
+            // v3: outgoing operation queue (see Outgoing Operation Queue)
+            if (!db.objectStoreNames.contains('ops')) db.createObjectStore('ops', { keyPath: 'id', autoIncrement: true });
+
             if (!db.objectStoreNames.contains('logs')) {
-                const store = db.createObjectStore('logs', { keyPath: 'timestamp' }); // timestamp as unique ID
-                store.createIndex('type', 'type', { unique: false });
+                createLogStore(db);
+                return;
+            }
+
+            // v1 -> v2: the keyPath can't be changed in place, so move the old store aside,
+            // copy every record into the new schema, then drop the old one
+            if (event.oldVersion < 2) {
+                const oldStore = tx.objectStore('logs');
+                oldStore.name = 'logs_v1';
+                const newStore = createLogStore(db);
+                oldStore.openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (cursor) {
+                        newStore.put(migrateLogV1(cursor.value));
+                        cursor.continue();
+                    } else {
+                        db.deleteObjectStore('logs_v1');
+                        console.log("Migrated logs to schema v2");
+                    }
+                };
+            }
+
+            // v4: a store created or rebuilt above already has the index
+            const logs = tx.objectStore('logs');
+            if (!logs.indexNames.contains('deviceId_type_timestamp')) {
+                logs.createIndex('deviceId_type_timestamp', ['deviceId', 'type', 'timestamp'], { unique: false });
             }
         };
 
@@ -38,12 +725,60 @@ function initDB() {
 }
 
 function saveLog(logEntry) {
-    // logEntry expected format: { timestamp: 1716xxxxxx, message: "Pill Dispensed", type: "dispense" }
+    // logEntry expected format: { deviceId: "24:6F:28:..", timestamp: 1716xxxxxx, day: 0, slot: 2, event: "DISPENSED", msg: "...", type: "dispense" }
     const transaction = db.transaction(['logs'], 'readwrite');
     const store = transaction.objectStore('logs');
     store.put(logEntry); // .put updates if exists, adds if new
 }
 
+// Adds entries that aren't stored yet; resolves with the ones that were actually new
+function saveNewLogs(entries) {
+    return new Promise((resolve) => {
+        const added = [];
+        const transaction = db.transaction(['logs'], 'readwrite');
+        const store = transaction.objectStore('logs');
+        entries.forEach(entry => {
+            const request = store.add(entry);
+            request.onsuccess = () => added.push(entry);
+            request.onerror = (event) => event.preventDefault(); // Duplicate key: already synced, keep the transaction alive
+        });
+        transaction.oncomplete = () => resolve(added);
+    });
+}
+
+// How many entries one registered device has, counted in the deviceId index
+function countLogsForDevice(device) {
+    const owners = logOwnerIds(device);
+    return new Promise((resolve) => {
+        const index = db.transaction(['logs'], 'readonly').objectStore('logs').index('deviceId');
+        let total = 0, pending = owners.length;
+        owners.forEach(owner => {
+            const request = index.count(owner);
+            request.onsuccess = () => {
+                total += request.result;
+                if (--pending === 0) resolve(total);
+            };
+        });
+    });
+}
+
+// Logs belonging to one registered device, looked up through the deviceId index
+function getLogsForDevice(device) {
+    const owners = logOwnerIds(device);
+    return new Promise((resolve) => {
+        const index = db.transaction(['logs'], 'readonly').objectStore('logs').index('deviceId');
+        const results = [];
+        let pending = owners.length;
+        owners.forEach(owner => {
+            const request = index.getAll(owner);
+            request.onsuccess = () => {
+                results.push(...request.result);
+                if (--pending === 0) resolve(results);
+            };
+        });
+    });
+}
+
 function getAllLogs() {
     return new Promise((resolve) => {
         const transaction = db.transaction(['logs'], 'readonly');
@@ -53,15 +788,28 @@ function getAllLogs() {
     });
 }
 
+// Meal times apply to every day unless overridden: dayTimes { Saturday: { breakfast: "09:30" } },
+// slotTimes { "Saturday-Lunch-After": "14:15" }. Overrides are replaced, never mutated in place.
+const DEFAULT_TIMINGS = { breakfast: "08:00", lunch: "13:00", dinner: "20:00", dayTimes: {}, slotTimes: {} };
+// Minutes; sent alongside the meal times in the /save-config "settings" object
+const DEFAULT_DOSE_RULES = { windowPreMin: 0, windowPostMin: 30, remindEveryMin: 0, lateGraceMin: 0 };
+
 let state = {
     selectedPills: new Set(),
-    timings: { breakfast: "08:00", lunch: "13:00", dinner: "20:00" },
-    device: {
-        ip: "192.168.4.1", // Default SoftAP IP
-        password: "",
-        isConnected: false,
-        lastLogFetch: 0
-    },
+    slotStatus: {}, // Per-slot state read back from the device: { "Monday-Lunch-Before": "dispensed" | "missed" | "pending" }
+    inventory: null, // Compartment stock read back from the device: { "Monday-Lunch-Before": "loaded" | "dispensed" }, absent = empty; null = unknown
+    showInventory: false, // Wheel shows compartment stock instead of the schedule
+    showTable: false, // Schedule edited as a table instead of the wheel
+    scheduleDirty: false, // True once the wheel is edited locally, so a read-back doesn't overwrite unsynced changes
+    revision: 0, // Device config revision the schedule was last read from or synced as (see Config Revisions)
+    medications: [], // Catalogue: [{ id, name, strength, color, count, instructions }]
+    assignments: {}, // Compartment contents: { "Monday-Lunch-Before": [medId, ...] }
+    courses: [], // Date-bounded rules: [{ id, medId, slots: ["Dinner-After"], start, end, every, weekdays, count, taper }]
+    weekOf: null, // Monday 00:00 of the week on the wheel, see weekSchedule()
+    timings: { ...DEFAULT_TIMINGS },
+    doseRules: { ...DEFAULT_DOSE_RULES }, // How long the device waits for a dose, see DEFAULT_DOSE_RULES
+    devices: [], // Registered dispensers, see createDevice()
+    device: null, // The dispenser currently on screen (one of state.devices)
     heartbeatInterval: null,
     isAuthenticated: false
 };
@@ -69,6 +817,13 @@ let state = {
 // --- DOM Elements ---
 const dom = {
     svg: document.getElementById('dispenser-svg'),
+    wheel: document.querySelector('.dispenser-wrapper'),
+    table: {
+        wrapper: document.getElementById('schedule-table-wrapper'),
+        body: document.querySelector('#schedule-table tbody'),
+        head: document.querySelector('#schedule-table thead'),
+        toggleBtn: document.getElementById('btn-table')
+    },
     hub: {
         display: document.getElementById('hub-display'),
         label: document.querySelector('.center-hub .hub-label'),
@@ -78,24 +833,177 @@ const dom = {
     summary: {
         text: document.getElementById('summary-text'),
         list: document.getElementById('summary-list'),
+        hint: document.querySelector('.summary-hint'),
         clearBtn: document.getElementById('btn-clear')
     },
     saveBtn: document.getElementById('btn-save'),
     modals: {
         settings: document.getElementById('settings-modal'),
+        pin: document.getElementById('pin-modal'),
+        meds: document.getElementById('meds-modal'),
+        assign: document.getElementById('assign-modal'),
+        courses: document.getElementById('courses-modal'),
+        refill: document.getElementById('refill-modal'),
+        sync: document.getElementById('sync-modal'),
         wifi: document.getElementById('wifi-modal'),
-        logs: document.getElementById('logs-modal')
+        controls: document.getElementById('controls-modal'),
+        logs: document.getElementById('logs-modal'),
+        alerts: document.getElementById('alerts-modal')
     },
     inputs: {
         bk: document.getElementById('time-breakfast'),
         ln: document.getElementById('time-lunch'),
         dn: document.getElementById('time-dinner'),
+        windowPre: document.getElementById('rule-window-pre'),
+        windowPost: document.getElementById('rule-window-post'),
+        remindEvery: document.getElementById('rule-remind'),
+        lateGrace: document.getElementById('rule-late-grace'),
+        assignTime: document.getElementById('assign-time'),
+        dayTimings: document.getElementById('day-timings'),
+        medId: document.getElementById('med-id'),
+        medName: document.getElementById('med-name'),
+        medStrength: document.getElementById('med-strength'),
+        medCount: document.getElementById('med-count'),
+        medColor: document.getElementById('med-color'),
+        medInstructions: document.getElementById('med-instructions'),
+        deviceKey: document.getElementById('device-key'),
+        patient: document.getElementById('device-patient'),
         ip: document.getElementById('device-ip'),
-        pass: document.getElementById('device-pass')
+        pass: document.getElementById('device-pass'),
+        appPinCurrent: document.getElementById('app-pin-current'),
+        appPinNew: document.getElementById('app-pin-new'),
+        devicePinCurrent: document.getElementById('device-pin-current'),
+        devicePinNew: document.getElementById('device-pin-new')
+    },
+    prefs: {
+        language: document.getElementById('pref-language'),
+        weekStart: document.getElementById('pref-week-start'),
+        hourCycle: document.getElementById('pref-hour-cycle')
+    },
+    login: {
+        overlay: document.getElementById('login-overlay'),
+        title: document.querySelector('#login-overlay h2'),
+        prompt: document.querySelector('#login-overlay p'),
+        pin: document.getElementById('login-pin'),
+        error: document.getElementById('login-error'),
+        btn: document.getElementById('btn-login')
+    },
+    meds: {
+        list: document.getElementById('med-list'),
+        saveBtn: document.getElementById('btn-save-med'),
+        cancelBtn: document.getElementById('btn-cancel-med'),
+        assignTitle: document.getElementById('assign-title'),
+        assignList: document.getElementById('assign-list')
+    },
+    courses: {
+        list: document.getElementById('course-list'),
+        med: document.getElementById('course-med'),
+        slots: document.getElementById('course-slots'),
+        start: document.getElementById('course-start'),
+        days: document.getElementById('course-days'),
+        repeat: document.getElementById('course-repeat'),
+        weekdays: document.getElementById('course-weekdays'),
+        count: document.getElementById('course-count'),
+        taperStep: document.getElementById('course-taper-step'),
+        taperDays: document.getElementById('course-taper-days')
+    },
+    week: {
+        nav: document.getElementById('week-nav'),
+        label: document.getElementById('week-label')
+    },
+    inventory: {
+        toggleBtn: document.getElementById('btn-inventory'),
+        warning: document.getElementById('inventory-warning'),
+        legend: document.getElementById('inventory-legend')
+    },
+    refill: {
+        progress: document.getElementById('refill-progress'),
+        target: document.getElementById('refill-target'),
+        where: document.getElementById('refill-where'),
+        meds: document.getElementById('refill-meds'),
+        msg: document.getElementById('refill-msg'),
+        backBtn: document.getElementById('btn-refill-back'),
+        skipBtn: document.getElementById('btn-refill-skip'),
+        loadedBtn: document.getElementById('btn-refill-loaded')
+    },
+    sync: {
+        summary: document.getElementById('sync-summary'),
+        problems: document.getElementById('sync-problems'),
+        changes: document.getElementById('sync-changes'),
+        version: document.getElementById('sync-version'),
+        conflict: document.getElementById('sync-conflict'),
+        confirmBtn: document.getElementById('btn-confirm-sync')
+    },
+    analytics: {
+        rangeButtons: document.querySelectorAll('.range-btn'),
+        heatmap: document.getElementById('adherence-heatmap'),
+        breakdown: document.getElementById('adherence-breakdown'),
+        streakBest: document.getElementById('stat-streak-best')
     },
     logs: {
         container: document.getElementById('log-container'),
-        refreshBtn: document.getElementById('btn-refresh-logs')
+        refreshBtn: document.getElementById('btn-refresh-logs'),
+        stats: document.getElementById('log-stats'),
+        search: document.getElementById('log-search'),
+        type: document.getElementById('log-type'),
+        day: document.getElementById('log-day'),
+        slot: document.getElementById('log-slot'),
+        from: document.getElementById('log-from'),
+        to: document.getElementById('log-to'),
+        pageMsg: document.getElementById('log-page-msg'),
+        moreBtn: document.getElementById('btn-more-logs')
+    },
+    exports: {
+        from: document.getElementById('export-from'),
+        to: document.getElementById('export-to'),
+        msg: document.getElementById('export-msg'),
+        reportBtn: document.getElementById('btn-export-report'),
+        csvBtn: document.getElementById('btn-export-csv'),
+        jsonBtn: document.getElementById('btn-export-json')
+    },
+    controls: {
+        day: document.getElementById('control-day'),
+        slot: document.getElementById('control-slot'),
+        reason: document.getElementById('control-reason'),
+        msg: document.getElementById('control-msg'),
+        clockMsg: document.getElementById('clock-msg'),
+        diagnostics: document.getElementById('diagnostics-list'),
+        diagnosticsMsg: document.getElementById('diagnostics-msg'),
+        buttons: document.querySelectorAll('#controls-modal .btn')
+    },
+    alerts: {
+        missed: document.getElementById('alert-on-missed'),
+        lowStock: document.getElementById('alert-on-low-stock'),
+        offline: document.getElementById('alert-on-offline'),
+        lowStockCount: document.getElementById('alert-low-stock-count'),
+        offlineMin: document.getElementById('alert-offline-min'),
+        webhookOn: document.getElementById('alert-webhook-on'),
+        webhookUrl: document.getElementById('alert-webhook-url'),
+        mqttOn: document.getElementById('alert-mqtt-on'),
+        mqttUrl: document.getElementById('alert-mqtt-url'),
+        mqttTopic: document.getElementById('alert-mqtt-topic'),
+        mqttUser: document.getElementById('alert-mqtt-user'),
+        mqttPass: document.getElementById('alert-mqtt-pass'),
+        templates: {
+            missed: document.getElementById('alert-template-missed'),
+            lowStock: document.getElementById('alert-template-low-stock'),
+            offline: document.getElementById('alert-template-offline')
+        },
+        quietOn: document.getElementById('alert-quiet-on'),
+        quietStart: document.getElementById('alert-quiet-start'),
+        quietEnd: document.getElementById('alert-quiet-end'),
+        msg: document.getElementById('alert-msg')
+    },
+    backup: {
+        downloadBtn: document.getElementById('btn-backup'),
+        restoreBtn: document.getElementById('btn-restore'),
+        fileInput: document.getElementById('backup-file')
+    },
+    devices: {
+        switcher: document.getElementById('device-switcher'),
+        list: document.getElementById('device-list'),
+        saveBtn: document.getElementById('btn-connect-device'),
+        cancelBtn: document.getElementById('btn-cancel-device')
     },
     indicators: {
         wifiDot: document.getElementById('wifi-status-dot'),
@@ -142,13 +1050,13 @@ function initDispenser() {
 
         // Before Meal
         createSection({
-            id: `${idBase}-Before`, label: currentMeal, subLabel: `${currentDay} (Before)`,
+            id: `${idBase}-Before`, label: t(currentMeal), subLabel: `${dayLabel(currentDay)} (${t("Before")})`,
             rInner: CONFIG.dimensions.rHub, rOuter: CONFIG.dimensions.rSplit,
             start: startAngle, end: endAngle, fill: lightenColor(baseColor, 15), activeColor: activeColor, sortIndex: i * 2
         });
         // After Meal
         createSection({
-            id: `${idBase}-After`, label: currentMeal, subLabel: `${currentDay} (After)`,
+            id: `${idBase}-After`, label: t(currentMeal), subLabel: `${dayLabel(currentDay)} (${t("After")})`,
             rInner: CONFIG.dimensions.rSplit, rOuter: CONFIG.dimensions.rOuter,
             start: startAngle, end: endAngle, fill: baseColor, activeColor: activeColor, sortIndex: (i * 2) + 1
         });
@@ -165,10 +1073,18 @@ function createSection(cfg) {
     path.setAttribute("d", describeArc(CONFIG.dimensions.cx, CONFIG.dimensions.cy, cfg.rOuter, cfg.rInner, cfg.start, cfg.end));
     path.setAttribute("class", "pill-section");
     path.setAttribute("fill", cfg.fill);
+    path.setAttribute("role", "checkbox");
+    path.setAttribute("tabindex", cfg.sortIndex === 0 ? "0" : "-1"); // One tab stop for the whole wheel, see focusSegment()
     Object.assign(path.dataset, { id: cfg.id, originalFill: cfg.fill, activeFill: cfg.activeColor, label: cfg.label, sub: cfg.subLabel, sortIndex: cfg.sortIndex });
-    path.addEventListener('click', (e) => toggleSelection(e.target));
+    path.addEventListener('click', (e) => {
+        if (skipWheelClick) return;
+        focusSegment(e.target);
+        toggleSelection(e.target);
+    });
     path.addEventListener('mouseenter', (e) => updateHubHover(e.target));
     path.addEventListener('mouseleave', clearHub);
+    path.addEventListener('focus', (e) => updateHubHover(e.target));
+    path.addEventListener('blur', clearHub);
     dom.svg.appendChild(path);
 }
 
@@ -180,7 +1096,7 @@ function drawDayLabel(startAngle, numSegments, dayName) {
     text.setAttribute("x", pos.x); text.setAttribute("y", pos.y);
     text.setAttribute("class", "day-label");
     text.setAttribute("transform", `rotate(${dayMidAngle + 90}, ${pos.x}, ${pos.y})`);
-    text.textContent = dayName.toUpperCase();
+    text.textContent = dayLabel(dayName).toLocaleUpperCase(locale());
     dom.svg.appendChild(text);
 }
 
@@ -207,309 +1123,2928 @@ function drawSeparator(angle) {
 // --- Interaction Logic ---
 function toggleSelection(el) {
     const id = el.dataset.id;
+    if (!state.selectedPills.has(id) && weekSchedule().pills.has(id)) {
+        return alert(t("{slot} is scheduled by a course this week. Change it under Courses.", { slot: slotLabel(id) }));
+    }
     if (state.selectedPills.has(id)) {
         state.selectedPills.delete(id);
-        el.style.fill = el.dataset.originalFill;
     } else {
         state.selectedPills.add(id);
-        el.style.fill = el.dataset.activeFill;
     }
+    state.scheduleDirty = true;
+    saveSchedule();
+    paintSection(el);
     updateHubHover(el);
     updateUI();
 }
 
+// Selects (or clears) several slots at once from a drag, the table or a whole day/meal.
+// Course-only compartments are left to their courses.
+function setSlotsSelected(ids, select) {
+    const week = weekSchedule();
+    ids.filter(id => state.selectedPills.has(id) || !week.pills.has(id))
+        .forEach(id => select ? state.selectedPills.add(id) : state.selectedPills.delete(id));
+    state.scheduleDirty = true;
+    saveSchedule();
+    paintWheel();
+    updateUI();
+}
+
+// A whole day or meal: fills in the gaps, or clears it when every slot is already scheduled
+function toggleGroup(ids) {
+    const week = weekSchedule();
+    setSlotsSelected(ids, ids.some(id => !week.pills.has(id)));
+}
+
+function dayIds(day) {
+    return SLOT_KEYS.map(key => `${day}-${key}`);
+}
+
+function slotKeyIds(key) {
+    return CONFIG.daysOfWeek.map(day => `${day}-${key}`);
+}
+
+// e.g. "Monday, Lunch, before meal"
+function slotName(id) {
+    const [day, meal, when] = id.split('-');
+    return `${dayLabel(day)}, ${t(meal)}, ${t(when === 'Before' ? "before meal" : "after meal")}`;
+}
+
+// What a screen reader announces for a wheel segment, e.g. "Monday, Lunch, before meal, scheduled"
+function segmentDescription(id, week = weekSchedule()) {
+    if (state.showInventory) {
+        const stock = stockOf(id);
+        const stockText = stock ? t(STOCK_STYLES[stock].label).toLocaleLowerCase(locale()) : t("stock unknown");
+        return `${slotName(id)}, ${stockText}${needsRefill(id, week) ? `, ${t("needs refill")}` : ""}`;
+    }
+    const status = state.slotStatus[id];
+    const scheduled = !week.pills.has(id) ? t("not scheduled")
+        : status === 'dispensed' ? t("dispensed")
+        : status === 'missed' ? t("missed")
+        : state.selectedPills.has(id) ? t("scheduled")
+        : t("scheduled by a course");
+    return `${slotName(id)}, ${scheduled}`;
+}
+
+// --- Keyboard, Touch & Drag on the Wheel ---
+// Arrow keys walk the rim (left/right) and switch rings (up = after meal, down = before meal);
+// Space or Enter toggles, D toggles the whole day and M the same meal all week.
+// A mouse drag paints every segment it crosses; on touch a long press previews the segment
+// in the hub first, then dragging paints (a quick swipe still scrolls the page).
+const LONG_PRESS_MS = 450;
+let wheelDrag = null; // While a pointer is down on the wheel: { origin, select, armed, moved, timer }
+let skipWheelClick = false; // The click that ends a drag or long press isn't a toggle
+
+function segmentAt(sortIndex) {
+    return dom.svg.querySelector(`path[data-sort-index="${sortIndex}"]`);
+}
+
+// Roving tabindex: only the last focused segment is in the tab order
+function focusSegment(el) {
+    dom.svg.querySelectorAll('.pill-section').forEach(section => section.setAttribute('tabindex', section === el ? "0" : "-1"));
+    el.focus();
+}
+
+function handleWheelKey(e) {
+    const el = e.target;
+    if (!el.classList.contains('pill-section')) return;
+    const index = parseInt(el.dataset.sortIndex, 10);
+    const meal = Math.floor(index / 2); // Rim position 0-20
+    const ring = index % 2; // 0 = Before (inner), 1 = After (outer)
+    const id = el.dataset.id;
+    let next = null;
+    switch (e.key) {
+        case 'ArrowRight': next = ((meal + 1) % 21) * 2 + ring; break;
+        case 'ArrowLeft': next = ((meal + 20) % 21) * 2 + ring; break;
+        case 'ArrowUp': next = meal * 2 + 1; break;
+        case 'ArrowDown': next = meal * 2; break;
+        case 'Home': next = ring; break;
+        case 'End': next = 40 + ring; break;
+        case ' ':
+        case 'Enter': toggleSelection(el); break;
+        case 'd':
+        case 'D': toggleGroup(dayIds(id.split('-')[0])); updateHubHover(el); break;
+        case 'm':
+        case 'M': toggleGroup(slotKeyIds(id.substring(id.indexOf('-') + 1))); updateHubHover(el); break;
+        default: return;
+    }
+    e.preventDefault();
+    if (next !== null) focusSegment(segmentAt(next));
+}
+
+function startWheelDrag(e) {
+    const el = e.target;
+    skipWheelClick = false;
+    if (!el.classList.contains('pill-section')) return;
+    // Touch captures the pointer on its first segment; released so pointerover reaches the others
+    if (el.hasPointerCapture && el.hasPointerCapture(e.pointerId)) el.releasePointerCapture(e.pointerId);
+    const touch = e.pointerType === 'touch';
+    wheelDrag = { origin: el, select: !weekSchedule().pills.has(el.dataset.id), armed: !touch, moved: false, timer: null };
+    if (touch) {
+        wheelDrag.timer = setTimeout(() => {
+            wheelDrag.armed = true;
+            skipWheelClick = true;
+            updateHubHover(el);
+        }, LONG_PRESS_MS);
+    }
+}
+
+function dragOverSegment(e) {
+    if (!wheelDrag || !wheelDrag.armed || !e.target.classList.contains('pill-section')) return;
+    if (e.target === wheelDrag.origin && !wheelDrag.moved) return;
+    const ids = wheelDrag.moved ? [e.target.dataset.id] : [wheelDrag.origin.dataset.id, e.target.dataset.id];
+    wheelDrag.moved = true;
+    skipWheelClick = true;
+    setSlotsSelected(ids, wheelDrag.select);
+    updateHubHover(e.target);
+}
+
+function endWheelDrag() {
+    if (!wheelDrag) return;
+    clearTimeout(wheelDrag.timer);
+    wheelDrag = null;
+}
+
+// --- Table Editor (same schedule as the wheel) ---
+// Built once; renderScheduleTable() keeps the checkboxes in step so focus survives every change
+function buildScheduleTable() {
+    const head = document.createElement('tr');
+    head.appendChild(document.createElement('td'));
+    SLOT_KEYS.forEach(key => {
+        const [meal, when] = key.split('-');
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.innerHTML = '<button class="text-btn link-btn"></button>';
+        th.firstChild.textContent = `${t(meal)} ${t(when === 'Before' ? "before" : "after")}`;
+        th.firstChild.setAttribute('aria-label', `${t(meal)}, ${t(when === 'Before' ? "before meal" : "after meal")}, ${t("every day")}`);
+        th.firstChild.addEventListener('click', () => toggleGroup(slotKeyIds(key)));
+        head.appendChild(th);
+    });
+    dom.table.head.appendChild(head);
+
+    displayDayOrder().map(d => CONFIG.daysOfWeek[d]).forEach(day => {
+        const row = document.createElement('tr');
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.innerHTML = '<button class="text-btn link-btn"></button>';
+        th.firstChild.textContent = dayLabel(day);
+        th.firstChild.setAttribute('aria-label', t("All of {day}", { day: dayLabel(day) }));
+        th.firstChild.addEventListener('click', () => toggleGroup(dayIds(day)));
+        row.appendChild(th);
+        dayIds(day).forEach(id => {
+            const cell = document.createElement('td');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.dataset.id = id;
+            box.addEventListener('change', () => setSlotsSelected([id], box.checked));
+            cell.appendChild(box);
+            row.appendChild(cell);
+        });
+        dom.table.body.appendChild(row);
+    });
+}
+
+function renderScheduleTable(week = weekSchedule()) {
+    dom.table.body.querySelectorAll('input').forEach(box => {
+        const id = box.dataset.id;
+        const courseOnly = week.pills.has(id) && !state.selectedPills.has(id);
+        box.checked = week.pills.has(id);
+        box.disabled = courseOnly;
+        box.title = courseOnly ? t("From a course, change it under Courses") : formatClock(slotTime(id));
+        box.setAttribute('aria-label', `${slotName(id)}, ${formatClock(slotTime(id))}${courseOnly ? `, ${t("from a course")}` : ""}`);
+    });
+}
+
+function setTableView(show) {
+    state.showTable = show;
+    dom.table.toggleBtn.textContent = show ? t("Wheel") : t("Table");
+    dom.table.wrapper.style.display = show ? 'block' : 'none';
+    dom.wheel.style.display = show ? 'none' : '';
+}
+
+// Applies selection fill and device slot state (dispensed/missed) to one wheel segment,
+// or its stock when the inventory overlay is on. Course doses of the week on the wheel count as selected.
+function paintSection(el, week = weekSchedule()) {
+    const id = el.dataset.id;
+    const isSelected = week.pills.has(id);
+    const status = isSelected && !state.showInventory ? state.slotStatus[id] : null;
+    const stock = state.showInventory ? stockOf(id) : null;
+    el.style.fill = stock ? STOCK_STYLES[stock].color
+        : isSelected ? el.dataset.activeFill : el.dataset.originalFill;
+    el.classList.toggle('dispensed', status === 'dispensed');
+    el.classList.toggle('missed', status === 'missed');
+    el.classList.toggle('course-slot', !state.showInventory && (week.meds[id] || []).some(med => med.courseId));
+    el.classList.toggle('needs-refill', state.showInventory && needsRefill(id, week));
+    el.classList.toggle('refill-current', !!refill && refill.steps[refill.index] === id);
+    el.setAttribute('aria-checked', String(isSelected));
+    el.setAttribute('aria-label', segmentDescription(id, week));
+}
+
+function paintWheel() {
+    const week = weekSchedule();
+    document.querySelectorAll('.pill-section').forEach(el => paintSection(el, week));
+}
+
+// Device day/slot indexes -> segment ID, e.g. (0, 3) -> "Monday-Lunch-After"
+function slotIdFor(day, slot) {
+    const dayName = CONFIG.daysOfWeek[day];
+    const meal = CONFIG.mealTypes[Math.floor(slot / 2)];
+    if (!dayName || !meal) return null;
+    return `${dayName}-${meal}-${slot % 2 === 0 ? 'Before' : 'After'}`;
+}
+
+// Time the device dispenses a segment: per-slot override, then per-day override, then the meal time
+function slotTime(id) {
+    const [day, meal] = id.split('-');
+    const key = meal.toLowerCase();
+    return state.timings.slotTimes[id] || (state.timings.dayTimes[day] || {})[key] || state.timings[key];
+}
+
 function updateHubHover(el) {
-    const isSelected = state.selectedPills.has(el.dataset.id);
-    dom.hub.label.textContent = el.dataset.sub;
-    dom.hub.value.textContent = el.dataset.label;
-    dom.hub.status.textContent = isSelected ? "SCHEDULED" : "EMPTY";
-    dom.hub.status.style.color = isSelected ? el.dataset.activeFill : "";
+    const week = weekSchedule();
+    const isSelected = week.pills.has(el.dataset.id);
+    const status = state.slotStatus[el.dataset.id];
+    dom.hub.label.textContent = `${el.dataset.sub} ${el.dataset.label}`;
+    dom.hub.value.textContent = formatClock(slotTime(el.dataset.id));
+    const meds = week.meds[el.dataset.id] || [];
+    if (state.showInventory) {
+        const stock = stockOf(el.dataset.id);
+        dom.hub.status.textContent = (stock ? t(STOCK_STYLES[stock].label) : t("Unknown")).toLocaleUpperCase(locale());
+        dom.hub.status.style.color = needsRefill(el.dataset.id, week) ? "var(--error)" : "";
+        return;
+    }
+    dom.hub.status.textContent = !isSelected ? t("EMPTY")
+        : status === 'dispensed' ? t("DISPENSED TODAY")
+        : status === 'missed' ? t("MISSED TODAY")
+        : meds.length > 0 ? meds[0].name + (meds.length > 1 ? ` +${meds.length - 1}` : "")
+        : t("SCHEDULED");
+    dom.hub.status.style.color = !isSelected ? ""
+        : status === 'missed' ? "var(--error)"
+        : el.dataset.activeFill;
 }
 
 function clearHub() {
     dom.hub.label.textContent = "";
     dom.hub.value.textContent = "--";
-    dom.hub.status.textContent = "Select";
+    dom.hub.status.textContent = t("Select");
     dom.hub.status.style.color = "";
 }
 
 function updateUI() {
-    const count = state.selectedPills.size;
+    const week = weekSchedule();
+    const count = week.pills.size;
     if (count === 0) {
-        dom.summary.text.textContent = "No pills scheduled yet.";
+        dom.summary.text.textContent = t("No pills scheduled yet.");
         dom.summary.list.innerHTML = "";
         dom.summary.clearBtn.style.display = 'none';
+        dom.summary.hint.style.display = 'none';
         dom.saveBtn.disabled = true;
     } else {
-        dom.summary.text.textContent = `${count} slot${count > 1 ? 's' : ''} active.`;
+        dom.summary.text.textContent = tn("{count} slot active.", "{count} slots active.", count);
         dom.summary.clearBtn.style.display = 'block';
+        dom.summary.hint.style.display = 'block';
         dom.saveBtn.disabled = false;
-        generateSummaryTags();
+        generateSummaryTags(week);
     }
+    dom.saveBtn.querySelector('.btn-text').textContent = state.device.conflictRevision !== undefined ? t("Sync Conflict")
+        : isConfigQueued(state.device) ? t("Sync Queued") : t("Sync to Device");
+    renderInventoryWarning();
+    renderScheduleTable(week);
 }
 
-function generateSummaryTags() {
+function generateSummaryTags(week = weekSchedule()) {
     dom.summary.list.innerHTML = "";
     const items = [];
-    state.selectedPills.forEach(id => {
+    week.pills.forEach(id => {
         const el = document.querySelector(`path[data-id="${id}"]`);
-        if (el) items.push({ id: id, label: `${el.dataset.sub} - ${el.dataset.label}`, color: el.dataset.activeFill, sortIndex: parseInt(el.dataset.sortIndex) });
+        const date = week.dates[id] ? ` (${formatDateKey(week.dates[id])})` : ""; // Course-only: that date, not every week
+        if (el) items.push({ id: id, label: `${el.dataset.sub} - ${el.dataset.label} ${formatClock(slotTime(id))}${date}`, color: el.dataset.activeFill, sortIndex: parseInt(el.dataset.sortIndex), status: state.slotStatus[id] });
     });
     items.sort((a, b) => a.sortIndex - b.sortIndex);
     items.forEach(item => {
         const tag = document.createElement('div');
         tag.className = 'pill-tag';
-        tag.innerHTML = `<span class="pill-dot" style="background:${item.color}"></span> ${item.label}`;
+        if (item.status === 'dispensed' || item.status === 'missed') tag.classList.add(item.status);
+        const tagDot = document.createElement('span');
+        tagDot.className = 'pill-dot';
+        tagDot.style.background = item.color;
+        tag.appendChild(tagDot);
+        tag.appendChild(document.createTextNode(` ${item.label}`));
+
+        // Show what is loaded in the compartment, one coloured dot per medication
+        const meds = week.meds[item.id] || [];
+        if (meds.length > 0) {
+            const medsSpan = document.createElement('span');
+            medsSpan.className = 'pill-tag-meds';
+            meds.forEach(med => {
+                const dot = document.createElement('span');
+                dot.className = 'pill-dot';
+                dot.style.background = med.color;
+                medsSpan.appendChild(dot);
+                medsSpan.appendChild(document.createTextNode(formatMedication(med)));
+            });
+            tag.appendChild(medsSpan);
+        }
+        // A course-only compartment's contents come from its courses, not from an assignment
+        tag.addEventListener('click', () => state.selectedPills.has(item.id) ? openAssignModal(item.id, item.label) : openCourses());
         dom.summary.list.appendChild(tag);
     });
 }
 
-// --- NEW FEATURES START HERE ---
-
-// 1. Unified JSON Payload
-dom.saveBtn.addEventListener('click', async () => {
-    const btnText = dom.saveBtn.querySelector('.btn-text');
-    const originalText = btnText.textContent;
-    btnText.textContent = "Syncing...";
-    dom.saveBtn.disabled = true;
+// --- Medication Catalogue & Compartment Assignment ---
+// Each patient has their own catalogue, stored under the device's key
+const MEDS_STORAGE_KEY = 'pillDispenser.medications';
+let assignTargetId = null;
 
-    // Requirement 1: Single JSON containing both timings and pills
-    const payload = {
-        auth: state.device.password, // Send password/pin
-        settings: state.timings,
-        schedule: Array.from(state.selectedPills)
-    };
+function medsStorageKey(device) {
+    return `${MEDS_STORAGE_KEY}.${device.key}`;
+}
 
+function loadMedications() {
+    state.medications = [];
+    state.assignments = {};
     try {
-        // Use the IP address set in the configuration
-        const response = await fetch(`http://${state.device.ip}/save-config`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        if (response.ok) {
-            alert("Sync Successful!");
-            setConnectionStatus(true);
-        } else {
-            throw new Error("Device rejected request");
+        // The pre-multi-device catalogue belongs to the device adopted from that era
+        const raw = localStorage.getItem(medsStorageKey(state.device))
+            || (state.device.legacy ? localStorage.getItem(MEDS_STORAGE_KEY) : null);
+        const saved = JSON.parse(raw);
+        if (saved) {
+            state.medications = saved.catalogue || [];
+            state.assignments = saved.assignments || {};
         }
-    } catch (error) {
-        console.error(error);
-        alert(`Sync Failed. Is the device connected at ${state.device.ip}?`);
-        setConnectionStatus(false);
-    } finally {
-        btnText.textContent = originalText;
-        dom.saveBtn.disabled = false;
+    } catch (e) {
+        console.log("Could not read saved medications.", e);
     }
-});
+}
 
-// 2. Connection Management (Heartbeat)
-// This fulfills the "Newest logs updated when connection is made" requirement
-function startHeartbeat() {
-    if (state.heartbeatInterval) clearInterval(state.heartbeatInterval);
-    
-    // Check connection every 5 seconds
-    state.heartbeatInterval = setInterval(checkConnection, 5000);
-    checkConnection(); // Check immediately
+function saveMedications() {
+    localStorage.setItem(medsStorageKey(state.device), JSON.stringify({ catalogue: state.medications, assignments: state.assignments }));
 }
 
-async function checkConnection() {
-    try {
-        // The ESP32 should have a simple lightweight endpoint like /status or /ping
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 2000); // 2s timeout
-        
-        const response = await fetch(`http://${state.device.ip}/status`, { 
-            method: 'GET',
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
+function getSlotMedications(segmentId) {
+    return (state.assignments[segmentId] || [])
+        .map(medId => state.medications.find(m => m.id === medId))
+        .filter(Boolean);
+}
 
-        if (response.ok) {
-            if (!state.device.isConnected) {
-                // Requirement 3: Auto-update logs on fresh connection
-                console.log("Connection established! Fetching logs...");
-                fetchLogs(); 
-            }
-            setConnectionStatus(true);
-        } else {
-            setConnectionStatus(false);
+// e.g. "Metformin 500mg x2"
+function formatMedication(med) {
+    const label = [med.name, med.strength].filter(Boolean).join(' ');
+    return med.count > 1 ? `${label} x${med.count}` : label;
+}
+
+// Sync payload shape: { "Monday-Lunch-Before": [{ name, strength, count }] }, scheduled slots only
+function buildAssignmentsPayload(week = weekSchedule()) {
+    const assignments = {};
+    week.pills.forEach(id => {
+        const meds = week.meds[id] || [];
+        if (meds.length > 0) {
+            assignments[id] = meds.map(m => ({ name: m.name, strength: m.strength, count: m.count }));
         }
-    } catch (e) {
-        setConnectionStatus(false);
+    });
+    return assignments;
+}
+
+function renderMedicationList() {
+    dom.meds.list.innerHTML = "";
+    if (state.medications.length === 0) {
+        dom.meds.list.innerHTML = `<p class="helper-text">${t("No medications added yet.")}</p>`;
+        return;
     }
+    state.medications.forEach(med => {
+        const row = document.createElement('div');
+        row.className = 'med-row';
+        row.innerHTML = `<span class="pill-dot"></span>
+                         <div class="med-info"><strong></strong><small></small></div>
+                         <button class="text-btn med-edit">${t("Edit")}</button>
+                         <button class="text-btn med-delete">${t("Remove")}</button>`;
+        row.querySelector('.pill-dot').style.background = med.color;
+        row.querySelector('strong').textContent = formatMedication(med);
+        row.querySelector('small').textContent = med.instructions || "";
+        row.querySelector('.med-edit').addEventListener('click', () => editMedication(med));
+        row.querySelector('.med-delete').addEventListener('click', () => deleteMedication(med.id));
+        dom.meds.list.appendChild(row);
+    });
 }
 
-function setConnectionStatus(connected) {
-    state.device.isConnected = connected;
-    dom.indicators.wifiDot.className = connected ? 'status-dot connected' : 'status-dot error';
-    dom.indicators.connMsg.textContent = connected 
-        ? `Status: Connected to ${state.device.ip}` 
-        : `Status: Disconnected (Unreachable)`;
-    dom.indicators.connMsg.style.color = connected ? 'var(--success)' : 'var(--error)';
+function resetMedicationForm() {
+    dom.inputs.medId.value = "";
+    dom.inputs.medName.value = "";
+    dom.inputs.medStrength.value = "";
+    dom.inputs.medCount.value = 1;
+    dom.inputs.medColor.value = "#4f46e5";
+    dom.inputs.medInstructions.value = "";
+    dom.meds.saveBtn.textContent = t("Add Medication");
+    dom.meds.cancelBtn.style.display = 'none';
 }
 
-// 3. Log Retrieval & Display
-async function fetchLogs() {
-    // Requirement 2: Fetch logs
-    dom.logs.container.innerHTML = '<div class="log-entry placeholder">Loading logs...</div>';
-    
-    try {
-        const response = await fetch(`http://${state.device.ip}/get-logs`);
-        if (!response.ok) throw new Error("Log fetch failed");
-        
-        const text = await response.text(); 
-        // Assuming logs come as newline separated text or JSON. 
-        // Let's assume JSON array for cleaner parsing, e.g., [{time: "10:00", msg: "Dispensed"}, ...]
-        // OR standard text lines. Let's handle Text Lines for ESP32 simplicity.
-        
-        const lines = text.split('\n').filter(line => line.trim() !== "");
-        renderLogs(lines);
+function editMedication(med) {
+    dom.inputs.medId.value = med.id;
+    dom.inputs.medName.value = med.name;
+    dom.inputs.medStrength.value = med.strength;
+    dom.inputs.medCount.value = med.count;
+    dom.inputs.medColor.value = med.color;
+    dom.inputs.medInstructions.value = med.instructions;
+    dom.meds.saveBtn.textContent = t("Save Changes");
+    dom.meds.cancelBtn.style.display = 'inline-block';
+}
 
-    } catch (e) {
-        dom.logs.container.innerHTML = '<div class="log-entry placeholder" style="color:var(--error)">Failed to retrieve logs. Device offline?</div>';
-    }
+function deleteMedication(medId) {
+    const med = state.medications.find(m => m.id === medId);
+    if (!med || !confirm(t("Remove {name}? It will be taken out of every compartment and course.", { name: med.name }))) return;
+    state.medications = state.medications.filter(m => m.id !== medId);
+    state.courses = state.courses.filter(c => c.medId !== medId);
+    Object.keys(state.assignments).forEach(id => {
+        state.assignments[id] = state.assignments[id].filter(m => m !== medId);
+        if (state.assignments[id].length === 0) delete state.assignments[id];
+    });
+    state.scheduleDirty = true;
+    saveMedications();
+    saveSchedule();
+    renderMedicationList();
+    updateUI();
 }
 
-function renderLogs(logLines) {
-    dom.logs.container.innerHTML = "";
-    
-    // Reverse to show newest first? Or standard append. Let's do newest first.
-    logLines.reverse().forEach(line => {
-        // Simple parser assuming format "[Time] Message"
-        const div = document.createElement('div');
-        div.className = 'log-entry';
-        
-        // Very basic formatting
-        div.innerHTML = `<span class="log-msg">${line}</span>`; 
-        dom.logs.container.appendChild(div);
+function openAssignModal(segmentId, label) {
+    assignTargetId = segmentId;
+    dom.meds.assignTitle.textContent = label;
+    dom.inputs.assignTime.value = slotTime(segmentId);
+    dom.meds.assignList.innerHTML = "";
+    if (state.medications.length === 0) {
+        dom.meds.assignList.innerHTML = `<p class="helper-text">${t("Add medications to the catalogue first.")}</p>`;
+    }
+    const assigned = state.assignments[segmentId] || [];
+    state.medications.forEach(med => {
+        const row = document.createElement('label');
+        row.className = 'med-row';
+        row.innerHTML = `<input type="checkbox" /><span class="pill-dot"></span>
+                         <div class="med-info"><strong></strong><small></small></div>`;
+        row.querySelector('.pill-dot').style.background = med.color;
+        const checkbox = row.querySelector('input');
+        checkbox.value = med.id;
+        checkbox.checked = assigned.includes(med.id);
+        row.querySelector('strong').textContent = formatMedication(med);
+        row.querySelector('small').textContent = med.instructions || "";
+        dom.meds.assignList.appendChild(row);
     });
+    dom.modals.assign.style.display = 'flex';
 }
 
-// --- Event Listeners for New UI ---
+// --- Medication Courses (date-bounded schedule rules) ---
+// The wheel's own selection repeats every week. A course adds one medication to some meal slots
+// from a start date, for a number of days or ongoing, every N days or on chosen weekdays, and can
+// taper the pill count. The wheel shows one week at a time (state.weekOf) with the courses
+// worked out for its dates; compartments that only hold a course dose are synced with their date
+// (slotDates) so the device skips them on any other day, e.g. once the course is over.
+const SLOT_KEYS = ["Breakfast-Before", "Breakfast-After", "Lunch-Before", "Lunch-After", "Dinner-Before", "Dinner-After"];
 
-// WiFi Modal
-document.getElementById('btn-wifi').addEventListener('click', () => {
-    dom.modals.wifi.style.display = 'flex';
-});
-document.getElementById('close-wifi').addEventListener('click', () => {
-    dom.modals.wifi.style.display = 'none';
-});
-document.getElementById('btn-connect-device').addEventListener('click', () => {
-    state.device.ip = dom.inputs.ip.value;
-    state.device.password = dom.inputs.pass.value;
-    dom.indicators.connMsg.textContent = "Status: Pinging...";
-    dom.indicators.connMsg.style.color = "var(--text-muted)";
-    checkConnection(); // Manual check
-    startHeartbeat(); // Start background polling
-});
+// "2025-01-06" -> local midnight
+function parseDateKey(key) {
+    return new Date(`${key}T00:00:00`);
+}
 
-// Logs Modal
-document.getElementById('btn-logs').addEventListener('click', () => {
-    dom.modals.logs.style.display = 'flex';
-    if(state.device.isConnected) fetchLogs(); // Fetch on open
-});
-document.getElementById('close-logs').addEventListener('click', () => {
-    dom.modals.logs.style.display = 'none';
-});
-dom.logs.refreshBtn.addEventListener('click', fetchLogs);
+function daysBetween(from, to) {
+    return Math.round((to - from) / 86400000); // Rounded so a DST change doesn't lose a day
+}
 
-// Existing Settings Modal Listeners
-document.getElementById('btn-settings').addEventListener('click', () => { dom.modals.settings.style.display = 'flex'; });
-document.getElementById('close-settings').addEventListener('click', () => { dom.modals.settings.style.display = 'none'; });
-document.getElementById('btn-save-settings').addEventListener('click', () => {
-    state.timings = { breakfast: dom.inputs.bk.value, lunch: dom.inputs.ln.value, dinner: dom.inputs.dn.value };
-    dom.modals.settings.style.display = 'none';
-});
+// Monday 00:00 of the week containing date
+function startOfWeek(date) {
+    return getMonday(new Date(date.getFullYear(), date.getMonth(), date.getDate()));
+}
 
-// Clear Button
-dom.summary.clearBtn.addEventListener('click', () => {
-    state.selectedPills.clear();
-    document.querySelectorAll('.pill-section').forEach(p => p.style.fill = p.dataset.originalFill);
-    updateUI();
-});
+// Pills of the course's medication due on a date, 0 when none
+function courseDoseCount(course, date) {
+    const day = daysBetween(parseDateKey(course.start), date);
+    if (day < 0 || (course.end && localDateKey(date) > course.end)) return 0;
+    if (day % course.every !== 0) return 0;
+    if (course.weekdays.length > 0 && !course.weekdays.includes((date.getDay() + 6) % 7)) return 0;
+    const taper = course.taper ? course.taper.step * Math.floor(day / course.taper.everyDays) : 0;
+    return Math.max(0, course.count - taper);
+}
 
-// --- LOGIN EVENT LISTENER ---
-document.getElementById('btn-login').addEventListener('click', () => {
-    const input = document.getElementById('login-pin').value;
-    const errorMsg = document.getElementById('login-error');
-    
-    // Check PIN (Default 1234)
-    if (input === CONFIG.pin) {
-        state.isAuthenticated = true;
-        document.getElementById('login-overlay').style.display = 'none';
-        
-        // Initialize App AFTER Login
-        initDB().then(async () => {
-            // 1. Load existing data
-            renderLogsAndAnalytics(); 
-
-            // 2. CHECK FOR EMPTY DB & ASK FOR DUMMY DATA
-            const logs = await getAllLogs();
-            if (logs.length === 0) {
-                // The 'confirm' stops the code until you click OK or Cancel
-                const userWantsData = confirm("Welcome! No logs found. Generate dummy data for testing?");
-                if (userWantsData) {
-                    generateDummyData();
-                }
-            }
+// What the wheel shows for the week starting weekStart:
+// { pills: Set of segment IDs, meds: { id: [medication with this week's count] }, dates: { id: "2025-01-09" } }
+function weekSchedule(weekStart = state.weekOf) {
+    const pills = new Set(state.selectedPills);
+    const meds = {};
+    const dates = {};
+    state.selectedPills.forEach(id => { meds[id] = getSlotMedications(id); });
+    CONFIG.daysOfWeek.forEach((dayName, d) => {
+        const date = addDays(weekStart, d);
+        state.courses.forEach(course => {
+            const med = state.medications.find(m => m.id === course.medId);
+            const count = med ? courseDoseCount(course, date) : 0;
+            if (count === 0) return;
+            course.slots.forEach(key => {
+                const id = `${dayName}-${key}`;
+                pills.add(id);
+                (meds[id] = meds[id] || []).push({ ...med, count: count, courseId: course.id });
+                if (!state.selectedPills.has(id)) dates[id] = localDateKey(date);
+            });
         });
-    } else {
-        errorMsg.textContent = "Incorrect PIN";
-        document.getElementById('login-pin').value = "";
-    }
-});
+    });
+    return { pills, meds, dates };
+}
 
-// --- UPDATED LOG SYNC LOGIC ---
+// Whether a segment has a dose on a date, by the weekly selection or a course
+function isScheduledOn(id, date) {
+    if (state.selectedPills.has(id)) return true;
+    const key = id.substring(id.indexOf('-') + 1);
+    return state.courses.some(course => course.slots.includes(key)
+        && state.medications.some(m => m.id === course.medId) && courseDoseCount(course, date) > 0);
+}
 
-async function fetchLogs() {
-    const btn = document.getElementById('btn-refresh-logs');
-    btn.textContent = "Syncing...";
+function formatDateKey(key) {
+    return formatDate(parseDateKey(key), { month: 'short', day: 'numeric' });
+}
+
+// e.g. "Amoxicillin 500mg x2 · Breakfast (After), Dinner (After) · every other day · Jan 9 - Jan 18"
+function describeCourse(course) {
+    const med = state.medications.find(m => m.id === course.medId);
+    const slots = course.slots.map(key => {
+        const [meal, when] = key.split('-');
+        return `${t(meal)} (${t(when)})`;
+    }).join(', ');
+    const repeat = course.weekdays.length > 0 ? course.weekdays.map(d => dayLabel(d, 'short')).join(', ')
+        : course.every === 1 ? t("daily")
+        : course.every === 2 ? t("every other day")
+        : t("every {days} days", { days: course.every });
+    const taper = course.taper ? `, ${t("{step} fewer every {days} days", { step: course.taper.step, days: course.taper.everyDays })}` : "";
+    const dates = `${formatDateKey(course.start)} - ${course.end ? formatDateKey(course.end) : t("ongoing")}`;
+    return [med ? formatMedication({ ...med, count: course.count }) : t("Removed medication"), slots, repeat + taper, dates].join(' · ');
+}
+
+function renderCourseList() {
+    dom.courses.list.innerHTML = "";
+    if (state.courses.length === 0) {
+        dom.courses.list.innerHTML = `<p class="helper-text">${t("No courses yet.")}</p>`;
+        return;
+    }
+    state.courses.forEach(course => {
+        const row = document.createElement('div');
+        row.className = 'med-row';
+        row.innerHTML = `<div class="med-info"><small></small></div>
+                         <button class="text-btn med-delete">${t("Remove")}</button>`;
+        row.querySelector('small').textContent = describeCourse(course);
+        row.querySelector('.med-delete').addEventListener('click', () => deleteCourse(course.id));
+        dom.courses.list.appendChild(row);
+    });
+}
+
+function resetCourseForm() {
+    dom.courses.med.innerHTML = "";
+    state.medications.forEach(med => {
+        const option = document.createElement('option');
+        option.value = med.id;
+        option.textContent = formatMedication(med);
+        dom.courses.med.appendChild(option);
+    });
+    dom.courses.slots.querySelectorAll('input').forEach(box => { box.checked = false; });
+    dom.courses.weekdays.querySelectorAll('input').forEach(box => { box.checked = false; });
+    dom.courses.start.value = localDateKey(new Date());
+    dom.courses.days.value = "";
+    dom.courses.repeat.value = "1";
+    dom.courses.weekdays.style.display = 'none';
+    dom.courses.count.value = state.medications.length > 0 ? state.medications[0].count : 1;
+    dom.courses.taperStep.value = 0;
+    dom.courses.taperDays.value = 7;
+}
+
+// Checkboxes for the meal slots and weekdays, built once
+function buildCourseForm() {
+    SLOT_KEYS.forEach(key => {
+        const label = document.createElement('label');
+        label.innerHTML = '<input type="checkbox" />';
+        label.querySelector('input').value = key;
+        const [meal, when] = key.split('-');
+        label.appendChild(document.createTextNode(`${t(meal)} ${t(when)}`));
+        dom.courses.slots.appendChild(label);
+    });
+    displayDayOrder().forEach(d => {
+        const label = document.createElement('label');
+        label.innerHTML = '<input type="checkbox" />';
+        label.querySelector('input').value = d;
+        label.appendChild(document.createTextNode(dayLabel(d, 'short')));
+        dom.courses.weekdays.appendChild(label);
+    });
+}
+
+function openCourses() {
+    if (state.medications.length === 0) return alert(t("Add the medication to the catalogue first."));
+    resetCourseForm();
+    renderCourseList();
+    dom.modals.courses.style.display = 'flex';
+}
+
+function readCourseForm() {
+    const checked = (container) => Array.from(container.querySelectorAll('input:checked')).map(box => box.value);
+    const start = dom.courses.start.value;
+    const days = parseInt(dom.courses.days.value, 10);
+    const count = parseInt(dom.courses.count.value, 10);
+    const taperStep = parseInt(dom.courses.taperStep.value, 10) || 0;
+    const taperDays = parseInt(dom.courses.taperDays.value, 10);
+    const byWeekday = dom.courses.repeat.value === 'weekdays';
+    const course = {
+        id: `course-${Date.now()}`,
+        medId: dom.courses.med.value,
+        slots: checked(dom.courses.slots),
+        start: start,
+        end: days > 0 ? localDateKey(addDays(parseDateKey(start), days - 1)) : null,
+        every: byWeekday ? 1 : parseInt(dom.courses.repeat.value, 10),
+        weekdays: byWeekday ? checked(dom.courses.weekdays).map(Number) : [],
+        count: count,
+        taper: taperStep > 0 ? { step: taperStep, everyDays: taperDays } : null
+    };
+    if (!course.medId) return { error: t("Choose a medication.") };
+    if (course.slots.length === 0) return { error: t("Choose at least one time of day.") };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start)) return { error: t("Choose a start date.") };
+    if (byWeekday && course.weekdays.length === 0) return { error: t("Choose at least one weekday.") };
+    if (!(count >= 1)) return { error: t("Pills per dose must be at least 1.") };
+    if (course.taper && !(taperDays >= 1)) return { error: t("The taper needs a number of days between steps.") };
+    return { course };
+}
+
+function courseChanged() {
+    state.scheduleDirty = true;
+    saveSchedule();
+    renderCourseList();
+    renderWeekNav();
+    paintWheel();
+    updateUI();
+}
+
+function deleteCourse(courseId) {
+    if (!confirm(t("Remove this course? Its doses are taken off the wheel from now on."))) return;
+    state.courses = state.courses.filter(c => c.id !== courseId);
+    courseChanged();
+}
+
+// Week shown on the wheel (and synced). Only offered while there are courses, as without them every week is the same.
+function renderWeekNav() {
+    dom.week.nav.style.display = state.courses.length > 0 ? 'flex' : 'none';
+    const offset = Math.round(daysBetween(startOfWeek(new Date()), state.weekOf) / 7);
+    const options = { month: 'short', day: 'numeric' };
+    const range = `${formatDate(state.weekOf, options)} - ${formatDate(addDays(state.weekOf, 6), options)}`;
+    dom.week.label.textContent = t(offset === 0 ? "This week, {range}" : offset === 1 ? "Next week, {range}" : "Week of {range}", { range: range });
+}
+
+function showWeek(weekStart) {
+    state.weekOf = weekStart;
+    renderWeekNav();
+    paintWheel();
+    updateUI();
+}
+
+// Courses move on every week. A device still running an earlier week (or nothing since a reboot) gets this one.
+async function syncCurrentWeek(device = state.device) {
+    showWeek(startOfWeek(new Date()));
+    try {
+        const payload = buildConfigPayload();
+        const ack = await postConfig(payload, device);
+        markConfigSynced(device, payload, ack);
+        const mismatches = ackMismatches(payload, ack);
+        setConnectionStatus(true, mismatches.length > 0
+            ? tn("Status: Connected to {ip}, this week's courses synced with {count} mismatch", "Status: Connected to {ip}, this week's courses synced with {count} mismatches", mismatches.length, { ip: device.ip })
+            : t("Status: Connected to {ip}, this week's courses synced", { ip: device.ip }), device);
+    } catch (e) {
+        if (e.isConflict) device.conflictRevision = e.revision;
+        console.log("Weekly course sync failed.", e);
+    }
+}
+
+// --- Compartment Inventory & Refill Wizard ---
+// The device tracks what is physically loaded (see /inventory in the firmware); the app only
+// reads it back with the config and marks compartments loaded as the caregiver fills them.
+const STOCK_STYLES = {
+    loaded: { label: "Loaded", color: "#10b981" },
+    dispensed: { label: "Dispensed", color: "#94a3b8" },
+    empty: { label: "Empty", color: "#f1f5f9" }
+};
+let refill = null; // While the wizard is open: { steps: [segment IDs], index, results: { id: "loaded" | "skipped" } }
+
+// null while the inventory hasn't been read from the device
+function stockOf(id) {
+    return state.inventory ? (state.inventory[id] || 'empty') : null;
+}
+
+// Scheduled but nothing loaded (compartments already dispensed this week don't count)
+function needsRefill(id, week = weekSchedule()) {
+    return week.pills.has(id) && stockOf(id) === 'empty';
+}
+
+// Position in the wheel's rim order: rim number 1-21, inner ring (Before) first
+function compartmentIndex(id) {
+    const [day, meal, when] = id.split('-');
+    return (CONFIG.daysOfWeek.indexOf(day) * 3 + CONFIG.mealTypes.indexOf(meal)) * 2 + (when === 'After' ? 1 : 0);
+}
+
+function sortByCompartment(ids) {
+    return [...ids].sort((a, b) => compartmentIndex(a) - compartmentIndex(b));
+}
+
+function renderInventoryWarning() {
+    const week = weekSchedule();
+    const missing = sortByCompartment(Array.from(week.pills).filter(id => needsRefill(id, week)));
+    dom.inventory.warning.style.display = missing.length > 0 ? 'block' : 'none';
+    if (missing.length === 0) return;
+    const names = missing.slice(0, 3).map(slotLabel).join(', ') + (missing.length > 3 ? ` ${t("and {count} more", { count: missing.length - 3 })}` : "");
+    dom.inventory.warning.textContent = missing.length === 1
+        ? t("{names} is scheduled but has no pills loaded. Tap to refill.", { names: names })
+        : t("{count} scheduled compartments have no pills loaded: {names}. Tap to refill.", { count: missing.length, names: names });
+}
+
+function renderInventoryLegend() {
+    dom.inventory.legend.innerHTML = "";
+    if (!state.inventory) {
+        dom.inventory.legend.textContent = t("Connect to the dispenser to see what is loaded.");
+        return;
+    }
+    Object.values(STOCK_STYLES).forEach(style => {
+        const item = document.createElement('span');
+        item.innerHTML = `<span class="pill-dot" style="background:${style.color}"></span>`;
+        item.appendChild(document.createTextNode(t(style.label)));
+        dom.inventory.legend.appendChild(item);
+    });
+    const warn = document.createElement('span');
+    warn.innerHTML = '<span class="pill-dot needs-refill-dot"></span>';
+    warn.appendChild(document.createTextNode(t("Scheduled, not loaded")));
+    dom.inventory.legend.appendChild(warn);
+}
+
+function setInventoryView(show) {
+    state.showInventory = show;
+    dom.inventory.toggleBtn.textContent = show ? t("Schedule") : t("Inventory");
+    dom.inventory.legend.style.display = show ? 'flex' : 'none';
+    if (show) renderInventoryLegend();
+    paintWheel();
+}
+
+function startRefill() {
+    const steps = sortByCompartment(weekSchedule().pills);
+    if (steps.length === 0) return alert(t("Schedule some doses first. The refill walks through the scheduled compartments."));
+    if (!state.device.isConnected) return alert(t("{device} is not connected. Connect to it so each compartment can be marked as loaded.", { device: deviceLabel(state.device) }));
+    // Start at the first compartment that still needs pills
+    const first = steps.findIndex(id => needsRefill(id));
+    refill = { steps: steps, index: Math.max(first, 0), results: {} };
+    renderRefillStep();
+    dom.modals.refill.style.display = 'flex';
+}
+
+function renderRefillStep() {
+    const id = refill.steps[refill.index];
+    const position = compartmentIndex(id);
+    const stock = stockOf(id);
+    dom.refill.progress.textContent = t("Compartment {index} of {count}", { index: refill.index + 1, count: refill.steps.length });
+    dom.refill.target.textContent = slotLabel(id);
+    dom.refill.where.textContent = t(position % 2 === 0 ? "Rim number {rim}, inner ring" : "Rim number {rim}, outer ring", { rim: Math.floor(position / 2) + 1 }) +
+        (stock ? ` \u00B7 ${t("now {stock}", { stock: t(STOCK_STYLES[stock].label).toLocaleLowerCase(locale()) })}` : "");
+
+    dom.refill.meds.innerHTML = "";
+    const meds = weekSchedule().meds[id] || [];
+    if (meds.length === 0) dom.refill.meds.innerHTML = `<p class="helper-text">${t("No medications assigned to this compartment.")}</p>`;
+    meds.forEach(med => {
+        const row = document.createElement('div');
+        row.className = 'med-row';
+        row.innerHTML = `<span class="pill-dot"></span>
+                         <div class="med-info"><strong></strong><small></small></div>`;
+        row.querySelector('.pill-dot').style.background = med.color;
+        row.querySelector('strong').textContent = formatMedication(med);
+        row.querySelector('small').textContent = med.instructions || "";
+        dom.refill.meds.appendChild(row);
+    });
+
+    dom.refill.msg.textContent = "";
+    dom.refill.backBtn.disabled = refill.index === 0;
+    dom.refill.loadedBtn.textContent = refill.index === refill.steps.length - 1 ? t("Loaded, Finish") : t("Loaded");
+    paintWheel(); // Highlights the compartment being filled
+}
+
+async function markRefillStep(loaded) {
+    const id = refill.steps[refill.index];
+    if (loaded) {
+        dom.refill.loadedBtn.disabled = true;
+        try {
+            const { response, result } = await postControl('/inventory', { loaded: [id] });
+            if (!response.ok) throw rejectedError(result.error || t("Device rejected the request"));
+        } catch (e) {
+            dom.refill.msg.textContent = e.isAuthError || e.isRejected ? e.message : t("Could not reach the device at {ip}.", { ip: state.device.ip });
+            return;
+        } finally {
+            dom.refill.loadedBtn.disabled = false;
+        }
+        state.inventory = { ...state.inventory, [id]: 'loaded' };
+    }
+    refill.results[id] = loaded ? 'loaded' : 'skipped';
+
+    if (refill.index < refill.steps.length - 1) {
+        refill.index++;
+        renderRefillStep();
+    } else {
+        const results = Object.values(refill.results);
+        closeRefill();
+        alert(t("Refill complete: {loaded} loaded, {skipped} skipped.", {
+            loaded: results.filter(r => r === 'loaded').length,
+            skipped: results.filter(r => r === 'skipped').length
+        }));
+    }
+}
+
+function closeRefill() {
+    refill = null;
+    dom.modals.refill.style.display = 'none';
+    paintWheel();
+    updateUI();
+    if (state.showInventory) renderInventoryLegend();
+}
+
+// --- Authentication ---
+// App lock: the unlock PIN only ever exists in storage as a salted PBKDF2 hash.
+// Device: the device PIN is exchanged for a session token; every request carries the token.
+const APP_PIN_KEY = 'pillDispenser.appPin';
+const APP_LOCKOUT_KEY = 'pillDispenser.appLockout';
+const PIN_ITERATIONS = 100000;
+const MAX_FREE_ATTEMPTS = 5; // Wrong PINs allowed before lockout, mirrors the firmware
+const LOCKOUT_BASE_MS = 30000; // Doubles with each further wrong PIN
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function isValidPin(pin) {
+    return /^\d{4,8}$/.test(pin);
+}
+
+async function hashPin(pin, salt, iterations) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt: enc.encode(salt), iterations: iterations, hash: 'SHA-256' }, key, 256);
+    return toHex(bits);
+}
+
+function hasAppPin() {
+    return localStorage.getItem(APP_PIN_KEY) !== null;
+}
+
+async function setAppPin(pin) {
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const hash = await hashPin(pin, salt, PIN_ITERATIONS);
+    localStorage.setItem(APP_PIN_KEY, JSON.stringify({ salt: salt, iterations: PIN_ITERATIONS, hash: hash }));
+}
+
+async function verifyAppPin(pin) {
+    const saved = JSON.parse(localStorage.getItem(APP_PIN_KEY));
+    if (!saved) return false;
+    return await hashPin(pin, saved.salt, saved.iterations) === saved.hash;
+}
+
+function getAppLockout() {
+    return JSON.parse(localStorage.getItem(APP_LOCKOUT_KEY) || '{"failures": 0, "until": 0}');
+}
+
+function registerAppFailure() {
+    const lockout = getAppLockout();
+    lockout.failures++;
+    if (lockout.failures >= MAX_FREE_ATTEMPTS) {
+        lockout.until = Date.now() + LOCKOUT_BASE_MS * 2 ** Math.min(lockout.failures - MAX_FREE_ATTEMPTS, 5);
+    }
+    localStorage.setItem(APP_LOCKOUT_KEY, JSON.stringify(lockout));
+    return lockout;
+}
+
+// Saved device PINs are encrypted with an AES-GCM key derived from the app PIN,
+// so they can only be read back after the app has been unlocked
+let vaultKey = null;
+
+function fromHex(hex) {
+    return new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+}
+
+async function unlockVault(pin) {
+    const saved = JSON.parse(localStorage.getItem(APP_PIN_KEY));
+    const enc = new TextEncoder();
+    const material = await crypto.subtle.importKey('raw', enc.encode(pin), 'PBKDF2', false, ['deriveKey']);
+    vaultKey = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: enc.encode(`${saved.salt}:vault`), iterations: saved.iterations, hash: 'SHA-256' },
+        material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptSecret(text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, vaultKey, new TextEncoder().encode(text));
+    return { iv: toHex(iv), data: toHex(data) };
+}
+
+async function decryptSecret(box) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromHex(box.iv) }, vaultKey, fromHex(box.data));
+    return new TextDecoder().decode(data);
+}
+
+// Fills each device's in-memory PIN from its encrypted credentials, except a PIN the device refused
+// last time: signing in with it again on every start would keep the device locked out.
+async function loadDeviceCredentials() {
+    for (const device of state.devices) {
+        if (!device.credentials || device.pinRejected) continue;
+        try {
+            device.password = await decryptSecret(device.credentials);
+        } catch (e) {
+            console.log(`Could not decrypt PIN for ${device.patientName}`, e);
+        }
+    }
+}
+
+// Re-encrypts saved device PINs after the app PIN (and so the vault key) changes
+async function rekeyVault(newPin) {
+    await setAppPin(newPin);
+    await unlockVault(newPin);
+    for (const device of state.devices) {
+        device.credentials = device.password ? await encryptSecret(device.password) : null;
+    }
+    saveDevices();
+    alertSettings.mqtt.password = mqttPassword ? await encryptSecret(mqttPassword) : null;
+    saveAlertSettings();
+}
+
+function authError(message) {
+    const error = new Error(message);
+    error.isAuthError = true;
+    return error;
+}
+
+// The device answered but refused the request (a bad value, a state it can't act in): not a sign-in problem
+function rejectedError(message) {
+    const error = new Error(message);
+    error.isRejected = true;
+    return error;
+}
+
+// POST /login {pin} -> {token}. A refused PIN is forgotten rather than sent again by the next
+// heartbeat: every wrong PIN counts toward the device's lockout, which locks out every phone.
+// A lockout (429) says nothing about this phone's PIN, so it is kept and tried again once the
+// lockout is over (device.loginRetryAt).
+async function deviceLogin(device = state.device) {
+    const waitMs = (device.loginRetryAt || 0) - Date.now();
+    if (waitMs > 0) throw authError(t("Too many wrong PINs. Try again in {seconds}s.", { seconds: Math.ceil(waitMs / 1000) }));
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), DEVICE_TIMEOUT_MS);
+    let response;
+    try {
+        response = await fetch(`http://${device.ip}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pin: device.password }),
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+        device.password = null;
+        device.token = null;
+        device.pinRejected = true;
+        saveDevices();
+        promptDevicePin(device);
+    }
+    if (response.status === 429) {
+        device.loginRetryAt = Date.now() + (body.retry_after || 1) * 1000;
+        throw authError(t("Too many wrong PINs. Try again in {seconds}s.", { seconds: body.retry_after }));
+    }
+    if (!response.ok || !body.token) throw authError(body.error || t("Device login failed"));
+    device.token = body.token;
+    if (device.pinRejected) {
+        device.pinRejected = false;
+        saveDevices();
+    }
+}
+
+// fetch() for device routes: adds the session token and a timeout (ms, DEVICE_TIMEOUT_MS unless given)
+// until the response headers arrive. A 401 means the token expired or the device rebooted, so sign in
+// again once and retry.
+const DEVICE_TIMEOUT_MS = 10000;
+
+async function deviceFetch(path, options = {}, device = state.device) {
+    const { timeout = DEVICE_TIMEOUT_MS, ...fetchOptions } = options;
+    const send = async () => {
+        const headers = { ...(fetchOptions.headers || {}) };
+        if (device.token) headers['Authorization'] = `Bearer ${device.token}`;
+        const controller = new AbortController();
+        const timeoutId = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+        try {
+            return await fetch(`http://${device.ip}${path}`, { ...fetchOptions, headers: headers, signal: controller.signal });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    };
+
+    let response = await send();
+    if (response.status === 401 && device.password) {
+        await deviceLogin(device);
+        response = await send();
+    }
+    return response;
+}
+
+// --- Device Registry (one dispenser per patient) ---
+const DEVICES_STORAGE_KEY = 'pillDispenser.devices';
+const ACTIVE_DEVICE_KEY = 'pillDispenser.activeDevice';
+const DEFAULT_DEVICE_IP = "192.168.4.1"; // Default SoftAP IP
+const PERSISTED_DEVICE_FIELDS = ['key', 'patientName', 'ip', 'id', 'credentials', 'logOffset', 'lastLogFetch', 'legacy', 'lowStockAlerted', 'pinRejected', 'logsLate'];
+
+// Each device's wheel, meal times and dose rules, so a reload doesn't wipe them
+const SCHEDULE_STORAGE_KEY = 'pillDispenser.schedule';
+
+function createDevice(fields = {}) {
+    return {
+        key: fields.key || `dev-${Date.now()}`,
+        patientName: fields.patientName || "",
+        ip: fields.ip || DEFAULT_DEVICE_IP,
+        id: fields.id || null, // Device's MAC address as reported by /status; tags every synced log entry
+        credentials: fields.credentials || null, // Device PIN, encrypted with encryptSecret()
+        logOffset: fields.logOffset || 0, // Byte cursor into the device's /med_log.txt; everything before it is already in IndexedDB
+        lastLogFetch: fields.lastLogFetch || 0, // ms timestamp of the last successful log sync
+        legacy: !!fields.legacy, // Adopted from the single-device era, so it owns logs stored before device IDs existed
+        lowStockAlerted: !!fields.lowStockAlerted, // A low-inventory alert went out and hasn't been cleared by a refill, see checkLowStockAlert()
+        pinRejected: !!fields.pinRejected, // The device refused the saved PIN; it isn't used again until the user enters one
+        logsLate: !!fields.logsLate, // Its firmware logs LATE itself (its config has lateGraceMin), see doseOutcome()
+        // Runtime only, never persisted
+        password: "", // Device PIN, kept in memory only so an expired token can be renewed
+        token: null, // Session token from POST /login, sent as "Authorization: Bearer <token>"
+        isConnected: false,
+        statusMsg: "",
+        clock: null, // Last clock reading from /status, see readDeviceClock()
+        events: null, // Open EventSource while the device pushes live events, see openEventStream()
+        lastCheck: 0, // ms timestamp of the last /status request
+        lastSeen: 0, // ms timestamp of the last time it answered; 0 until it does while the app is open
+        offlineAlerted: false // An offline alert went out since it was last seen
+    };
+}
+
+function loadDevices() {
+    const saved = JSON.parse(localStorage.getItem(DEVICES_STORAGE_KEY) || "null");
+    if (saved && saved.length > 0) {
+        state.devices = saved.map(createDevice);
+    } else {
+        // First run with multi-device support: adopt the one dispenser the app used to know,
+        // carrying over its log cursor (previously stored per IP)
+        const oldCursors = JSON.parse(localStorage.getItem('pillDispenser.logCursor') || "{}");
+        const cursor = oldCursors[DEFAULT_DEVICE_IP] || {};
+        state.devices = [createDevice({ patientName: "My Dispenser", legacy: true, logOffset: cursor.offset, lastLogFetch: cursor.lastFetch })];
+        localStorage.removeItem('pillDispenser.logCursor');
+    }
+    const activeKey = localStorage.getItem(ACTIVE_DEVICE_KEY);
+    state.device = state.devices.find(d => d.key === activeKey) || state.devices[0];
+    saveDevices();
+}
+
+function scheduleStorageKey(device) {
+    return `${SCHEDULE_STORAGE_KEY}.${device.key}`;
+}
+
+// scheduleDirty is kept too: edits not yet synced must survive the reload and the device read-back.
+// slotStatus isn't, it is only meaningful for the day the device reported it.
+function loadSchedule() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(scheduleStorageKey(state.device)));
+    } catch (e) {
+        console.log("Could not read saved schedule.", e);
+    }
+    saved = saved || {};
+    state.selectedPills = new Set(saved.selectedPills || []);
+    state.courses = saved.courses || [];
+    state.weekOf = startOfWeek(new Date());
+    state.timings = { ...DEFAULT_TIMINGS, ...saved.timings };
+    state.doseRules = { ...DEFAULT_DOSE_RULES, ...saved.doseRules };
+    state.slotStatus = {};
+    state.inventory = null;
+    state.scheduleDirty = !!saved.scheduleDirty;
+    state.revision = saved.revision || 0;
+}
+
+function saveSchedule() {
+    localStorage.setItem(scheduleStorageKey(state.device), JSON.stringify({
+        selectedPills: Array.from(state.selectedPills),
+        courses: state.courses,
+        timings: state.timings,
+        doseRules: state.doseRules,
+        scheduleDirty: state.scheduleDirty,
+        revision: state.revision
+    }));
+    // A sync waiting for the device should carry the latest edits
+    if (state.scheduleDirty && isConfigQueued(state.device)) queueConfig(state.device, buildConfigPayload());
+}
+
+function saveDevices() {
+    const records = state.devices.map(d => Object.fromEntries(PERSISTED_DEVICE_FIELDS.map(f => [f, d[f]])));
+    localStorage.setItem(DEVICES_STORAGE_KEY, JSON.stringify(records));
+    localStorage.setItem(ACTIVE_DEVICE_KEY, state.device.key);
+}
+
+// deviceId values a device's log entries may carry
+function logOwnerIds(device) {
+    const owners = [device.key];
+    if (device.id) owners.push(device.id);
+    if (device.legacy) owners.push(UNKNOWN_DEVICE, 'demo', DEFAULT_DEVICE_IP);
+    return owners;
+}
+
+function deviceLabel(device) {
+    return device.patientName || device.ip;
+}
+
+function fillTimingInputs() {
+    dom.inputs.bk.value = state.timings.breakfast;
+    dom.inputs.ln.value = state.timings.lunch;
+    dom.inputs.dn.value = state.timings.dinner;
+    renderDayTimings();
+    dom.inputs.windowPre.value = state.doseRules.windowPreMin;
+    dom.inputs.windowPost.value = state.doseRules.windowPostMin;
+    dom.inputs.remindEvery.value = state.doseRules.remindEveryMin;
+    dom.inputs.lateGrace.value = state.doseRules.lateGraceMin;
+}
+
+// One row per day, one time input per meal; left empty the day uses the meal time above
+function renderDayTimings(dayTimes = state.timings.dayTimes) {
+    dom.inputs.dayTimings.innerHTML = "";
+    displayDayOrder().map(d => CONFIG.daysOfWeek[d]).forEach(day => {
+        const row = document.createElement('div');
+        row.className = 'day-timing-row';
+        const name = document.createElement('span');
+        name.textContent = dayLabel(day, 'short');
+        row.appendChild(name);
+        CONFIG.mealTypes.forEach(meal => {
+            const input = document.createElement('input');
+            input.type = 'time';
+            input.dataset.day = day;
+            input.dataset.meal = meal.toLowerCase();
+            input.setAttribute('aria-label', `${dayLabel(day)} ${t(meal)}`);
+            input.value = (dayTimes[day] || {})[input.dataset.meal] || "";
+            row.appendChild(input);
+        });
+        dom.inputs.dayTimings.appendChild(row);
+    });
+}
+
+function readDayTimings(timings) {
+    const dayTimes = {};
+    dom.inputs.dayTimings.querySelectorAll('input').forEach(input => {
+        const { day, meal } = input.dataset;
+        if (!input.value || input.value === timings[meal]) return;
+        dayTimes[day] = { ...dayTimes[day], [meal]: input.value };
+    });
+    return dayTimes;
+}
+
+// Loads the active device's stored catalogue and schedule and repaints everything that shows them
+function renderActiveDevice() {
+    loadMedications();
+    loadSchedule();
+    fillTimingInputs();
+    renderWeekNav();
+    paintWheel();
+    updateUI();
+    renderDevices();
+}
+
+function switchDevice(key) {
+    if (key === state.device.key) return;
+    state.device = state.devices.find(d => d.key === key);
+    saveDevices();
+    renderActiveDevice();
+    if (db) renderLogsAndAnalytics();
+    if (state.device.isConnected) {
+        loadDeviceConfig();
+        fetchLogs();
+    }
+}
+
+function removeDevice(key) {
+    if (state.devices.length === 1) return alert(t("At least one dispenser must stay registered."));
+    const device = state.devices.find(d => d.key === key);
+    if (!confirm(t("Remove {device}? Its logs stay on this phone.", { device: deviceLabel(device) }))) return;
+    if (device === state.device) switchDevice(state.devices.find(d => d !== device).key);
+    state.devices = state.devices.filter(d => d !== device);
+    localStorage.removeItem(medsStorageKey(device));
+    localStorage.removeItem(scheduleStorageKey(device));
+    queuedOps(device).forEach(removeOp);
+    closeEventStream(device);
+    saveDevices();
+    renderDevices();
+}
+
+// Header switcher, connection dot and the list in the Dispensers modal
+function renderDevices() {
+    dom.devices.switcher.innerHTML = "";
+    state.devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.key;
+        option.textContent = `${device.isConnected ? "\u25CF" : "\u25CB"} ${deviceLabel(device)}`;
+        option.selected = device === state.device;
+        dom.devices.switcher.appendChild(option);
+    });
+
+    const active = state.device;
+    const clockIssue = active.isConnected ? clockWarning(active) : "";
+    dom.indicators.wifiDot.className = clockIssue ? 'status-dot warning' : active.isConnected ? 'status-dot connected' : active.statusMsg ? 'status-dot error' : 'status-dot';
+    dom.indicators.connMsg.textContent = (active.statusMsg || t("Status: Not Connected")) + (clockIssue ? t(", but the {issue}", { issue: clockIssue }) : "");
+    dom.indicators.connMsg.style.color = clockIssue ? 'var(--warning)' : active.isConnected ? 'var(--success)' : active.statusMsg ? 'var(--error)' : "";
+    renderDeviceClock();
+
+    dom.devices.list.innerHTML = "";
+    state.devices.forEach(device => {
+        const row = document.createElement('div');
+        row.className = 'med-row device-row' + (device === state.device ? ' active' : '');
+        row.innerHTML = `<span class="device-dot"></span>
+                         <div class="med-info"><strong></strong><small></small></div>
+                         <button class="text-btn med-edit">${t("Edit")}</button>
+                         <button class="text-btn med-delete">${t("Remove")}</button>`;
+        row.querySelector('.device-dot').classList.add(device.isConnected ? 'connected' : 'offline');
+        row.querySelector('strong').textContent = deviceLabel(device);
+        const clockIssue = device.isConnected ? clockWarning(device) : "";
+        row.querySelector('small').textContent = `${device.ip} \u00B7 ${device.isConnected ? t("Online") : t("Offline")}` + (clockIssue ? ` \u00B7 ${clockIssue}` : "");
+        row.querySelector('.med-info').addEventListener('click', () => switchDevice(device.key));
+        row.querySelector('.med-edit').addEventListener('click', () => editDevice(device));
+        row.querySelector('.med-delete').addEventListener('click', () => removeDevice(device.key));
+        dom.devices.list.appendChild(row);
+    });
+}
+
+function resetDeviceForm() {
+    dom.inputs.deviceKey.value = "";
+    dom.inputs.patient.value = "";
+    dom.inputs.ip.value = DEFAULT_DEVICE_IP;
+    dom.inputs.pass.value = "";
+    dom.devices.saveBtn.textContent = t("Add Dispenser");
+    dom.devices.cancelBtn.style.display = 'none';
+}
+
+function editDevice(device) {
+    dom.inputs.deviceKey.value = device.key;
+    dom.inputs.patient.value = device.patientName;
+    dom.inputs.ip.value = device.ip;
+    dom.inputs.pass.value = "";
+    dom.devices.saveBtn.textContent = t("Save & Connect");
+    dom.devices.cancelBtn.style.display = 'inline-block';
+}
+
+// After a refused PIN: the Dispensers modal opens on the device's form, so the next attempt is the user's
+function promptDevicePin(device) {
+    if (device !== state.device) return; // Its status says "Device PIN required" once it's switched to
+    renderDevices();
+    editDevice(device);
+    dom.modals.wifi.style.display = 'flex';
+    dom.inputs.pass.focus();
+}
+
+// --- NEW FEATURES START HERE ---
+
+// 1. Unified JSON Payload
+// "Sync to Device" opens the review first (see Sync Review); confirming it sends the payload here
+async function sendConfig(payload) {
+    const btnText = dom.saveBtn.querySelector('.btn-text');
+    const originalText = btnText.textContent;
+    btnText.textContent = t("Syncing...");
+    dom.saveBtn.disabled = true;
+
+    try {
+        const ack = await postConfig(payload);
+        dequeueConfig(state.device);
+        markConfigSynced(state.device, payload, ack);
+        const mismatches = ackMismatches(payload, ack);
+        if (mismatches.length === 0) alert(t("Sync Successful!"));
+        else alert(t("Synced, but {device} is not running everything as sent:", { device: deviceLabel(state.device) }) + "\n" + mismatches.join("\n"));
+        setConnectionStatus(true);
+    } catch (error) {
+        console.error(error);
+        if (error.isAuthError) {
+            alert(t("Sync Failed. {error} - enter it in the connection settings.", { error: error.message }));
+            setConnectionStatus(false, t("Status: {message}", { message: error.message }));
+        } else if (error.isConflict) {
+            state.device.conflictRevision = error.revision;
+            alert(t("Sync Failed. {device} has a newer schedule (revision {revision}) saved from another phone. Review the sync again to see it before replacing it.", { device: deviceLabel(state.device), revision: error.revision }));
+        } else if (error.isRejected) {
+            alert(t("Sync Failed. {device} rejected the schedule.", { device: deviceLabel(state.device) }) +
+                (error.problems ? "\n" + error.problems.map(describeProblem).join("\n") : ""));
+        } else {
+            // Unreachable: keep the change and send it as soon as the dispenser answers again
+            queueConfig(state.device, payload);
+            alert(t("{device} isn't reachable at {ip}. The changes are queued and will sync when it reconnects.", { device: deviceLabel(state.device), ip: state.device.ip }));
+            setConnectionStatus(false);
+        }
+    } finally {
+        btnText.textContent = originalText;
+        dom.saveBtn.disabled = false;
+        updateUI();
+    }
+}
+
+// Requirement 1: Single JSON containing both timings and pills
+// The week on the wheel: course-only compartments carry their date in slotDates, weekOf is its Monday
+function buildConfigPayload() {
+    const week = weekSchedule();
+    return {
+        settings: { ...state.timings, ...state.doseRules },
+        schedule: Array.from(week.pills),
+        assignments: buildAssignmentsPayload(week),
+        slotDates: week.dates,
+        weekOf: localDateKey(state.weekOf),
+        revision: state.revision + 1 // The device refuses it if its own revision is already this new (see Config Revisions)
+    };
+}
+
+// Resolves with the device's acknowledgement: { message, version, checksum, accepted, rejected }
+// (only { message } from firmware that predates it)
+async function postConfig(payload, device = state.device) {
+    const response = await deviceFetch('/save-config', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    }, device);
+    if (response.status === 401) throw authError(t("Device PIN required"));
+    const ack = await response.json().catch(() => ({}));
+    if (response.status === 409) {
+        const error = new Error("Device has a newer config");
+        error.isConflict = true;
+        error.revision = ack.revision;
+        throw error;
+    }
+    if (!response.ok) {
+        const error = rejectedError("Device rejected request");
+        if (Array.isArray(ack.problems)) error.problems = ack.problems;
+        throw error;
+    }
+    if (ack.version !== undefined) device.configVersion = ack.version;
+    return ack;
+}
+
+// What the device reports running that differs from the payload sent: skipped entries, then
+// compartments by time/date, then the checksum (which also covers the dose rules)
+function ackMismatches(payload, ack) {
+    if (!ack.accepted) return []; // Firmware without acknowledgements
+    const expected = expectedSlots(payload);
+    const mismatches = (ack.rejected || []).map(describeProblem);
+    changedSlots(expected, ack.accepted).forEach(id => {
+        const sent = expected[id], running = ack.accepted[id];
+        if (running === undefined) mismatches.push(t("{slot}: not scheduled on the device", { slot: slotLabel(id) }));
+        else if (sent === undefined) mismatches.push(t("{slot}: scheduled on the device at {time}", { slot: slotLabel(id), time: describeSlotTime(running) }));
+        else mismatches.push(t("{slot}: device runs {running} instead of {sent}", { slot: slotLabel(id), running: describeSlotTime(running), sent: describeSlotTime(sent) }));
+    });
+    if (mismatches.length === 0 && ack.checksum && ack.checksum !== configChecksum(expected, payload.settings)) {
+        mismatches.push(t("Checksum {device} instead of {sent}: the dose rules may differ", { device: ack.checksum, sent: configChecksum(expected, payload.settings) }));
+    }
+    return mismatches;
+}
+
+// --- Sync Review ---
+// Before a sync the caregiver sees what changes on the device: the payload is checked against the
+// shared schema (config-schema.js) and compared with the config the device reports running now.
+const PROBLEM_TEXT = {
+    "missing": "missing",
+    "bad-time": "not a 24-hour time (HH:MM)",
+    "bad-date": "not a date (YYYY-MM-DD)",
+    "out-of-range": "outside the allowed range",
+    "unknown-day": "not a day of the week",
+    "unknown-meal": "not breakfast, lunch or dinner",
+    "unknown-slot": "not a compartment",
+    "not-list": "not a list",
+    "not-object": "not a set of values"
+};
+const RULE_LABELS = {
+    windowPreMin: "Alarm early",
+    windowPostMin: "On time for",
+    remindEveryMin: "Remind every",
+    lateGraceMin: "Allow late for"
+};
+let syncReview = null; // While the review is open: { payload }
+
+function describeProblem(entry) {
+    return `${entry.field}: ${t(PROBLEM_TEXT[entry.problem] || entry.problem)}`;
+}
+
+// Segment IDs, Monday breakfast first, whose expectedSlots() entry differs between the two
+function changedSlots(from, to) {
+    return CONFIG.daysOfWeek.flatMap((_, day) => [0, 1, 2, 3, 4, 5].map(slot => slotIdFor(day, slot))).filter(id => from[id] !== to[id]);
+}
+
+// "20:00@2025-01-09" -> "8:00 PM, Jan 9"
+function describeSlotTime(value) {
+    const [time, date] = value.split('@');
+    const clock = time ? formatClock(time) : t("no time");
+    return date ? `${clock}, ${formatDate(parseDateKey(date), { month: 'short', day: 'numeric' })}` : clock;
+}
+
+// Differences between the config the device runs (a /get-config reply) and the payload about to replace it
+function configChanges(current, payload) {
+    const from = current.settings || {}, to = payload.settings;
+    const changes = [];
+    CONFIG.mealTypes.forEach((meal, m) => {
+        const key = CONFIG_SCHEMA.mealKeys[m];
+        if (from[key] !== to[key]) changes.push(t("{meal} time: {from} to {to}", { meal: t(meal), from: from[key] ? formatClock(from[key]) : "-", to: to[key] ? formatClock(to[key]) : "-" }));
+    });
+    Object.keys(RULE_LABELS).forEach(key => {
+        if (from[key] !== undefined && from[key] !== to[key]) changes.push(t("{rule}: {from} to {to} min", { rule: t(RULE_LABELS[key]), from: from[key], to: to[key] }));
+    });
+    const running = expectedSlots(current), sent = expectedSlots(payload);
+    changedSlots(running, sent).forEach(id => {
+        if (running[id] === undefined) changes.push(t("{slot}: added at {time}", { slot: slotLabel(id), time: describeSlotTime(sent[id]) }));
+        else if (sent[id] === undefined) changes.push(t("{slot}: removed", { slot: slotLabel(id) }));
+        else changes.push(t("{slot}: {from} to {to}", { slot: slotLabel(id), from: describeSlotTime(running[id]), to: describeSlotTime(sent[id]) }));
+    });
+    return changes;
+}
+
+function fillSyncList(list, lines) {
+    list.innerHTML = "";
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+    });
+    list.style.display = lines.length > 0 ? 'block' : 'none';
+}
+
+async function openSyncReview() {
+    const payload = buildConfigPayload();
+    const problems = validateConfigPayload(payload);
+    const review = { payload: payload };
+    syncReview = review;
+    fillSyncList(dom.sync.problems, problems.map(describeProblem));
+    fillSyncList(dom.sync.changes, []);
+    dom.sync.summary.textContent = problems.length > 0
+        ? t("Fix these settings before syncing:")
+        : t("Checking what {device} runs now...", { device: deviceLabel(state.device) });
+    dom.sync.version.textContent = "";
+    dom.sync.conflict.textContent = "";
+    dom.sync.confirmBtn.disabled = true;
+    dom.modals.sync.style.display = 'flex';
+    if (problems.length > 0) return;
+
+    let current = null;
+    if (state.device.isConnected) {
+        try {
+            const response = await deviceFetch('/get-config', { timeout: 5000 });
+            if (response.ok) current = await response.json();
+        } catch (e) {
+            console.log("Config read for the sync review failed.", e);
+        }
+    }
+    if (syncReview !== review) return; // Closed (or reopened) while the device answered
+
+    if (!current) {
+        dom.sync.summary.textContent = state.device.isConnected
+            ? t("Could not read the config {device} runs now. Sending replaces it.", { device: deviceLabel(state.device) })
+            : t("{device} isn't connected. The changes are queued if it can't be reached.", { device: deviceLabel(state.device) });
+    } else {
+        const changes = configChanges(current, payload);
+        fillSyncList(dom.sync.changes, changes);
+        dom.sync.summary.textContent = changes.length > 0
+            ? tn("{count} change on {device}:", "{count} changes on {device}:", changes.length, { device: deviceLabel(state.device) })
+            : t("No changes: {device} already runs this schedule.", { device: deviceLabel(state.device) });
+        if (current.config_version !== undefined) {
+            dom.sync.version.textContent = t("Device config version {version}, checksum {checksum}", { version: current.config_version, checksum: current.checksum });
+        }
+        if (typeof current.revision === 'number' && current.revision > state.revision) {
+            // The changes listed include ones saved from elsewhere; confirming knowingly replaces them
+            state.device.conflictRevision = current.revision;
+            payload.revision = current.revision + 1;
+            dom.sync.conflict.textContent = t("{device} was changed from another phone (revision {current}) after these edits began (revision {base}). Sending replaces those changes.", {
+                device: deviceLabel(state.device), current: current.revision, base: state.revision
+            });
+        }
+    }
+    dom.sync.confirmBtn.disabled = false;
+}
+
+function closeSyncReview() {
+    syncReview = null;
+    dom.modals.sync.style.display = 'none';
+}
+
+dom.saveBtn.addEventListener('click', openSyncReview);
+dom.sync.confirmBtn.addEventListener('click', () => {
+    const payload = syncReview.payload;
+    closeSyncReview();
+    sendConfig(payload);
+});
+document.getElementById('btn-cancel-sync').addEventListener('click', closeSyncReview);
+document.getElementById('close-sync').addEventListener('click', closeSyncReview);
+
+// Config Revisions: every config the app sends carries the revision of the device config its edits
+// started from, plus one (state.revision is that base, kept with the schedule). The device only
+// takes a revision newer than its own, so edits made on top of an older schedule, e.g. one replaced
+// from another phone meanwhile, come back as a conflict instead of silently overwriting it.
+// device.conflictRevision holds the newer revision until the conflict is resolved.
+
+// After a device took a config: the edits are synced and the next ones build on its revision
+function markConfigSynced(device, payload, ack) {
+    const revision = ack.revision !== undefined ? ack.revision : payload.revision;
+    delete device.conflictRevision;
+    if (device === state.device) {
+        state.scheduleDirty = false;
+        state.revision = revision;
+        saveSchedule();
+    } else {
+        const saved = readStored(scheduleStorageKey(device));
+        if (saved) localStorage.setItem(scheduleStorageKey(device), JSON.stringify({ ...saved, scheduleDirty: false, revision: revision }));
+    }
+}
+
+// Outgoing Operation Queue: requests a device didn't get, kept in IndexedDB ('ops') and sent in order
+// once the heartbeat sees the device again. Records: { id, deviceKey, kind, payload, queuedAt,
+// attempts, nextAttemptAt, lastError, conflictRevision }. Only the newest config matters, so a
+// device holds at most one 'config' op; later edits to a queued schedule replace it (see saveSchedule).
+// A failed retry waits twice as long as the one before; a conflict waits for the caregiver.
+// 'alert' ops are caregiver alerts held back by quiet hours; they don't go to the device (see sendAlert).
+const OP_SENDERS = { config: postConfig };
+const OP_RETRY_BASE_MS = 5000;
+const OP_RETRY_MAX_MS = 5 * 60 * 1000;
+const LEGACY_SYNC_QUEUE_KEY = 'pillDispenser.syncQueue'; // Before the ops store: { [device.key]: payload } in localStorage
+let opQueue = []; // The store's records, kept in memory so the UI can ask synchronously
+let opWrites = Promise.resolve(); // Store writes run one after another, so an op has its id before it is replaced
+
+function persistOp(op, remove = false) {
+    if (!db) return opWrites; // Locked: loadOpQueue() stores it once the database is open
+    opWrites = opWrites.then(() => new Promise((resolve) => {
+        const store = db.transaction(['ops'], 'readwrite').objectStore('ops');
+        const request = remove ? store.delete(op.id) : store.put(op);
+        request.onsuccess = () => {
+            if (!remove) op.id = request.result;
+            resolve();
+        };
+        request.onerror = () => {
+            console.log("Could not store a queued operation.", request.error);
+            resolve();
+        };
+    }));
+    return opWrites;
+}
+
+function loadStoredOps() {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(['ops'], 'readonly').objectStore('ops').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function loadOpQueue() {
+    const unsaved = opQueue.filter(op => op.id === undefined);
+    opQueue = (await loadStoredOps()).concat(unsaved);
+    unsaved.forEach(op => persistOp(op));
+    const legacy = readStored(LEGACY_SYNC_QUEUE_KEY);
+    if (legacy) {
+        Object.entries(legacy).forEach(([key, payload]) => {
+            const device = state.devices.find(d => d.key === key);
+            if (device && !isConfigQueued(device)) queueConfig(device, payload);
+        });
+        localStorage.removeItem(LEGACY_SYNC_QUEUE_KEY);
+    }
+    updateUI();
+}
+
+function queuedOps(device) {
+    return opQueue.filter(op => op.deviceKey === device.key);
+}
+
+function isConfigQueued(device) {
+    return queuedOps(device).some(op => op.kind === 'config');
+}
+
+function queueConfig(device, payload) {
+    let op = queuedOps(device).find(o => o.kind === 'config');
+    if (!op) {
+        op = { deviceKey: device.key, kind: 'config' };
+        opQueue.push(op);
+    }
+    Object.assign(op, { payload: payload, queuedAt: Date.now(), attempts: 0, nextAttemptAt: 0, lastError: "", conflictRevision: null });
+    return persistOp(op);
+}
+
+function dequeueConfig(device) {
+    queuedOps(device).filter(op => op.kind === 'config').forEach(removeOp);
+}
+
+function removeOp(op) {
+    opQueue = opQueue.filter(o => o !== op);
+    return persistOp(op, true);
+}
+
+function opRetryDelay(attempts) {
+    return Math.min(OP_RETRY_BASE_MS * Math.pow(2, attempts - 1), OP_RETRY_MAX_MS);
+}
+
+// Sends a device's queued operations in order. Ones not due yet wait for their backoff unless
+// force (the device has just come back); the first that still can't get through stops the run.
+async function flushOps(device = state.device, { force = false } = {}) {
+    if (device.flushingOps) return;
+    device.flushingOps = true;
+    try {
+        for (const op of queuedOps(device)) {
+            if (op.kind === 'alert') continue; // Goes to the caregiver, not the device: see releaseHeldAlerts()
+            if (op.conflictRevision !== null && op.conflictRevision !== undefined) continue;
+            if (!force && op.nextAttemptAt > Date.now()) return;
+            let ack;
+            try {
+                ack = await OP_SENDERS[op.kind](op.payload, device);
+            } catch (e) {
+                if (e.isConflict) {
+                    op.conflictRevision = e.revision;
+                    device.conflictRevision = e.revision;
+                    persistOp(op);
+                    setConnectionStatus(true, t("Status: Connected to {ip}, queued changes conflict with a newer schedule (revision {revision})", { ip: device.ip, revision: e.revision }), device);
+                    continue;
+                }
+                if (e.isRejected) {
+                    // Resending can't help; the edits stay on this phone as unsynced changes
+                    removeOp(op);
+                    setConnectionStatus(true, t("Status: Connected to {ip}, queued changes rejected", { ip: device.ip }), device);
+                    continue;
+                }
+                op.attempts++;
+                op.nextAttemptAt = Date.now() + opRetryDelay(op.attempts);
+                op.lastError = e.message;
+                persistOp(op);
+                console.log(`Queued ${op.kind} for ${deviceLabel(device)} not sent yet (attempt ${op.attempts}).`, e);
+                return;
+            }
+            removeOp(op);
+            if (op.kind === 'config') configOpDelivered(device, op.payload, ack);
+        }
+    } finally {
+        device.flushingOps = false;
+        if (device === state.device) updateUI();
+    }
+}
+
+function configOpDelivered(device, payload, ack) {
+    markConfigSynced(device, payload, ack);
+    const mismatches = ackMismatches(payload, ack);
+    setConnectionStatus(true, mismatches.length > 0
+        ? tn("Status: Connected to {ip}, queued changes synced with {count} mismatch", "Status: Connected to {ip}, queued changes synced with {count} mismatches", mismatches.length, { ip: device.ip })
+        : t("Status: Connected to {ip}, queued changes synced", { ip: device.ip }), device);
+}
+
+// 2. Connection Management (Heartbeat)
+// This fulfills the "Newest logs updated when connection is made" requirement
+function startHeartbeat() {
+    if (state.heartbeatInterval) clearInterval(state.heartbeatInterval);
+    
+    // Check every registered device every 5 seconds; one with a live stream only needs the occasional check
+    const checkDue = () => {
+        state.devices.filter(statusCheckDue).forEach(device => checkConnection(device));
+        releaseHeldAlerts();
+    };
+    state.heartbeatInterval = setInterval(checkDue, 5000);
+    state.devices.forEach(device => checkConnection(device)); // Check all immediately
+}
+
+function statusCheckDue(device) {
+    return !device.events || Date.now() - device.lastCheck >= STREAM_STATUS_MS;
+}
+
+async function checkConnection(device = state.device) {
+    try {
+        // The ESP32 should have a simple lightweight endpoint like /status or /ping
+        const sentAt = Date.now();
+        device.lastCheck = sentAt;
+        const response = await deviceFetch('/status', { method: 'GET', timeout: 2000 }, device); // 2s timeout
+        const readAt = (sentAt + Date.now()) / 2; // Roughly when the device read its clock
+
+        if (response.ok) {
+            const status = await response.json().catch(() => ({}));
+            // SoftAP dispensers all sit at 192.168.4.1, so the MAC tells us which one actually answered
+            if (device.id && status.device_id && status.device_id !== device.id) {
+                setConnectionStatus(false, t("Status: A different dispenser answered at this address"), device);
+                return;
+            }
+            if (!device.id && status.device_id) {
+                device.id = status.device_id;
+                saveDevices();
+            }
+            readDeviceClock(device, status, readAt);
+            const isNewConnection = !device.isConnected;
+            setConnectionStatus(true, undefined, device); // Before fetching: fetchLogs() bails out while disconnected
+            if (isNewConnection) {
+                // Requirement 3: Auto-update logs on fresh connection
+                console.log(`Connected to ${deviceLabel(device)}! Fetching logs...`);
+                fetchLogs(device); 
+                await flushOps(device, { force: true }); // Before the read-back, so it reflects the queued changes
+                if (device === state.device) loadDeviceConfig();
+            } else if (queuedOps(device).some(op => op.kind !== 'alert')) {
+                flushOps(device); // Still connected: retry whatever is due
+            }
+            if (!isNewConnection && !device.events && Date.now() - device.lastLogFetch >= LOG_POLL_MS) {
+                fetchLogs(device, { quiet: true }); // No live stream: fall back to polling the log
+            }
+            openEventStream(device, status.events_port);
+        } else if (response.status === 401) {
+            setConnectionStatus(false, t("Status: Device PIN required"), device);
+        } else {
+            setConnectionStatus(false, undefined, device);
+        }
+    } catch (e) {
+        setConnectionStatus(false, e.isAuthError ? t("Status: {message}", { message: e.message }) : undefined, device);
+    }
+}
+
+function setConnectionStatus(connected, message, device = state.device) {
+    device.isConnected = connected;
+    if (!connected) closeEventStream(device);
+    if (connected || !message) checkOfflineAlert(device); // With a message it did answer (PIN required, another dispenser)
+    device.statusMsg = message || (connected 
+        ? t("Status: Connected to {ip}", { ip: device.ip }) 
+        : t("Status: Disconnected (Unreachable)"));
+    renderDevices();
+}
+
+// 3. Config Read-back
+// Pulls the schedule the device is actually running so the wheel survives a page reload
+async function loadDeviceConfig() {
+    try {
+        const response = await deviceFetch('/get-config');
+        if (!response.ok) throw new Error("Config fetch failed");
+        applyDeviceConfig(await response.json());
+    } catch (e) {
+        console.log("Config read-back failed.", e);
+    }
+}
+
+function applyDeviceConfig(config) {
+    state.slotStatus = config.slots || {};
+    state.inventory = config.inventory || null; // Firmware without inventory tracking leaves it unknown
+    if (state.showInventory) renderInventoryLegend();
+    const logsLate = !!config.settings && 'lateGraceMin' in config.settings;
+    if (logsLate !== state.device.logsLate) {
+        state.device.logsLate = logsLate;
+        saveDevices();
+    }
+
+    // Don't clobber edits the user hasn't synced yet; only the slot states are refreshed then
+    if (!state.scheduleDirty) {
+        if (config.settings) {
+            // Meal times and dose rules share the device's "settings" object
+            const timings = { ...state.timings }, doseRules = { ...state.doseRules };
+            Object.entries(config.settings).forEach(([key, value]) => {
+                if (key in DEFAULT_DOSE_RULES) doseRules[key] = value;
+                else timings[key] = value;
+            });
+            state.timings = timings;
+            state.doseRules = doseRules;
+            fillTimingInputs();
+        }
+        // Dated compartments come from courses; only the rest is the weekly selection
+        const slotDates = config.slotDates || {};
+        state.selectedPills = new Set((config.schedule || []).filter(id => !slotDates[id]));
+        if (typeof config.revision === 'number') {
+            state.revision = config.revision;
+            delete state.device.conflictRevision;
+        }
+        saveSchedule();
+    } else if (typeof config.revision === 'number' && config.revision > state.revision) {
+        state.device.conflictRevision = config.revision; // Saved from elsewhere since these edits began
+    }
+
+    paintWheel();
+    updateUI();
+
+    if (state.courses.length > 0 && !state.scheduleDirty && state.device.isConnected
+        && typeof config.week_of === 'string' && config.week_of < localDateKey(startOfWeek(new Date()))) {
+        syncCurrentWeek();
+    }
+    checkLowStockAlert(state.device);
+}
+
+// 4. Log Parsing
+// Expected ESP32 format: "YYYY-MM-DD HH:MM:SS,dayIndex,slotIndex,EventName[,Medications[,Reason]]"
+// Remote control actions carry the caregiver's reason; dayIndex/slotIndex are -1 when no compartment is involved
+function parseLogLine(line, deviceId) {
+    const raw = line.trim();
+    const parts = raw.split(',').map(p => p.trim());
+    if (parts.length < 4) return null; // Skip bad lines
+
+    // Convert "2023-11-27 20:00:00" to Timestamp
+    const dateObj = new Date(parts[0].replace(' ', 'T')); // ISO format trick
+    const day = parseInt(parts[1]);
+    const slot = parseInt(parts[2]);
+    const event = parts[3].toUpperCase();
+    const meds = parts[4] || ""; // The firmware strips commas from both fields
+    const reason = parts.slice(5).join(',');
+    if (isNaN(dateObj.getTime()) || isNaN(day) || isNaN(slot) || !event) return null;
+
+    return {
+        deviceId: deviceId,
+        timestamp: Math.floor(dateObj.getTime() / 1000),
+        day: day,
+        slot: slot,
+        event: event,
+        raw: raw,
+        msg: event + (day >= 0 ? ` (Day ${day}, Slot ${slot})` : "") + (meds ? ` - ${meds}` : "") + (reason ? ` - Reason: ${reason}` : ""),
+        meds: meds,
+        reason: reason,
+        type: logTypeFor(event)
+    };
+}
+
+function logTypeFor(event) {
+    return event === 'DISPENSED' || event === 'MANUAL_DISPENSE' ? "dispense" : event === 'LATE' ? "late" : event === 'MISSED' ? "missed" : "info";
+}
+
+// The stored msg stays English; on screen a device entry is rebuilt from its fields in the display
+// language. Entries without a device line (dummy data, v1 records) only have their msg.
+function describeLog(log) {
+    if (log.type === 'alert') return describeAlert(log);
+    if (!log.raw) return log.msg;
+    return t(log.event) + (log.day >= 0 ? ` ${t("(Day {day}, Slot {slot})", { day: log.day, slot: log.slot })}` : "")
+        + (log.meds ? ` - ${log.meds}` : "") + (log.reason ? ` - ${t("Reason: {reason}", { reason: log.reason })}` : "");
+}
+
+// Minutes between a dispense and the time its slot was scheduled for
+function minutesPastSchedule(log) {
+    const id = slotIdFor(log.day, log.slot);
+    if (!id) return 0;
+    const [h, m] = slotTime(id).split(':').map(Number);
+    const when = new Date(log.timestamp * 1000);
+    return (when.getHours() * 60 + when.getMinutes()) - (h * 60 + m);
+}
+
+// 'taken' | 'late' | 'missed' | null. A dispenser that logs LATE itself is taken at its word; logs from
+// firmware without LATE support (and v1 records) are judged against the current dose window.
+function doseOutcome(log) {
+    if (log.type === 'missed') return 'missed';
+    if (log.type === 'late') return 'late';
+    if (log.type !== 'dispense') return null;
+    if (state.devices.some(d => d.logsLate && (log.deviceId === d.id || log.deviceId === d.key))) return 'taken';
+    return minutesPastSchedule(log) > state.doseRules.windowPostMin ? 'late' : 'taken';
+}
+
+// --- Event Listeners for New UI ---
+
+// Dispensers (WiFi) Modal
+document.getElementById('btn-wifi').addEventListener('click', () => {
+    resetDeviceForm();
+    renderDevices();
+    dom.modals.wifi.style.display = 'flex';
+});
+document.getElementById('close-wifi').addEventListener('click', () => {
+    dom.modals.wifi.style.display = 'none';
+});
+dom.devices.switcher.addEventListener('change', (e) => switchDevice(e.target.value));
+dom.devices.cancelBtn.addEventListener('click', resetDeviceForm);
+dom.devices.saveBtn.addEventListener('click', async () => {
+    const key = dom.inputs.deviceKey.value;
+    let device = state.devices.find(d => d.key === key);
+    if (!device) {
+        device = createDevice();
+        state.devices.push(device);
+    }
+    device.patientName = dom.inputs.patient.value.trim();
+    if (device.ip !== dom.inputs.ip.value.trim()) {
+        device.ip = dom.inputs.ip.value.trim();
+        device.token = null;
+        device.isConnected = false;
+    }
+    if (dom.inputs.pass.value) {
+        device.password = dom.inputs.pass.value;
+        device.credentials = await encryptSecret(device.password);
+        device.token = null;
+        device.pinRejected = false;
+    }
+    saveDevices();
+    resetDeviceForm();
+    switchDevice(device.key);
+    renderDevices();
+
+    setConnectionStatus(false, t("Status: Signing in..."), device);
+    try {
+        await deviceLogin(device);
+    } catch (e) {
+        setConnectionStatus(false, e.isAuthError ? t("Status: {message}", { message: e.message }) : undefined, device);
+        return;
+    }
+    checkConnection(device);
+});
+
+// Logs Modal
+document.getElementById('btn-logs').addEventListener('click', () => {
+    dom.modals.logs.style.display = 'flex';
+    if(state.device.isConnected) fetchLogs(); // Fetch on open
+});
+document.getElementById('close-logs').addEventListener('click', () => {
+    dom.modals.logs.style.display = 'none';
+});
+dom.logs.refreshBtn.addEventListener('click', () => fetchLogs());
+
+// Existing Settings Modal Listeners
+document.getElementById('btn-settings').addEventListener('click', () => {
+    renderNotificationStatus();
+    renderPreferences();
+    dom.modals.settings.style.display = 'flex';
+});
+dom.prefs.language.addEventListener('change', () => {
+    prefs.language = dom.prefs.language.value;
+    savePreferences();
+    applyPreferences();
+});
+dom.prefs.weekStart.addEventListener('change', () => {
+    prefs.weekStart = parseInt(dom.prefs.weekStart.value, 10);
+    savePreferences();
+    applyPreferences();
+});
+dom.prefs.hourCycle.addEventListener('change', () => {
+    prefs.hourCycle = dom.prefs.hourCycle.value;
+    savePreferences();
+    applyPreferences();
+});
+document.getElementById('close-settings').addEventListener('click', () => { dom.modals.settings.style.display = 'none'; });
+document.getElementById('btn-save-settings').addEventListener('click', () => {
+    const meals = { breakfast: dom.inputs.bk.value, lunch: dom.inputs.ln.value, dinner: dom.inputs.dn.value };
+    state.timings = { ...state.timings, ...meals, dayTimes: readDayTimings(meals) };
+    state.scheduleDirty = true;
+    const minutes = (input, fallback) => {
+        const value = parseInt(input.value, 10);
+        return isNaN(value) || value < 0 ? fallback : value;
+    };
+    state.doseRules = {
+        windowPreMin: minutes(dom.inputs.windowPre, state.doseRules.windowPreMin),
+        windowPostMin: Math.max(1, minutes(dom.inputs.windowPost, state.doseRules.windowPostMin)),
+        remindEveryMin: minutes(dom.inputs.remindEvery, state.doseRules.remindEveryMin),
+        lateGraceMin: minutes(dom.inputs.lateGrace, state.doseRules.lateGraceMin)
+    };
+    saveSchedule();
+    fillTimingInputs();
+    dom.modals.settings.style.display = 'none';
+    updateUI();
+});
+
+// Medication Catalogue Modal
+document.getElementById('btn-meds').addEventListener('click', () => {
+    resetMedicationForm();
+    renderMedicationList();
+    dom.modals.meds.style.display = 'flex';
+});
+document.getElementById('close-meds').addEventListener('click', () => { dom.modals.meds.style.display = 'none'; });
+dom.meds.cancelBtn.addEventListener('click', resetMedicationForm);
+dom.meds.saveBtn.addEventListener('click', () => {
+    const name = dom.inputs.medName.value.trim();
+    if (!name) {
+        alert("Please enter a medication name.");
+        return;
+    }
+    const med = {
+        id: dom.inputs.medId.value || `med-${Date.now()}`,
+        name: name,
+        strength: dom.inputs.medStrength.value.trim(),
+        count: Math.max(1, parseInt(dom.inputs.medCount.value) || 1),
+        color: dom.inputs.medColor.value,
+        instructions: dom.inputs.medInstructions.value.trim()
+    };
+    const existing = state.medications.findIndex(m => m.id === med.id);
+    if (existing >= 0) {
+        state.medications[existing] = med;
+        state.scheduleDirty = true;
+        saveSchedule();
+    } else {
+        state.medications.push(med);
+    }
+    saveMedications();
+    resetMedicationForm();
+    renderMedicationList();
+    updateUI();
+});
+
+// Compartment Assignment Modal
+document.getElementById('close-assign').addEventListener('click', () => { dom.modals.assign.style.display = 'none'; });
+document.getElementById('btn-save-assign').addEventListener('click', () => {
+    const checked = Array.from(dom.meds.assignList.querySelectorAll('input:checked')).map(c => c.value);
+    if (checked.length > 0) state.assignments[assignTargetId] = checked;
+    else delete state.assignments[assignTargetId];
+
+    // Only keep a slot time that differs from what the day would use anyway
+    const slotTimes = { ...state.timings.slotTimes };
+    delete slotTimes[assignTargetId];
+    state.timings = { ...state.timings, slotTimes };
+    const time = dom.inputs.assignTime.value;
+    if (time && time !== slotTime(assignTargetId)) slotTimes[assignTargetId] = time;
+    state.scheduleDirty = true;
+    saveMedications();
+    saveSchedule();
+    dom.modals.assign.style.display = 'none';
+    updateUI();
+});
+
+// Clear Button
+dom.summary.clearBtn.addEventListener('click', () => setSlotsSelected(Array.from(state.selectedPills), false));
+
+// Wheel keyboard and drag (see handleWheelKey, startWheelDrag)
+dom.svg.addEventListener('keydown', handleWheelKey);
+dom.svg.addEventListener('pointerdown', startWheelDrag);
+dom.svg.addEventListener('pointerover', dragOverSegment);
+window.addEventListener('pointerup', endWheelDrag);
+window.addEventListener('pointercancel', endWheelDrag);
+// Once a long press has armed the drag, the finger paints instead of scrolling the page
+dom.svg.addEventListener('touchmove', (e) => { if (wheelDrag && wheelDrag.armed) e.preventDefault(); }, { passive: false });
+dom.table.toggleBtn.addEventListener('click', () => setTableView(!state.showTable));
+
+// Courses Modal
+document.getElementById('btn-courses').addEventListener('click', openCourses);
+document.getElementById('close-courses').addEventListener('click', () => { dom.modals.courses.style.display = 'none'; });
+dom.courses.repeat.addEventListener('change', () => {
+    dom.courses.weekdays.style.display = dom.courses.repeat.value === 'weekdays' ? 'flex' : 'none';
+});
+dom.courses.med.addEventListener('change', () => {
+    const med = state.medications.find(m => m.id === dom.courses.med.value);
+    if (med) dom.courses.count.value = med.count;
+});
+document.getElementById('btn-save-course').addEventListener('click', () => {
+    const { course, error } = readCourseForm();
+    if (error) return alert(error);
+    state.courses.push(course);
+    courseChanged();
+    resetCourseForm();
+});
+document.getElementById('week-prev').addEventListener('click', () => showWeek(addDays(state.weekOf, -7)));
+document.getElementById('week-next').addEventListener('click', () => showWeek(addDays(state.weekOf, 7)));
+
+// Security Modal (PIN changes)
+document.getElementById('btn-open-pins').addEventListener('click', () => {
+    dom.modals.settings.style.display = 'none';
+    dom.modals.pin.style.display = 'flex';
+});
+document.getElementById('close-pin').addEventListener('click', () => { dom.modals.pin.style.display = 'none'; });
+document.getElementById('btn-change-app-pin').addEventListener('click', async () => {
+    const current = dom.inputs.appPinCurrent.value;
+    const next = dom.inputs.appPinNew.value;
+    if (!isValidPin(next)) return alert(t("New PIN must be 4-8 digits."));
+    if (!(await verifyAppPin(current))) return alert(t("Current app PIN is incorrect."));
+    await rekeyVault(next);
+    dom.inputs.appPinCurrent.value = "";
+    dom.inputs.appPinNew.value = "";
+    alert(t("App PIN changed."));
+});
+document.getElementById('btn-change-device-pin').addEventListener('click', async () => {
+    const current = dom.inputs.devicePinCurrent.value;
+    const next = dom.inputs.devicePinNew.value;
+    if (!isValidPin(next)) return alert(t("New PIN must be 4-8 digits."));
+    try {
+        if (!state.device.token) throw authError(t("Connect to the device first"));
+        const response = await deviceFetch('/change-pin', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ current: current, pin: next })
+        });
+        const body = await response.json().catch(() => ({}));
+        if (response.status === 429) throw authError(t("Too many wrong PINs. Try again in {seconds}s.", { seconds: body.retry_after }));
+        if (response.status === 401) throw authError(body.error || t("Device rejected the change"));
+        if (!response.ok) throw rejectedError(body.error || t("Device rejected the change"));
+        // The device signs out every other session and hands us a fresh token
+        state.device.token = body.token;
+        state.device.password = next;
+        state.device.credentials = await encryptSecret(next);
+        saveDevices();
+        dom.inputs.devicePinCurrent.value = "";
+        dom.inputs.devicePinNew.value = "";
+        alert(t("Device PIN changed. Other phones will need the new PIN."));
+    } catch (e) {
+        alert(e.isAuthError || e.isRejected ? e.message : t("Could not reach the device at {ip}.", { ip: state.device.ip }));
+    }
+});
+
+// Inventory & Refill
+dom.inventory.toggleBtn.addEventListener('click', () => setInventoryView(!state.showInventory));
+document.getElementById('btn-refill').addEventListener('click', startRefill);
+dom.inventory.warning.addEventListener('click', startRefill);
+document.getElementById('close-refill').addEventListener('click', closeRefill);
+dom.refill.backBtn.addEventListener('click', () => {
+    refill.index--;
+    renderRefillStep();
+});
+dom.refill.skipBtn.addEventListener('click', () => markRefillStep(false));
+dom.refill.loadedBtn.addEventListener('click', () => markRefillStep(true));
+
+// --- DEVICE CONTROLS (dispense now, test flap, home, silence) ---
+// The dispenser answers once the motors have finished, which can take several seconds
+const CONTROL_TIMEOUT_MS = 20000;
+
+const CONTROL_ACTIONS = {
+    dispense: {
+        path: '/dispense-now', needsSlot: true,
+        ask: (target) => t("Dispense {target} now? Only do this if the dose is due and hasn't been taken.", { target: target })
+    },
+    flap: {
+        path: '/test-flap', needsSlot: true,
+        ask: (target) => t("Open and close the flap of {target}? Any pills loaded in it will drop out.", { target: target })
+    },
+    home: { path: '/home', ask: () => t("Turn the carousel back to its home position?") },
+    silence: { path: '/silence', ask: () => t("Silence the alarm for the dose that is due now? The light stays on until the dose is taken.") }
+};
+
+function fillControlTargets() {
+    dom.controls.day.innerHTML = "";
+    CONFIG.daysOfWeek.forEach((name, i) => dom.controls.day.add(new Option(dayLabel(name), i)));
+    dom.controls.slot.innerHTML = "";
+    for (let slot = 0; slot < 6; slot++) {
+        const [, meal, when] = slotIdFor(0, slot).split('-');
+        dom.controls.slot.add(new Option(`${t(meal)} (${t(when)})`, slot));
+    }
+    dom.controls.day.value = (new Date().getDay() + 6) % 7; // Today, Monday = 0
+}
+
+async function postControl(path, body, device = state.device) {
+    const response = await deviceFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        timeout: CONTROL_TIMEOUT_MS
+    }, device);
+    if (response.status === 401) throw authError(t("Device PIN required"));
+    return { response, result: await response.json().catch(() => ({})) };
+}
+
+async function runControl(name) {
+    const action = CONTROL_ACTIONS[name];
+    const device = state.device;
+    const reason = dom.controls.reason.value.trim();
+    if (!device.isConnected) return alert(t("{device} is not connected.", { device: deviceLabel(device) }));
+    if (!reason) return alert(t("Please enter a reason. It is saved in the activity log."));
+
+    const day = parseInt(dom.controls.day.value), slot = parseInt(dom.controls.slot.value);
+    const target = slotLabel(slotIdFor(day, slot));
+    if (!confirm(action.ask(target))) return;
+    const body = action.needsSlot ? { day, slot, reason } : { reason };
+
+    dom.controls.buttons.forEach(btn => { btn.disabled = true; });
+    dom.controls.msg.textContent = t("Working...");
+    try {
+        let { response, result } = await postControl(action.path, body, device);
+        // The device won't dispense a compartment twice in a day unless told to
+        if (response.status === 409 && name === 'dispense') {
+            if (!confirm(t("{target} was already dispensed today. Dispense it again?", { target: target }))) {
+                dom.controls.msg.textContent = t("Cancelled.");
+                return;
+            }
+            ({ response, result } = await postControl(action.path, { ...body, force: true }, device));
+        }
+        if (!response.ok) throw rejectedError(result.error || t("Device rejected the request"));
+
+        dom.controls.msg.textContent = `${result.message || t("Done")}.`;
+        dom.controls.reason.value = "";
+        alert(`${deviceLabel(device)}: ${result.message || t("Done")}.`);
+        if (action.needsSlot && device === state.device) loadDeviceConfig(); // Refresh the compartment states
+    } catch (e) {
+        dom.controls.msg.textContent = e.isAuthError || e.isRejected ? e.message : t("Could not reach the device at {ip}.", { ip: device.ip });
+        alert(t("Action failed. {error}", { error: dom.controls.msg.textContent }));
+    } finally {
+        dom.controls.buttons.forEach(btn => { btn.disabled = false; });
+    }
+}
+
+document.getElementById('btn-controls').addEventListener('click', () => {
+    dom.controls.msg.textContent = state.device.isConnected ? "" : t("{device} is not connected.", { device: deviceLabel(state.device) });
+    dom.modals.controls.style.display = 'flex';
+    loadDiagnostics();
+});
+document.getElementById('close-controls').addEventListener('click', () => { dom.modals.controls.style.display = 'none'; });
+document.getElementById('btn-control-dispense').addEventListener('click', () => runControl('dispense'));
+document.getElementById('btn-control-flap').addEventListener('click', () => runControl('flap'));
+document.getElementById('btn-control-home').addEventListener('click', () => runControl('home'));
+document.getElementById('btn-control-silence').addEventListener('click', () => runControl('silence'));
+
+// --- DEVICE CLOCK (drift check, set from phone) ---
+// Doses fire on the device's local wall clock, so that is what gets compared with the phone's
+const CLOCK_DRIFT_LIMIT_S = 120;
+
+function readDeviceClock(device, status, phoneMs) {
+    const reading = new Date(status.device_datetime || ""); // Local time without a zone, read as the phone's local time
+    if (isNaN(reading.getTime())) {
+        device.clock = null; // Firmware without clock sync only reports HH:MM:SS
+        return;
+    }
+    device.clock = {
+        reading: reading,
+        drift: Math.round((reading.getTime() - phoneMs) / 1000), // Positive = device is fast
+        utcOffsetMin: status.utc_offset_min,
+        lostPower: !!status.clock_lost_power
+    };
+}
+
+function formatDrift(seconds) {
+    const abs = Math.abs(seconds);
+    if (abs < 3600) return `${Math.round(abs / 60)} min`;
+    if (abs < 2 * 86400) return `${Math.round(abs / 3600)} h`;
+    return t("{days} days", { days: Math.round(abs / 86400) });
+}
+
+// What's wrong with the device clock, or "" when it's fine (or unknown)
+function clockWarning(device) {
+    const clock = device.clock;
+    if (!clock) return "";
+    if (clock.lostPower) return t("device clock was reset by a power loss");
+    if (Math.abs(clock.drift) > CLOCK_DRIFT_LIMIT_S) {
+        return t(clock.drift > 0 ? "device clock is {drift} fast" : "device clock is {drift} slow", { drift: formatDrift(clock.drift) });
+    }
+    return "";
+}
+
+function renderDeviceClock() {
+    const device = state.device;
+    const clock = device.clock;
+    if (!device.isConnected || !clock) {
+        dom.controls.clockMsg.textContent = device.isConnected ? t("This dispenser doesn't report its date.") : t("Device time unknown.");
+        dom.controls.clockMsg.style.color = "";
+        return;
+    }
+    const zone = typeof clock.utcOffsetMin === 'number'
+        ? ` UTC${clock.utcOffsetMin < 0 ? '-' : '+'}${String(Math.floor(Math.abs(clock.utcOffsetMin) / 60)).padStart(2, '0')}:${String(Math.abs(clock.utcOffsetMin) % 60).padStart(2, '0')}`
+        : "";
+    const issue = clockWarning(device);
+    dom.controls.clockMsg.textContent = t("Device time: {time}", { time: formatDateTime(clock.reading) + zone }) + (issue ? ` - ${issue}` : ` ${t("(in sync)")}`);
+    dom.controls.clockMsg.style.color = issue ? 'var(--warning)' : "";
+}
+
+async function setDeviceClock(device = state.device) {
+    if (!device.isConnected) return alert(t("{device} is not connected.", { device: deviceLabel(device) }));
+    const now = new Date();
+    if (!confirm(t("Set the clock of {device} to this phone's time, {time}?", { device: deviceLabel(device), time: formatDateTime(now) }))) return;
+    try {
+        const { response, result } = await postControl('/set-time', {
+            epoch: Math.round(now.getTime() / 1000),
+            utc_offset_min: -now.getTimezoneOffset()
+        }, device);
+        if (!response.ok) throw rejectedError(result.error || t("Device rejected the request"));
+        alert(`${deviceLabel(device)}: ${result.message || t("Clock set")}.`);
+        await checkConnection(device); // Reads the clock back
+    } catch (e) {
+        alert(t("Could not set the clock. {error}", { error: e.isAuthError || e.isRejected ? e.message : t("Could not reach the device at {ip}.", { ip: device.ip }) }));
+    }
+}
+
+document.getElementById('btn-set-clock').addEventListener('click', () => setDeviceClock());
+
+// --- DIAGNOSTICS (/diagnostics) ---
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function describeWifi(diag) {
+    const parts = [];
+    if (diag.wifi_mode === 'ap') parts.push(t("Own network"));
+    else if (diag.wifi_mode === 'sta') parts.push(t("Home Wi-Fi"));
+    else if (diag.wifi_mode === 'ap+sta') parts.push(t("Own network and home Wi-Fi"));
+    else parts.push(t("Off"));
+    if (typeof diag.wifi_clients === 'number') parts.push(tn("{count} phone connected", "{count} phones connected", diag.wifi_clients));
+    if (typeof diag.wifi_rssi === 'number') parts.push(t("signal {rssi} dBm", { rssi: diag.wifi_rssi }));
+    return parts.join(', ');
+}
+
+// [label, value, warning] rows for the panel
+function diagnosticsRows(diag) {
+    const rows = [
+        [t("Firmware"), diag.firmware_version || "?"],
+        [t("Uptime"), formatDrift(diag.uptime_s || 0)],
+        [t("Free memory"), t("{free} (lowest {min})", { free: formatBytes(diag.free_heap), min: formatBytes(diag.min_free_heap) })],
+        [t("Storage"), t("{used} of {total} used", { used: formatBytes(diag.spiffs_used), total: formatBytes(diag.spiffs_total) }), diag.spiffs_used > diag.spiffs_total * 0.9],
+        [t("Activity log"), t("{size}, trimmed above {max}", { size: formatBytes(diag.log_size), max: formatBytes(diag.log_max) })],
+        [t("Wi-Fi"), describeWifi(diag)],
+        [t("Carousel position"), String(diag.carousel_index)]
+    ];
+    if (diag.log_dropped > 0) {
+        rows.push([t("Lost log lines"), tn("{count} line could not be written since the last restart", "{count} lines could not be written since the last restart", diag.log_dropped), true]);
+    }
+    return rows;
+}
+
+function renderDiagnostics(diag) {
+    const list = dom.controls.diagnostics;
+    list.innerHTML = "";
+    (diag ? diagnosticsRows(diag) : []).forEach(([label, value, warning]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        if (warning) detail.classList.add('diagnostics-warning');
+        list.append(term, detail);
+    });
+    list.style.display = diag ? 'grid' : 'none';
+}
+
+async function loadDiagnostics(device = state.device) {
+    renderDiagnostics(null);
+    if (!device.isConnected) {
+        dom.controls.diagnosticsMsg.textContent = t("{device} is not connected.", { device: deviceLabel(device) });
+        return;
+    }
+    dom.controls.diagnosticsMsg.textContent = t("Loading...");
+    try {
+        const response = await deviceFetch('/diagnostics', { timeout: 5000 }, device);
+        if (response.status === 404) {
+            dom.controls.diagnosticsMsg.textContent = t("This firmware doesn't report diagnostics.");
+            return;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const diag = await response.json();
+        if (device !== state.device) return; // Switched dispensers while waiting
+        renderDiagnostics(diag);
+        dom.controls.diagnosticsMsg.textContent = "";
+    } catch (e) {
+        dom.controls.diagnosticsMsg.textContent = t("Could not reach the device at {ip}.", { ip: device.ip });
+    }
+}
+
+document.getElementById('btn-refresh-diagnostics').addEventListener('click', () => loadDiagnostics());
+
+// --- LIVE EVENTS (Server-Sent Events) ---
+// Firmware that reports events_port in /status pushes every log line, dose window and config save
+// as it happens (see broadcastEvent() in esp_code.ino). Without a stream the log is polled instead.
+const LOG_POLL_MS = 60000; // Log polling interval for devices without a live stream
+const STREAM_STATUS_MS = 60000; // /status interval while streaming, to catch a stream that died silently
+
+// EventSource can't send headers, so the session token goes in the query string
+function eventStreamUrl(device, port) {
+    const host = device.ip.replace(/:\d+$/, ''); // The stream has its own port
+    return `http://${host}:${port}/events?token=${encodeURIComponent(device.token)}`;
+}
+
+function openEventStream(device, port) {
+    if (device.events || !port || !device.token || typeof EventSource === 'undefined') return;
+    const source = new EventSource(eventStreamUrl(device, port));
+    device.events = source;
+    source.addEventListener('log', (e) => receiveLiveLog(device, e.data));
+    source.addEventListener('window', (e) => receiveDoseWindow(device, readEventData(e)));
+    source.addEventListener('sync', () => {
+        // Another phone (or this one) saved a config; the read-back leaves unsynced edits alone
+        if (device === state.device) loadDeviceConfig();
+    });
+    source.onerror = () => {
+        // EventSource reconnects by itself after a drop; CLOSED means the device refused the stream
+        // (e.g. the token expired), so the next heartbeat signs in and opens a new one
+        if (source.readyState === EventSource.CLOSED) closeEventStream(device);
+    };
+}
+
+function closeEventStream(device) {
+    if (!device.events) return;
+    device.events.close();
+    device.events = null;
+}
+
+function readEventData(e) {
+    try {
+        return JSON.parse(e.data);
+    } catch (err) {
+        return {};
+    }
+}
+
+// A log line straight into IndexedDB. The next /get-logs sync sends it again and it is skipped as a duplicate.
+async function receiveLiveLog(device, line) {
+    const entry = parseLogLine(line, device.id || device.key);
+    if (!entry || !db) return;
+    const added = await saveNewLogs([entry]);
+    if (added.length === 0) return;
+
+    alertMissedDoses(device, added);
+    if (entry.type === 'missed') notify(t("Missed dose: {device}", { device: deviceLabel(device) }), describeLog(entry));
+    if (device === state.device) {
+        renderLogsAndAnalytics();
+        if (entry.day >= 0) loadDeviceConfig(); // Slot states and inventory changed
+    }
+}
+
+// {"state": "open" | "close", "day", "slot", "time"[, "result"]}; a missed close also arrives as a MISSED log line
+function receiveDoseWindow(device, data) {
+    if (data.state !== 'open') return;
+    const id = slotIdFor(data.day, data.slot);
+    notify(t("Dose due: {device}", { device: deviceLabel(device) }), t("{slot} ({time}) is alarming now.", { slot: id ? slotLabel(id) : t("A dose"), time: formatClock(data.time) }));
+}
+
+// Goes through the service worker where there is one: mobile browsers refuse new Notification() in a page
+function notify(title, body) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const options = { body: body, icon: 'icon.svg' };
+    const registration = 'serviceWorker' in navigator ? navigator.serviceWorker.getRegistration() : Promise.resolve(null);
+    registration
+        .then(reg => reg ? reg.showNotification(title, options) : new Notification(title, options))
+        .catch(e => console.log("Notification not shown.", e));
+}
+
+function renderNotificationStatus() {
+    const msg = document.getElementById('notify-msg');
+    if (typeof Notification === 'undefined') msg.textContent = t("This browser can't show notifications.");
+    else if (Notification.permission === 'granted') msg.textContent = t("On: dose alarms and missed doses from connected dispensers.");
+    else if (Notification.permission === 'denied') msg.textContent = t("Blocked. Allow notifications for this app in the browser settings.");
+    else msg.textContent = t("Off.");
+}
+
+document.getElementById('btn-notifications').addEventListener('click', async () => {
+    if (typeof Notification === 'undefined') return renderNotificationStatus();
+    await Notification.requestPermission();
+    renderNotificationStatus();
+});
+
+// --- CAREGIVER ALERTS (webhook / MQTT) ---
+// The dispenser only runs its own access point, so it can't tell anyone itself. This phone passes
+// missed doses, empty compartments and a dispenser that stopped answering on to a webhook and/or an
+// MQTT broker on the home network, for every registered dispenser, while the app is unlocked.
+// Every alert, sent or held back by quiet hours, is stored in the activity log (type 'alert'). Held-back
+// alerts wait in the ops queue (kind 'alert') and go out with the first heartbeat after quiet hours.
+const ALERTS_STORAGE_KEY = 'pillDispenser.alerts';
+const ALERT_TIMEOUT_MS = 8000;
+const MISSED_ALERT_MAX_AGE_S = 12 * 60 * 60; // Older MISSED lines (e.g. the first sync of a long log) aren't news
+const DEFAULT_ALERTS = {
+    events: { missed: true, lowStock: true, offline: true },
+    lowStockCount: 1, // Due compartments found empty before the low-inventory alert goes out
+    offlineAfterMin: 15,
+    webhook: { enabled: false, url: "" },
+    mqtt: { enabled: false, url: "", topic: "pill-dispenser", username: "", password: null }, // password: encrypted with encryptSecret()
+    templates: { missed: "", lowStock: "", offline: "" }, // "" sends the ALERT_EVENTS text in the display language
+    quietHours: { enabled: false, start: "22:00", end: "07:00" }
+};
+// name: the webhook's "event" and the MQTT topic suffix; log: the activity log event
+const ALERT_EVENTS = {
+    missed: { name: 'missed', log: 'ALERT_MISSED', template: "Missed dose for {patient}: {slot} at {time}." },
+    lowStock: { name: 'low-stock', log: 'ALERT_LOW_STOCK', template: "Empty compartments due in {patient}'s dispenser: {count}." },
+    offline: { name: 'offline', log: 'ALERT_OFFLINE', template: "{patient}'s dispenser hasn't answered since {since}." },
+    test: { name: 'test', log: 'ALERT_TEST', template: "Test alert for {patient} from the pill dispenser app." }
+};
+const ALERT_CHANNELS = { webhook: "Webhook", mqtt: "MQTT" };
+let alertSettings = JSON.parse(JSON.stringify(DEFAULT_ALERTS));
+let mqttPassword = ""; // Decrypted from alertSettings.mqtt.password once the app is unlocked
+let releasingAlerts = false; // releaseHeldAlerts() is running; the next heartbeat mustn't send the same ones
+
+function loadAlertSettings() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY)) || {};
+    } catch (e) {
+        saved = {};
+    }
+    alertSettings = { ...DEFAULT_ALERTS, ...saved };
+    ['events', 'webhook', 'mqtt', 'templates', 'quietHours'].forEach(key => {
+        alertSettings[key] = { ...DEFAULT_ALERTS[key], ...saved[key] };
+    });
+}
+
+function saveAlertSettings() {
+    localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(alertSettings));
+}
+
+async function loadAlertPassword() {
+    if (!alertSettings.mqtt.password) return;
+    try {
+        mqttPassword = await decryptSecret(alertSettings.mqtt.password);
+    } catch (e) {
+        console.log("Could not decrypt the MQTT password", e);
+    }
+}
+
+function alertChannelNames(channels) {
+    return channels.map(channel => ALERT_CHANNELS[channel]).join(', ');
+}
+
+function alertChannelsOn() {
+    return Object.keys(ALERT_CHANNELS).filter(channel => alertSettings[channel].enabled && alertSettings[channel].url);
+}
+
+// Quiet hours may run overnight ("22:00" to "07:00"); the same start and end means none
+function inQuietHours(date = new Date()) {
+    const { enabled, start, end } = alertSettings.quietHours;
+    if (!enabled || !start || !end || start === end) return false;
+    const now = date.toTimeString().slice(0, 5);
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+function alertMessage(event, params) {
+    const template = alertSettings.templates[event];
+    return template ? fillPlaceholders(template, params) : t(ALERT_EVENTS[event].template, params);
+}
+
+async function postWebhook(body) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), ALERT_TIMEOUT_MS);
+    try {
+        const response = await fetch(alertSettings.webhook.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        if (!response.ok) throw new Error(`Webhook answered ${response.status}`);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// MQTT 3.1.1 over a WebSocket (browsers can't open plain TCP), just enough to publish: CONNECT,
+// wait for the CONNACK, one QoS 0 PUBLISH, DISCONNECT
+function mqttString(text) {
+    const bytes = new TextEncoder().encode(text);
+    return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+}
+
+function mqttPacket(header, body) {
+    const length = []; // "Remaining length": 7 bits per byte, high bit set while more follow
+    let n = body.length;
+    do {
+        length.push((n % 128) | (n >= 128 ? 0x80 : 0));
+        n = Math.floor(n / 128);
+    } while (n > 0);
+    return new Uint8Array([header, ...length, ...body]);
+}
+
+function publishMqtt(topic, message) {
+    const { url, username } = alertSettings.mqtt;
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url, 'mqtt');
+        socket.binaryType = 'arraybuffer';
+        const finish = (error) => {
+            clearTimeout(timeoutId);
+            socket.onclose = null;
+            socket.close();
+            if (error) reject(error);
+            else resolve();
+        };
+        const timeoutId = setTimeout(() => finish(new Error("MQTT broker timed out")), ALERT_TIMEOUT_MS);
+        socket.onopen = () => {
+            let flags = 0x02; // Clean session
+            const payload = mqttString(`pill-dispenser-${Math.random().toString(16).slice(2, 10)}`);
+            if (username) {
+                flags |= 0x80;
+                payload.push(...mqttString(username));
+                if (mqttPassword) {
+                    flags |= 0x40;
+                    payload.push(...mqttString(mqttPassword));
+                }
+            }
+            socket.send(mqttPacket(0x10, [...mqttString("MQTT"), 4, flags, 0, 30, ...payload])); // Protocol level 4, 30s keep-alive
+        };
+        socket.onmessage = (e) => {
+            const packet = new Uint8Array(e.data);
+            if (packet[0] !== 0x20) return; // Only the CONNACK matters
+            if (packet[3] !== 0) return finish(new Error(`MQTT broker refused the connection (code ${packet[3]})`));
+            socket.send(mqttPacket(0x30, [...mqttString(topic), ...new TextEncoder().encode(message)]));
+            socket.send(mqttPacket(0xe0, []));
+            finish();
+        };
+        socket.onerror = () => finish(new Error("Could not reach the MQTT broker"));
+        socket.onclose = () => finish(new Error("MQTT broker closed the connection"));
+    });
+}
+
+// Sends one alert on every channel that is on and records it in the activity log. day/slot: the
+// compartment it is about, -1 for none. Resolves with the log entry, or null with no channel on.
+async function sendAlert(event, device, params = {}, { day = -1, slot = -1, test = false } = {}) {
+    const channels = alertChannelsOn();
+    if (channels.length === 0) return null;
+    const kind = ALERT_EVENTS[event];
+    const now = new Date();
+    const details = { patient: deviceLabel(device), ...params };
+    const message = alertMessage(event, details);
+    const body = { event: kind.name, message: message, ...details, device_id: device.id, ip: device.ip, at: now.toISOString() };
+    const topic = `${alertSettings.mqtt.topic || DEFAULT_ALERTS.mqtt.topic}/${kind.name}`;
+
+    const quiet = !test && inQuietHours(now); // The test alert ignores quiet hours
+    const { sent, failed } = quiet ? { sent: [], failed: [] } : await deliverAlert(channels, body, topic);
+
+    const entry = {
+        deviceId: device.id || device.key,
+        timestamp: Math.floor(now.getTime() / 1000),
+        day: day,
+        slot: slot,
+        event: kind.log,
+        raw: "",
+        msg: message, // As sent, in the language it was sent in
+        type: 'alert',
+        sent: sent,
+        failed: failed,
+        quiet: quiet
+    };
+    if (quiet) {
+        opQueue.push({ deviceKey: device.key, kind: 'alert', payload: { body: body, topic: topic, entry: entry }, queuedAt: Date.now() });
+        persistOp(opQueue[opQueue.length - 1]);
+    }
+    if (db) {
+        await saveNewLogs([entry]);
+        if (device === state.device) renderLogsAndAnalytics();
+    }
+    return entry;
+}
+
+async function deliverAlert(channels, body, topic) {
+    const senders = { webhook: () => postWebhook(body), mqtt: () => publishMqtt(topic, JSON.stringify(body)) };
+    const sent = [], failed = [];
+    const results = await Promise.allSettled(channels.map(channel => senders[channel]()));
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') return sent.push(channels[i]);
+        failed.push(channels[i]);
+        console.log(`Alert not delivered via ${channels[i]}.`, result.reason);
+    });
+    return { sent, failed };
+}
+
+// With each heartbeat: once quiet hours are over, held-back alerts go out in the order they were
+// raised, each updating its log entry. They keep waiting while no channel is turned on.
+async function releaseHeldAlerts() {
+    if (releasingAlerts || inQuietHours()) return;
+    const channels = alertChannelsOn();
+    const held = opQueue.filter(op => op.kind === 'alert');
+    if (channels.length === 0 || held.length === 0) return;
+    releasingAlerts = true;
+    try {
+        for (const op of held) {
+            const { body, topic, entry } = op.payload;
+            Object.assign(entry, await deliverAlert(channels, body, topic), { quiet: false, held: true });
+            removeOp(op);
+            if (!db) continue;
+            saveLog(entry);
+            if (state.device.key === op.deviceKey) renderLogsAndAnalytics();
+        }
+    } finally {
+        releasingAlerts = false;
+    }
+}
+
+function describeAlert(log) {
+    if (log.quiet) return t("Alert held back (quiet hours): {message}", { message: log.msg });
+    const status = [];
+    if (log.held) status.push(t("held until quiet hours ended"));
+    if (log.sent.length > 0) status.push(t("sent via {channels}", { channels: alertChannelNames(log.sent) }));
+    if (log.failed.length > 0) status.push(t("failed via {channels}", { channels: alertChannelNames(log.failed) }));
+    return t("Alert ({status}): {message}", { status: status.join(', '), message: log.msg });
+}
+
+// New MISSED lines, from a log sync or the live stream
+function alertMissedDoses(device, entries) {
+    if (!alertSettings.events.missed) return;
+    const cutoff = Date.now() / 1000 - MISSED_ALERT_MAX_AGE_S;
+    entries.filter(entry => entry.type === 'missed' && entry.timestamp >= cutoff).forEach(entry => {
+        const id = slotIdFor(entry.day, entry.slot);
+        const time = formatClock(new Date(entry.timestamp * 1000).toTimeString().slice(0, 5));
+        sendAlert('missed', device, { slot: id ? slotLabel(id) : t("A dose"), time: time }, { day: entry.day, slot: entry.slot });
+    });
+}
+
+// After each config read-back, so only for the dispenser on screen (the inventory comes with it).
+// Goes out once when the count reaches the threshold, and again only after a refill brought it under.
+function checkLowStockAlert(device) {
+    if (!state.inventory || !alertSettings.events.lowStock || alertChannelsOn().length === 0) return;
+    const week = weekSchedule();
+    const empty = Array.from(week.pills).filter(id => needsRefill(id, week)).length;
+    const low = empty >= alertSettings.lowStockCount;
+    if (low === device.lowStockAlerted) return;
+    device.lowStockAlerted = low;
+    saveDevices();
+    if (low) sendAlert('lowStock', device, { count: empty });
+}
+
+// With each connection check. Counts from the last answer, so a dispenser that was never
+// reachable while the app was open doesn't alert.
+function checkOfflineAlert(device) {
+    if (device.isConnected) {
+        device.lastSeen = Date.now();
+        device.offlineAlerted = false;
+        return;
+    }
+    if (!device.lastSeen || device.offlineAlerted || !alertSettings.events.offline) return;
+    if (Date.now() - device.lastSeen < alertSettings.offlineAfterMin * 60000) return;
+    device.offlineAlerted = true;
+    sendAlert('offline', device, { since: formatClock(new Date(device.lastSeen).toTimeString().slice(0, 5)) });
+}
+
+function renderAlertSettings() {
+    const form = dom.alerts;
+    Object.keys(alertSettings.events).forEach(event => { form[event].checked = alertSettings.events[event]; });
+    form.lowStockCount.value = alertSettings.lowStockCount;
+    form.offlineMin.value = alertSettings.offlineAfterMin;
+    form.webhookOn.checked = alertSettings.webhook.enabled;
+    form.webhookUrl.value = alertSettings.webhook.url;
+    form.mqttOn.checked = alertSettings.mqtt.enabled;
+    form.mqttUrl.value = alertSettings.mqtt.url;
+    form.mqttTopic.value = alertSettings.mqtt.topic;
+    form.mqttUser.value = alertSettings.mqtt.username;
+    form.mqttPass.value = mqttPassword;
+    Object.entries(form.templates).forEach(([event, input]) => {
+        input.value = alertSettings.templates[event];
+        input.placeholder = t(ALERT_EVENTS[event].template);
+    });
+    form.quietOn.checked = alertSettings.quietHours.enabled;
+    form.quietStart.value = alertSettings.quietHours.start;
+    form.quietEnd.value = alertSettings.quietHours.end;
+    form.msg.textContent = "";
+}
+
+// Takes the form into alertSettings and saves it; resolves with what is wrong with it, "" when nothing
+async function saveAlertForm() {
+    const form = dom.alerts;
+    const webhookUrl = form.webhookUrl.value.trim();
+    const mqttUrl = form.mqttUrl.value.trim();
+    const topic = form.mqttTopic.value.trim().replace(/\/+$/, '');
+    if (form.webhookOn.checked && !/^https?:\/\/\S+$/i.test(webhookUrl)) return t("Enter a webhook address starting with http:// or https://.");
+    if (form.mqttOn.checked && !/^wss?:\/\/\S+$/i.test(mqttUrl)) return t("Enter a broker address starting with ws:// or wss://.");
+    if (/[+#]/.test(topic)) return t("The topic prefix can't contain + or #.");
+
+    const number = (input, min, fallback) => {
+        const value = parseInt(input.value, 10);
+        return isNaN(value) ? fallback : Math.max(min, value);
+    };
+    Object.keys(alertSettings.events).forEach(event => { alertSettings.events[event] = form[event].checked; });
+    alertSettings.lowStockCount = number(form.lowStockCount, 1, alertSettings.lowStockCount);
+    alertSettings.offlineAfterMin = number(form.offlineMin, 0, alertSettings.offlineAfterMin);
+    alertSettings.webhook = { enabled: form.webhookOn.checked, url: webhookUrl };
+    if (form.mqttPass.value !== mqttPassword) {
+        mqttPassword = form.mqttPass.value;
+        alertSettings.mqtt.password = mqttPassword ? await encryptSecret(mqttPassword) : null;
+    }
+    alertSettings.mqtt = { ...alertSettings.mqtt, enabled: form.mqttOn.checked, url: mqttUrl, topic: topic, username: form.mqttUser.value.trim() };
+    Object.entries(form.templates).forEach(([event, input]) => { alertSettings.templates[event] = input.value.trim(); });
+    alertSettings.quietHours = { enabled: form.quietOn.checked, start: form.quietStart.value, end: form.quietEnd.value };
+    saveAlertSettings();
+    return "";
+}
+
+document.getElementById('btn-open-alerts').addEventListener('click', () => {
+    renderAlertSettings();
+    dom.modals.settings.style.display = 'none';
+    dom.modals.alerts.style.display = 'flex';
+});
+document.getElementById('close-alerts').addEventListener('click', () => { dom.modals.alerts.style.display = 'none'; });
+document.getElementById('btn-save-alerts').addEventListener('click', async () => {
+    const problem = await saveAlertForm();
+    if (problem) {
+        dom.alerts.msg.textContent = problem;
+        return;
+    }
+    dom.modals.alerts.style.display = 'none';
+});
+// Saves the form first, so the test goes out exactly as real alerts would
+document.getElementById('btn-test-alert').addEventListener('click', async () => {
+    const problem = await saveAlertForm();
+    if (problem) {
+        dom.alerts.msg.textContent = problem;
+        return;
+    }
+    dom.alerts.msg.textContent = t("Sending...");
+    const entry = await sendAlert('test', state.device, {}, { test: true });
+    if (!entry) dom.alerts.msg.textContent = t("Turn on a webhook or MQTT first.");
+    else if (entry.failed.length === 0) dom.alerts.msg.textContent = t("Test alert sent via {channels}.", { channels: alertChannelNames(entry.sent) });
+    else dom.alerts.msg.textContent = t("Test alert failed via {channels}. Check the address, and that it accepts requests from this app.", { channels: alertChannelNames(entry.failed) });
+});
+
+// --- LOGIN EVENT LISTENER ---
+// First run asks the user to create a PIN; afterwards it unlocks against the stored hash
+function showLoginMode() {
+    const creating = !hasAppPin();
+    dom.login.title.textContent = creating ? t("Create a PIN") : t("Welcome Back");
+    dom.login.prompt.textContent = creating ? t("Choose a 4-8 digit PIN to protect pill data") : t("Enter your PIN to access pill data");
+    dom.login.btn.textContent = creating ? t("Set PIN") : t("Unlock App");
+}
+
+dom.login.btn.addEventListener('click', async () => {
+    const input = dom.login.pin.value;
+    dom.login.pin.value = "";
+
+    if (!hasAppPin()) {
+        if (!isValidPin(input)) {
+            dom.login.error.textContent = t("PIN must be 4-8 digits");
+            return;
+        }
+        await setAppPin(input);
+        unlockApp(input);
+        return;
+    }
+
+    const lockout = getAppLockout();
+    if (lockout.until > Date.now()) {
+        dom.login.error.textContent = t("Too many attempts. Try again in {seconds}s", { seconds: Math.ceil((lockout.until - Date.now()) / 1000) });
+        return;
+    }
+
+    if (await verifyAppPin(input)) {
+        localStorage.removeItem(APP_LOCKOUT_KEY);
+        unlockApp(input);
+    } else {
+        const failed = registerAppFailure();
+        dom.login.error.textContent = failed.until > Date.now()
+            ? t("Incorrect PIN. Locked for {seconds}s", { seconds: Math.ceil((failed.until - Date.now()) / 1000) })
+            : t("Incorrect PIN");
+    }
+});
+
+async function unlockApp(pin) {
+    state.isAuthenticated = true;
+    dom.login.error.textContent = "";
+    dom.login.overlay.style.display = 'none';
+    await unlockVault(pin);
+    await loadDeviceCredentials();
+    await loadAlertPassword();
+    
+    // Initialize App AFTER Login
+    initDB().then(async () => {
+        // 1. Load existing data
+        renderLogsAndAnalytics(); 
+
+        // 2. CHECK FOR EMPTY DB & ASK FOR DUMMY DATA
+        const logs = await getAllLogs();
+        if (logs.length === 0) {
+            // Nothing stored locally (e.g. browser data cleared), so the next sync must start from the top
+            state.devices.forEach(device => device.logOffset = 0);
+            saveDevices();
+            // The 'confirm' stops the code until you click OK or Cancel
+            const userWantsData = confirm(t("Welcome! No logs found. Generate dummy data for testing?"));
+            if (userWantsData) {
+                generateDummyData();
+            }
+        }
+
+        // 3. Nothing talks to the device until the app is unlocked; it starts with what's still queued
+        await loadOpQueue();
+        startHeartbeat();
+    });
+}
+
+// --- UPDATED LOG SYNC LOGIC ---
+
+// Background syncs of other devices stay quiet; only the device on screen reports in the UI.
+// quiet: a fallback poll (see checkConnection), which updates the list without the alert.
+async function fetchLogs(device = state.device, { quiet = false } = {}) {
+    const isActive = device === state.device;
+    const report = isActive && !quiet;
+    const btn = document.getElementById('btn-refresh-logs');
+    if (report) btn.textContent = t("Syncing...");
     
     try {
-        if(!state.device.isConnected) throw new Error("Device not connected");
+        if(!device.isConnected) throw new Error("Device not connected");
+        if(!db) throw new Error("Local database not ready");
 
-        const response = await fetch(`http://${state.device.ip}/get-logs`);
+        // Only ask for the bytes appended since the last sync
+        const response = await deviceFetch(`/get-logs?offset=${device.logOffset}`, {}, device);
         if (!response.ok) throw new Error("Fetch failed");
         
         // 1. Get Raw Text (CSV format)
+        // X-Log-Start is where the device actually started reading (its oldest line if our cursor was
+        // trimmed off or past the end, i.e. the log was cleared); X-Log-Next is the cursor to send next time
         const textData = await response.text();
+        const nextOffset = parseInt(response.headers.get('X-Log-Next'));
         const lines = textData.split('\n').filter(line => line.trim() !== "");
 
         // 2. Parse CSV to Object
-        // Expected ESP32 format: "YYYY-MM-DD HH:MM:SS,dayIndex,slotIndex,EventName"
-        const newLogs = lines.map(line => {
-            const parts = line.split(',');
-            if(parts.length < 4) return null; // Skip bad lines
-            
-            // Convert "2023-11-27 20:00:00" to Timestamp
-            const timeStr = parts[0].trim(); // "2023-11-27 20:00:00"
-            const dateObj = new Date(timeStr.replace(' ', 'T')); // ISO format trick
-            
-            return {
-                timestamp: Math.floor(dateObj.getTime() / 1000),
-                msg: `${parts[3]} (Day ${parts[1]}, Slot ${parts[2]})`,
-                type: parts[3].toLowerCase().includes("dispensed") ? "dispense" : "info"
-            };
-        }).filter(item => item !== null);
+        const deviceId = device.id || device.key;
+        const newLogs = lines.map(line => parseLogLine(line, deviceId)).filter(item => item !== null);
         
-        // 3. Save to Local DB
-        newLogs.forEach(log => saveLog(log));
+        // 3. Save to Local DB (lines re-sent after a reset are skipped as duplicates)
+        const added = await saveNewLogs(newLogs);
+        alertMissedDoses(device, added);
+
+        // Older firmware ignores the cursor and sends the whole file, so only advance when it reports one
+        if (!isNaN(nextOffset)) device.logOffset = nextOffset;
+        device.lastLogFetch = Date.now();
+        saveDevices();
+        if (!isNaN(nextOffset)) await ackLogs(device, nextOffset);
 
-        alert(`Synced ${newLogs.length} new entries.`);
+        if (report) alert(t("Synced {count} new entries.", { count: added.length }));
+        if (isActive && added.length > 0) loadDeviceConfig(); // New dispenses change the slot states and inventory
     } catch (e) {
         console.log("Sync skipped or failed.", e);
     } finally {
-        renderLogsAndAnalytics();
-        btn.textContent = "Sync from ESP32";
+        if (db && isActive) renderLogsAndAnalytics();
+        if (report) btn.textContent = t("Sync from ESP32");
+    }
+}
+
+// Names this phone in its log acknowledgements: the device trims only what every phone has confirmed
+const PHONE_ID_KEY = 'pillDispenser.phoneId';
+
+function phoneId() {
+    let id = localStorage.getItem(PHONE_ID_KEY);
+    if (!id) {
+        id = toHex(crypto.getRandomValues(new Uint8Array(8)));
+        localStorage.setItem(PHONE_ID_KEY, id);
+    }
+    return id;
+}
+
+// Everything before offset is in IndexedDB now, so the device may trim it off once its log is full.
+// Firmware without /ack-logs answers 404 and keeps its whole log; either way the sync has succeeded.
+async function ackLogs(device, offset) {
+    try {
+        await deviceFetch('/ack-logs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ offset: offset, phone: phoneId() })
+        }, device);
+    } catch (e) {
+        console.log("Log acknowledgement failed.", e);
     }
 }
 
 // --- ANALYTICS STATE ---
 let analyticsState = {
     chart: null,
-    currentWeekStart: new Date(), // Tracks the visible week
+    delayChart: null,
+    range: 'week', // Key of ANALYTICS_RANGES
+    periodStart: null, // First day of the visible period
     allLogs: []
 };
 
@@ -518,6 +4053,7 @@ function generateDummyData() {
     console.log("Generating 3 months of dummy data...");
     const now = new Date();
     const oneDay = 24 * 60 * 60;
+    const owner = state.device.id || state.device.key;
     
     // Clear existing for clean test
     // In a real app, you might check if data exists first
@@ -526,32 +4062,44 @@ function generateDummyData() {
     for (let i = 0; i < 90; i++) {
         const date = new Date(now.getTime() - (i * oneDay * 1000));
         const baseTimestamp = Math.floor(date.getTime() / 1000);
+        const dayIndex = (date.getDay() + 6) % 7; // Monday = 0, matching the device
         
-        // We will simulate 3 meals per day
+        // We will simulate 3 meals per day (After-meal slots)
         const meals = [
-            { name: "Breakfast", offset: -40000 }, // ~8 AM
-            { name: "Lunch", offset: -20000 },     // ~1 PM
-            { name: "Dinner", offset: 0 }          // ~8 PM
+            { name: "Breakfast", offset: -40000, slot: 1 }, // ~8 AM
+            { name: "Lunch", offset: -20000, slot: 3 },     // ~1 PM
+            { name: "Dinner", offset: 0, slot: 5 }          // ~8 PM
         ];
 
         meals.forEach(meal => {
             const rand = Math.random();
             
             // Logic: 
-            // 90% Chance: Taken (Dispensed)
+            // 80% Chance: Taken (Dispensed)
+            // 10% Chance: Taken Late (inside the late grace period)
             // 5% Chance: Missed (User didn't respond)
             // 5% Chance: No Data (Device off/Skipped)
             
-            if (rand > 0.1) {
+            if (rand > 0.2) {
                 // TAKEN
                 saveLog({
-                    timestamp: baseTimestamp + meal.offset + (Math.random() * 600),
+                    deviceId: owner, day: dayIndex, slot: meal.slot, event: 'DISPENSED', raw: "",
+                    timestamp: baseTimestamp + meal.offset + Math.floor(Math.random() * 600),
                     msg: `${meal.name} Dispensed`,
                     type: "dispense"
                 });
+            } else if (rand > 0.1) {
+                // LATE
+                saveLog({
+                    deviceId: owner, day: dayIndex, slot: meal.slot, event: 'LATE', raw: "",
+                    timestamp: baseTimestamp + meal.offset + 2700 + Math.floor(Math.random() * 1800),
+                    msg: `${meal.name} Dispensed Late`,
+                    type: "late"
+                });
             } else if (rand > 0.05) {
                 // MISSED (Simulating a timeout log)
                 saveLog({
+                    deviceId: owner, day: dayIndex, slot: meal.slot, event: 'MISSED', raw: "",
                     timestamp: baseTimestamp + meal.offset + 3600, // Logged 1 hour later as missed
                     msg: `${meal.name} Missed`,
                     type: "missed" // Distinct type for analytics
@@ -581,80 +4129,248 @@ function addDays(date, days) {
     return result;
 }
 
+// Week, month or quarter; start() finds the period containing a date, step() moves by whole periods
+const ANALYTICS_RANGES = {
+    week: { start: startOfDisplayWeek, step: (d, n) => addDays(d, 7 * n) },
+    month: { start: (d) => new Date(d.getFullYear(), d.getMonth(), 1), step: (d, n) => new Date(d.getFullYear(), d.getMonth() + n, 1) },
+    quarter: { start: (d) => new Date(d.getFullYear(), Math.floor(d.getMonth() / 3) * 3, 1), step: (d, n) => new Date(d.getFullYear(), d.getMonth() + 3 * n, 1) }
+};
+
+const OUTCOME_LABELS = { taken: "Taken", late: "Late", missed: "Missed", nodata: "No data" };
+const OUTCOME_COLORS = { taken: '#10b981', late: '#f59e0b', missed: '#ef4444', nodata: '#cbd5e1' };
+
+// Minutes after the scheduled time; a dose below `below` lands in that bucket
+const DELAY_BUCKETS = [
+    { label: "Early", below: 0 },
+    { label: "0-5", below: 5 },
+    { label: "5-15", below: 15 },
+    { label: "15-30", below: 30 },
+    { label: "30-60", below: 60 },
+    { label: "60+", below: Infinity }
+];
+
 function updateChart(logs) {
     analyticsState.allLogs = logs;
     
-    // Initialize view to current week if not set
-    if (!analyticsState.currentWeekStart) {
-        analyticsState.currentWeekStart = getMonday(new Date());
+    // Initialize view to current period if not set
+    if (!analyticsState.periodStart) {
+        analyticsState.periodStart = ANALYTICS_RANGES[analyticsState.range].start(new Date());
     }
     
-    renderChartForWeek(analyticsState.currentWeekStart);
+    renderAnalytics();
 }
 
-function renderChartForWeek(startDate) {
-    const ctx = document.getElementById('complianceChart').getContext('2d');
-    const endDate = addDays(startDate, 6);
+// One record per scheduled dose in [from, to): { dateKey, slot, id, outcome, delay }.
+// Outcomes come from the log; a dose the schedule expected that has nothing logged is 'nodata'
+// (device off, empty battery...) instead of vanishing from the figures. The schedule's history
+// isn't kept, so past days are judged against today's wheel, and only from the first log on.
+function buildDoseRecords(logs, from, to) {
+    const records = new Map(); // "2025-01-06|2" -> record
+    logs.forEach(log => {
+        const outcome = doseOutcome(log);
+        const date = new Date(log.timestamp * 1000);
+        if (!outcome || log.slot < 0 || date < from || date >= to) return;
+        // Keyed on the date and slot rather than the logged day index: firmware before the
+        // weekday fix logged the compartment, which could be a day off
+        const key = `${localDateKey(date)}|${log.slot}`;
+        if (records.has(key)) return; // A forced second dispense is still one dose
+        records.set(key, {
+            dateKey: localDateKey(date),
+            slot: log.slot,
+            id: slotIdFor((date.getDay() + 6) % 7, log.slot),
+            outcome: outcome,
+            delay: outcome === 'missed' ? null : minutesPastSchedule(log)
+        });
+    });
+
+    const firstLog = logs.reduce((min, log) => Math.min(min, log.timestamp), Infinity);
+    if (firstLog !== Infinity) {
+        const now = new Date();
+        const tracked = new Date(firstLog * 1000);
+        const closeMin = state.doseRules.windowPostMin + state.doseRules.lateGraceMin;
+        let d = new Date(Math.max(from, new Date(tracked.getFullYear(), tracked.getMonth(), tracked.getDate())));
+        for (; d < to && d <= now; d = addDays(d, 1)) {
+            for (let slot = 0; slot < 6; slot++) {
+                const id = slotIdFor((d.getDay() + 6) % 7, slot);
+                const key = `${localDateKey(d)}|${slot}`;
+                if (!isScheduledOn(id, d) || records.has(key)) continue;
+                const [h, m] = slotTime(id).split(':').map(Number);
+                if (new Date(d.getFullYear(), d.getMonth(), d.getDate(), h, m + closeMin) > now) continue; // Window still open
+                records.set(key, { dateKey: localDateKey(d), slot: slot, id: id, outcome: 'nodata', delay: null });
+            }
+        }
+    }
+    return Array.from(records.values()).sort((a, b) => a.dateKey.localeCompare(b.dateKey) || a.slot - b.slot);
+}
+
+function countOutcomes(records) {
+    const counts = { taken: 0, late: 0, missed: 0, nodata: 0 };
+    records.forEach(r => counts[r.outcome]++);
+    return counts;
+}
+
+// Runs of scheduled days with every dose taken on time (days without doses don't break a run).
+// current is the run that ends with the last day in the records.
+function onTimeStreaks(records) {
+    const days = new Map();
+    records.forEach(r => days.set(r.dateKey, (days.has(r.dateKey) ? days.get(r.dateKey) : true) && r.outcome === 'taken'));
+    let best = 0, current = 0;
+    Array.from(days.keys()).sort().forEach(key => {
+        current = days.get(key) ? current + 1 : 0;
+        best = Math.max(best, current);
+    });
+    return { best, current };
+}
+
+function formatDelay(minutes) {
+    return `${minutes >= 0 ? "+" : "-"}${Math.abs(minutes)} min`;
+}
+
+function renderAnalytics() {
+    const range = analyticsState.range;
+    const start = analyticsState.periodStart;
+    const end = ANALYTICS_RANGES[range].step(start, 1);
+    const last = addDays(end, -1);
     
-    // 1. Update Label (e.g., "Nov 20 - Nov 26")
+    // 1. Update Label (e.g., "Nov 20 - Nov 26", "November 2025", "Oct - Dec 2025")
     const options = { month: 'short', day: 'numeric' };
-    document.getElementById('chart-date-range').textContent = 
-        `${startDate.toLocaleDateString('en-US', options)} - ${endDate.toLocaleDateString('en-US', options)}`;
+    document.getElementById('chart-date-range').textContent = range === 'week'
+        ? `${formatDate(start, options)} - ${formatDate(last, options)}`
+        : range === 'month'
+            ? formatDate(start, { month: 'long', year: 'numeric' })
+            : `${formatDate(start, { month: 'short' })} - ${formatDate(last, { month: 'short', year: 'numeric' })}`;
 
-    // 2. Filter Logs for this specific week
-    // We compare timestamps (seconds)
-    const startTs = Math.floor(startDate.setHours(0,0,0,0) / 1000);
-    const endTs = Math.floor(endDate.setHours(23,59,59,999) / 1000);
-    
-    const weekLogs = analyticsState.allLogs.filter(l => l.timestamp >= startTs && l.timestamp <= endTs);
+    // 2. Scheduled doses in this period, with the ones nothing was logged for
+    const records = buildDoseRecords(analyticsState.allLogs, start, end);
 
-    // 3. Aggregate Data (Days of Week)
-    const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
-    const takenData = [0, 0, 0, 0, 0, 0, 0];
-    const missedData = [0, 0, 0, 0, 0, 0, 0];
-    
-    weekLogs.forEach(log => {
-        const logDate = new Date(log.timestamp * 1000);
-        // getDay returns 0 for Sunday, 1 for Monday. We need 0 for Monday.
-        let dayIndex = logDate.getDay() - 1; 
-        if (dayIndex === -1) dayIndex = 6; // Sunday
-        
-        if (log.type === 'dispense') takenData[dayIndex]++;
-        else if (log.type === 'missed') missedData[dayIndex]++;
+    // 3. Calculate Stats for this period (late doses were still taken; "no data" isn't counted either way)
+    const counts = countOutcomes(records);
+    const known = counts.taken + counts.late + counts.missed;
+    document.getElementById('stat-adherence').textContent = known > 0 ? `${Math.round(((counts.taken + counts.late) / known) * 100)}%` : "0%";
+    document.getElementById('stat-late').textContent = counts.late;
+    document.getElementById('stat-missed').textContent = counts.missed;
+    document.getElementById('stat-nodata').textContent = counts.nodata;
+
+    // The current streak runs up to today whatever period is on screen
+    const allRecords = buildDoseRecords(analyticsState.allLogs, new Date(0), addDays(new Date(), 1));
+    const streaks = onTimeStreaks(records);
+    document.getElementById('stat-streak').textContent = `${onTimeStreaks(allRecords).current}d`;
+    const bestText = { week: "Best this week: {days}d", month: "Best this month: {days}d", quarter: "Best this quarter: {days}d" };
+    dom.analytics.streakBest.textContent = t(bestText[range], { days: streaks.best });
+
+    const delays = records.filter(r => r.delay !== null).map(r => r.delay);
+    document.getElementById('stat-delay').textContent = delays.length > 0
+        ? formatDelay(Math.round(delays.reduce((a, b) => a + b, 0) / delays.length))
+        : "--";
+
+    renderHeatmap(records, start, end);
+    renderSlotBreakdown(records);
+    renderPeriodChart(records, start, end);
+    renderDelayChart(delays);
+}
+
+// Month/quarter calendar, weeks starting on the chosen day; colour by the share of known doses that were taken
+function renderHeatmap(records, start, end) {
+    const el = dom.analytics.heatmap;
+    el.style.display = analyticsState.range === 'week' ? 'none' : 'grid';
+    el.innerHTML = "";
+    if (analyticsState.range === 'week') return;
+
+    const byDay = new Map();
+    records.forEach(r => {
+        if (!byDay.has(r.dateKey)) byDay.set(r.dateKey, []);
+        byDay.get(r.dateKey).push(r);
+    });
+
+    displayDayOrder().forEach(day => {
+        const head = document.createElement('div');
+        head.className = 'heatmap-head';
+        head.textContent = dayLabel(day, 'narrow');
+        head.title = dayLabel(day);
+        el.appendChild(head);
     });
+    const today = new Date();
+    for (let d = startOfDisplayWeek(start); d < end; d = addDays(d, 1)) {
+        const cell = document.createElement('div');
+        cell.className = 'heatmap-cell';
+        el.appendChild(cell);
+        if (d < start) {
+            cell.classList.add('outside');
+            continue;
+        }
+        cell.textContent = d.getDate();
+        const dayRecords = byDay.get(localDateKey(d));
+        const date = formatDate(d, { weekday: 'short', month: 'short', day: 'numeric' });
+        if (d > today) {
+            cell.classList.add('future');
+            cell.title = date;
+        } else if (!dayRecords) {
+            cell.classList.add('empty');
+            cell.title = `${date}: ${t("nothing scheduled")}`;
+        } else {
+            const counts = countOutcomes(dayRecords);
+            const known = counts.taken + counts.late + counts.missed;
+            const rate = known > 0 ? (counts.taken + counts.late) / known : null;
+            cell.classList.add(rate === null ? 'nodata' : rate >= 1 && counts.late === 0 ? 'level-4' : rate >= 1 ? 'level-3' : rate >= 0.5 ? 'level-2' : 'level-1');
+            cell.title = `${date}: ` + Object.keys(OUTCOME_LABELS).filter(o => counts[o] > 0).map(o => `${counts[o]} ${t(OUTCOME_LABELS[o]).toLocaleLowerCase(locale())}`).join(', ');
+        }
+        cell.setAttribute('aria-label', cell.title);
+    }
+}
 
-    // 4. Calculate Stats for this week
-    const totalTaken = takenData.reduce((a, b) => a + b, 0);
-    const totalMissed = missedData.reduce((a, b) => a + b, 0);
-    const total = totalTaken + totalMissed;
-    const adherence = total > 0 ? Math.round((totalTaken / total) * 100) : 0;
+// Adherence split by meal and by the Before/After slot of each meal
+function renderSlotBreakdown(records) {
+    const table = dom.analytics.breakdown;
+    table.innerHTML = "";
+    const addRow = (cells, tag) => {
+        const tr = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            tr.appendChild(cell);
+        });
+        table.appendChild(tr);
+    };
+    addRow(["", t("On time"), t("Late"), t("Missed"), t("No data"), t("Adherence")], 'th');
+    const groups = [
+        ...CONFIG.mealTypes.map((meal, m) => ({ label: t(meal), test: (r) => Math.floor(r.slot / 2) === m })),
+        { label: t("Before meal"), test: (r) => r.slot % 2 === 0 },
+        { label: t("After meal"), test: (r) => r.slot % 2 === 1 }
+    ];
+    groups.forEach(group => {
+        const counts = countOutcomes(records.filter(group.test));
+        addRow([group.label, counts.taken, counts.late, counts.missed, counts.nodata, adherenceText(counts)], 'td');
+    });
+}
 
-    document.getElementById('stat-adherence').textContent = `${adherence}%`;
-    document.getElementById('stat-missed').textContent = totalMissed;
+// Stacked outcomes per day for a week, per week (labelled by its first day) for a month or quarter
+function renderPeriodChart(records, start, end) {
+    const daily = analyticsState.range === 'week';
+    const buckets = [];
+    for (let d = daily ? new Date(start) : startOfDisplayWeek(start); d < end; d = addDays(d, daily ? 1 : 7)) {
+        buckets.push({
+            label: daily ? formatDate(d, { weekday: 'short' }) : formatDate(d, { month: 'short', day: 'numeric' }),
+            from: localDateKey(d),
+            to: localDateKey(addDays(d, daily ? 1 : 7))
+        });
+    }
 
-    // 5. Render Chart.js
     if (analyticsState.chart) analyticsState.chart.destroy();
+    analyticsState.chart = null;
+    if (typeof Chart === 'undefined') return; // The stats above still work if the library failed to load
 
+    const ctx = document.getElementById('complianceChart').getContext('2d');
     analyticsState.chart = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: days,
-            datasets: [
-                {
-                    label: 'Taken',
-                    data: takenData,
-                    backgroundColor: '#10b981', // Green
-                    borderRadius: 4,
-                    stack: 'Stack 0'
-                },
-                {
-                    label: 'Missed',
-                    data: missedData,
-                    backgroundColor: '#ef4444', // Red
-                    borderRadius: 4,
-                    stack: 'Stack 0'
-                }
-            ]
+            labels: buckets.map(b => b.label),
+            datasets: Object.keys(OUTCOME_LABELS).map(outcome => ({
+                label: t(OUTCOME_LABELS[outcome]),
+                data: buckets.map(b => records.filter(r => r.outcome === outcome && r.dateKey >= b.from && r.dateKey < b.to).length),
+                backgroundColor: OUTCOME_COLORS[outcome],
+                borderRadius: 4,
+                stack: 'Stack 0'
+            }))
         },
         options: {
             responsive: true,
@@ -670,52 +4386,551 @@ function renderChartForWeek(startDate) {
     });
 }
 
+// How long after the scheduled time doses were actually taken
+function renderDelayChart(delays) {
+    if (analyticsState.delayChart) analyticsState.delayChart.destroy();
+    analyticsState.delayChart = null;
+    if (typeof Chart === 'undefined') return;
+
+    const counts = DELAY_BUCKETS.map(() => 0);
+    delays.forEach(delay => counts[DELAY_BUCKETS.findIndex(b => delay < b.below)]++);
+    const ctx = document.getElementById('delayChart').getContext('2d');
+    analyticsState.delayChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: DELAY_BUCKETS.map(b => t(b.label)),
+            datasets: [{ label: t("Doses"), data: counts, backgroundColor: '#6366f1', borderRadius: 4 }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { grid: { display: false }, title: { display: true, text: t("Minutes after scheduled time") } },
+                y: { beginAtZero: true, ticks: { stepSize: 1 } }
+            },
+            plugins: {
+                legend: { display: false }
+            }
+        }
+    });
+}
+
 // --- CONTROLS LISTENERS ---
 document.getElementById('chart-prev').addEventListener('click', () => {
-    // Go back 7 days
-    analyticsState.currentWeekStart = addDays(analyticsState.currentWeekStart, -7);
-    renderChartForWeek(analyticsState.currentWeekStart);
+    // Go back one period
+    analyticsState.periodStart = ANALYTICS_RANGES[analyticsState.range].step(analyticsState.periodStart, -1);
+    renderAnalytics();
 });
 
 document.getElementById('chart-next').addEventListener('click', () => {
-    // Go forward 7 days
-    analyticsState.currentWeekStart = addDays(analyticsState.currentWeekStart, 7);
-    renderChartForWeek(analyticsState.currentWeekStart);
+    // Go forward one period
+    analyticsState.periodStart = ANALYTICS_RANGES[analyticsState.range].step(analyticsState.periodStart, 1);
+    renderAnalytics();
+});
+
+dom.analytics.rangeButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+        dom.analytics.rangeButtons.forEach(b => b.classList.toggle('active', b === btn));
+        analyticsState.range = btn.dataset.range;
+        analyticsState.periodStart = ANALYTICS_RANGES[analyticsState.range].start(new Date());
+        renderAnalytics();
+    });
 });
 
-// IMPORTANT: Update renderLogsAndAnalytics to use the new flow
-// Replace the old renderLogsAndAnalytics function with this:
+// --- ACTIVITY LOG VIEWER ---
+// The list reads IndexedDB a page at a time, newest first, instead of loading the whole log: one
+// cursor per owner ID of the device (see logOwnerIds()) over the deviceId_timestamp index, or
+// deviceId_type_timestamp when filtering by type, merged by time. The dates bound the key range;
+// day, slot and the search text are checked on each record a cursor passes. More pages load as
+// the list is scrolled to the end, or from the "Load older entries" button.
+const LOG_PAGE_SIZE = 50;
+let logView = null; // The list on screen: { filters, sources: [{ owner, last, buffer, done }], shown, loading }
+
+function fillLogFilters() {
+    const day = dom.logs.day.value, slot = dom.logs.slot.value;
+    dom.logs.day.replaceChildren(new Option(t("Any day"), ""));
+    displayDayOrder().forEach(i => dom.logs.day.add(new Option(dayLabel(i), i)));
+    dom.logs.slot.replaceChildren(new Option(t("Any compartment"), ""));
+    for (let i = 0; i < 6; i++) {
+        const [, meal, when] = slotIdFor(0, i).split('-');
+        dom.logs.slot.add(new Option(`${t(meal)} (${t(when)})`, i));
+    }
+    dom.logs.day.value = day;
+    dom.logs.slot.value = slot;
+}
+
+function readLogFilters() {
+    const from = new Date(`${dom.logs.from.value}T00:00:00`);
+    const to = new Date(`${dom.logs.to.value}T23:59:59`);
+    return {
+        type: dom.logs.type.value,
+        day: dom.logs.day.value === "" ? null : parseInt(dom.logs.day.value, 10),
+        slot: dom.logs.slot.value === "" ? null : parseInt(dom.logs.slot.value, 10),
+        from: isNaN(from.getTime()) ? 0 : Math.floor(from.getTime() / 1000),
+        to: isNaN(to.getTime()) ? Number.MAX_SAFE_INTEGER : Math.floor(to.getTime() / 1000),
+        search: dom.logs.search.value.trim().toLowerCase()
+    };
+}
+
+function logMatches(log, filters) {
+    if (filters.day !== null && log.day !== filters.day) return false;
+    if (filters.slot !== null && log.slot !== filters.slot) return false;
+    if (!filters.search) return true;
+    // The text as shown, plus the stored English, so both languages find an entry
+    const text = [describeLog(log), log.msg, log.raw].join(' ').toLowerCase();
+    return text.includes(filters.search);
+}
+
+// Up to count matching entries from one owner's cursor, continuing after the last record it passed
+function readLogSource(source, filters, count) {
+    const prefix = filters.type ? [source.owner, filters.type] : [source.owner];
+    const upper = source.last ? source.last.key : [...prefix, filters.to];
+    const range = IDBKeyRange.bound([...prefix, filters.from], upper);
+    const index = db.transaction(['logs'], 'readonly').objectStore('logs')
+        .index(filters.type ? 'deviceId_type_timestamp' : 'deviceId_timestamp');
+    return new Promise((resolve) => {
+        const found = [];
+        const request = index.openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                source.done = true;
+                return resolve(found);
+            }
+            // Entries sharing the last index key come in descending primary key order; skip those already read
+            if (source.last && indexedDB.cmp(cursor.key, source.last.key) === 0 && indexedDB.cmp(cursor.primaryKey, source.last.primaryKey) >= 0) {
+                return cursor.continue();
+            }
+            source.last = { key: cursor.key, primaryKey: cursor.primaryKey };
+            if (logMatches(cursor.value, filters)) found.push(cursor.value);
+            if (found.length >= count) return resolve(found);
+            cursor.continue();
+        };
+    });
+}
+
+function renderLogRow(log) {
+    const row = document.createElement('div');
+    row.className = `log-entry log-${log.type}`;
+    const time = document.createElement('div');
+    time.className = 'log-time';
+    time.textContent = formatDateTime(new Date(log.timestamp * 1000));
+    const msg = document.createElement('div');
+    msg.className = 'log-msg';
+    msg.textContent = describeLog(log); // Reasons, medication names and alert templates are free text
+    row.append(time, msg);
+    return row;
+}
+
+function renderLogFooter(view) {
+    const more = view.sources.some(source => !source.done || source.buffer.length > 0);
+    dom.logs.moreBtn.style.display = more ? 'inline-block' : 'none';
+    if (more) dom.logs.pageMsg.textContent = tn("{count} entry shown", "{count} entries shown", view.shown);
+    else if (view.shown === 0) dom.logs.pageMsg.textContent = t("No entries match.");
+    else dom.logs.pageMsg.textContent = t("End of the log ({count} shown).", { count: view.shown });
+}
+
+async function loadMoreLogs() {
+    const view = logView;
+    if (!view || view.loading || !db) return;
+    view.loading = true;
+    // Every source that isn't exhausted holds a full page, so the merge can't run ahead of one
+    await Promise.all(view.sources.map(async source => {
+        if (source.done || source.buffer.length >= LOG_PAGE_SIZE) return;
+        source.buffer.push(...await readLogSource(source, view.filters, LOG_PAGE_SIZE - source.buffer.length));
+    }));
+    view.loading = false;
+    if (view !== logView) return; // The filters or the device changed meanwhile
+
+    const page = [];
+    while (page.length < LOG_PAGE_SIZE) {
+        const next = view.sources.filter(source => source.buffer.length > 0)
+            .sort((a, b) => b.buffer[0].timestamp - a.buffer[0].timestamp)[0];
+        if (!next) break;
+        page.push(next.buffer.shift());
+    }
+    if (view.shown === 0) dom.logs.container.replaceChildren();
+    page.forEach(log => dom.logs.container.appendChild(renderLogRow(log)));
+    view.shown += page.length;
+    renderLogFooter(view);
+}
+
+// Starts the list again from the newest entry that matches the filters
+async function renderLogList() {
+    const filters = readLogFilters();
+    const owners = filters.from <= filters.to ? logOwnerIds(state.device) : []; // A "from" after "to" matches nothing
+    const view = {
+        filters: filters,
+        sources: owners.map(owner => ({ owner: owner, last: null, buffer: [], done: false })),
+        shown: 0,
+        loading: false
+    };
+    logView = view;
+    dom.logs.container.scrollTop = 0;
+    await loadMoreLogs();
+    const count = await countLogsForDevice(state.device);
+    if (view === logView) dom.logs.stats.textContent = t("{count} entries", { count: count });
+}
+
 async function renderLogsAndAnalytics() {
+    renderLogList();
+    const logs = await getLogsForDevice(state.device);
+
+    // Analytics work on all of the device's logs, the chart function handles the period
+    // Reset to the current period whenever we refresh data
+    analyticsState.periodStart = ANALYTICS_RANGES[analyticsState.range].start(new Date());
+    updateChart(logs);
+}
+
+let logSearchTimer = null;
+dom.logs.search.addEventListener('input', () => {
+    clearTimeout(logSearchTimer);
+    logSearchTimer = setTimeout(() => { if (db) renderLogList(); }, 250);
+});
+[dom.logs.type, dom.logs.day, dom.logs.slot, dom.logs.from, dom.logs.to].forEach(input => {
+    input.addEventListener('change', () => { if (db) renderLogList(); });
+});
+document.getElementById('btn-clear-log-filters').addEventListener('click', () => {
+    [dom.logs.search, dom.logs.type, dom.logs.day, dom.logs.slot, dom.logs.from, dom.logs.to].forEach(input => { input.value = ""; });
+    if (db) renderLogList();
+});
+dom.logs.moreBtn.addEventListener('click', loadMoreLogs);
+dom.logs.container.addEventListener('scroll', () => {
+    const list = dom.logs.container;
+    if (list.scrollTop + list.clientHeight >= list.scrollHeight - 100) loadMoreLogs();
+});
+
+// --- EXPORT (CSV / JSON / Printable Report) ---
+// Everything is built here from the local IndexedDB copy; nothing is sent anywhere.
+
+// "2025-01-06" in local time, the format <input type="date"> uses
+function localDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "Monday Lunch (Before)" in the display language
+function slotLabel(id) {
+    const [day, meal, when] = id.split('-');
+    return `${dayLabel(day)} ${t(meal)} (${t(when)})`;
+}
+
+function getExportRange() {
+    const from = new Date(`${dom.exports.from.value}T00:00:00`);
+    const to = new Date(`${dom.exports.to.value}T23:59:59`);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return null;
+    return { from, to };
+}
+
+// Active patient's logs inside the range, oldest first
+async function getExportLogs(range) {
+    const owners = new Set(logOwnerIds(state.device));
+    const startTs = Math.floor(range.from.getTime() / 1000);
+    const endTs = Math.floor(range.to.getTime() / 1000);
     const logs = await getAllLogs();
-    
-    // Sort Newest First for the List
-    const listLogs = [...logs].sort((a, b) => b.timestamp - a.timestamp);
+    return logs
+        .filter(l => owners.has(l.deviceId) && l.timestamp >= startTs && l.timestamp <= endTs)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
 
-    // 1. Render List
-    dom.logs.container.innerHTML = "";
-    document.getElementById('log-stats').textContent = `${listLogs.length} entries`;
-    
-    listLogs.slice(0, 50).forEach(log => { // Limit list to 50 for performance
-        const date = new Date(log.timestamp * 1000).toLocaleString();
-        const div = document.createElement('div');
-        div.className = 'log-entry';
-        
-        // Color code message based on type
-        let msgColor = "#f1f5f9";
-        if(log.type === 'missed') msgColor = "#ef4444";
-        else if(log.type === 'dispense') msgColor = "#10b981";
+function exportFileName(range, extension) {
+    const patient = deviceLabel(state.device).replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    return `pill-history-${patient}-${localDateKey(range.from)}-to-${localDateKey(range.to)}.${extension}`;
+}
+
+function downloadFile(name, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-        div.innerHTML = `<div class="log-time" style="font-size:0.7rem; color:#64748b">${date}</div>
-                         <div class="log-msg" style="color:${msgColor}">${log.msg}</div>`;
-        dom.logs.container.appendChild(div);
+function logsToCsv(logs) {
+    const header = ["date", "time", "slot", "event", "outcome", "medications", "reason", "device_id", "timestamp", "raw"];
+    const rows = logs.map(log => {
+        const when = new Date(log.timestamp * 1000);
+        const id = slotIdFor(log.day, log.slot);
+        return [
+            localDateKey(when), when.toTimeString().slice(0, 8), id ? id.replace('-', ' ').replace('-', ' (') + ')' : "", // English, like the other columns
+            log.event, doseOutcome(log) || "", log.meds || "", log.reason || "", log.deviceId, log.timestamp, log.raw
+        ].map(csvField).join(',');
     });
+    return [header.join(','), ...rows].join('\r\n');
+}
 
-    // 2. Render Analytics (Pass all logs, the chart function handles filtering)
-    // Reset to current week whenever we refresh data
-    analyticsState.currentWeekStart = getMonday(new Date()); 
-    updateChart(logs);
+// Tally of taken/late/missed per key, e.g. per day or per week
+function tallyOutcomes(logs, keyOf) {
+    const tally = new Map();
+    logs.forEach(log => {
+        const outcome = doseOutcome(log);
+        if (!outcome) return;
+        const key = keyOf(new Date(log.timestamp * 1000));
+        if (!tally.has(key)) tally.set(key, { taken: 0, late: 0, missed: 0 });
+        tally.get(key)[outcome]++;
+    });
+    return tally;
+}
+
+function adherenceText(counts) {
+    const total = counts.taken + counts.late + counts.missed;
+    return total > 0 ? `${Math.round(((counts.taken + counts.late) / total) * 100)}%` : t("No data");
+}
+
+function openReport(logs, range) {
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    const doc = win.document;
+    const add = (parent, tag, text) => {
+        const el = doc.createElement(tag);
+        if (text !== undefined) el.textContent = text;
+        parent.appendChild(el);
+        return el;
+    };
+    const table = (headers, rows) => {
+        const tableEl = add(doc.body, 'table');
+        const head = add(tableEl, 'tr');
+        headers.forEach(h => add(head, 'th', t(h)));
+        rows.forEach(r => {
+            const tr = add(tableEl, 'tr');
+            r.forEach(cell => add(tr, 'td', cell));
+        });
+        if (rows.length === 0) add(add(tableEl, 'tr'), 'td', t("None")).colSpan = headers.length;
+    };
+    const row = (counts) => [counts.taken, counts.late, counts.missed, adherenceText(counts)];
+    const empty = { taken: 0, late: 0, missed: 0 };
+
+    doc.title = t("Medication Report - {patient}", { patient: deviceLabel(state.device) });
+    doc.documentElement.lang = language();
+    add(doc.head, 'style', `
+        body { font-family: Inter, sans-serif; color: #0f172a; margin: 32px; }
+        h1 { margin-bottom: 4px; } h2 { margin-top: 28px; font-size: 1.1rem; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+        th, td { border: 1px solid #cbd5e1; padding: 4px 8px; text-align: left; }
+        th { background: #f1f5f9; } p { margin: 2px 0; color: #475569; }
+        @media print { h2 { break-after: avoid; } tr { break-inside: avoid; } }`);
+
+    add(doc.body, 'h1', t("Medication Adherence Report"));
+    add(doc.body, 'p', t("Patient: {patient}", { patient: deviceLabel(state.device) }) + (state.device.id ? ` ${t("(dispenser {id})", { id: state.device.id })}` : ""));
+    add(doc.body, 'p', t("Period: {from} - {to}", { from: formatDate(range.from), to: formatDate(range.to) }));
+    add(doc.body, 'p', t("Generated: {time}", { time: formatDateTime(new Date()) }));
+
+    const overall = tallyOutcomes(logs, () => 'all').get('all') || empty;
+    add(doc.body, 'h2', t("Summary"));
+    table(["Taken on time", "Taken late", "Missed", "Adherence"], [row(overall)]);
+
+    add(doc.body, 'h2', t("Daily Adherence"));
+    const daily = tallyOutcomes(logs, localDateKey);
+    const days = [];
+    for (let d = new Date(range.from); d <= range.to; d = addDays(d, 1)) {
+        days.push([formatDate(d, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' }), ...row(daily.get(localDateKey(d)) || empty)]);
+    }
+    table(["Date", "On time", "Late", "Missed", "Adherence"], days);
+
+    add(doc.body, 'h2', t("Weekly Adherence"));
+    const weekly = tallyOutcomes(logs, (date) => localDateKey(startOfDisplayWeek(date)));
+    table(["Week of", "On time", "Late", "Missed", "Adherence"],
+        Array.from(weekly.entries()).map(([week, counts]) => [formatDate(parseDateKey(week)), ...row(counts)]));
+
+    add(doc.body, 'h2', t("Missed Doses"));
+    table(["Date & Time", "Compartment", "Medications"], logs.filter(l => doseOutcome(l) === 'missed').map(log => {
+        const id = slotIdFor(log.day, log.slot);
+        return [formatDateTime(new Date(log.timestamp * 1000)), id ? slotLabel(id) : "", log.meds || ""];
+    }));
+
+    add(doc.body, 'h2', t("Current Schedule"));
+    const rules = state.doseRules;
+    add(doc.body, 'p', t("Dose window: {onTime} min on time, {late} min late allowance", { onTime: rules.windowPostMin, late: rules.lateGraceMin }) +
+        (rules.remindEveryMin > 0 ? t(", reminder every {minutes} min", { minutes: rules.remindEveryMin }) : ""));
+    const scheduled = CONFIG.daysOfWeek.flatMap((_, day) => [0, 1, 2, 3, 4, 5].map(slot => slotIdFor(day, slot)))
+        .filter(id => state.selectedPills.has(id));
+    table(["Compartment", "Time", "Medications"], scheduled.map(id =>
+        [slotLabel(id), formatClock(slotTime(id)), getSlotMedications(id).map(formatMedication).join(', ')]));
+    if (state.courses.length > 0) {
+        add(doc.body, 'h2', t("Courses"));
+        table(["Course"], state.courses.map(course => [describeCourse(course)]));
+    }
+
+    win.print();
+    return true;
+}
+
+async function runExport(kind) {
+    const range = getExportRange();
+    if (!range) {
+        dom.exports.msg.textContent = t("Choose a valid date range.");
+        return;
+    }
+    const logs = await getExportLogs(range);
+    if (kind === 'csv') {
+        downloadFile(exportFileName(range, 'csv'), 'text/csv', logsToCsv(logs));
+    } else if (kind === 'json') {
+        downloadFile(exportFileName(range, 'json'), 'application/json', JSON.stringify({
+            patient: deviceLabel(state.device),
+            deviceId: state.device.id || null,
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            exportedAt: new Date().toISOString(),
+            logs: logs
+        }, null, 2));
+    } else if (!openReport(logs, range)) {
+        dom.exports.msg.textContent = t("Allow pop-ups for this page to open the report.");
+        return;
+    }
+    dom.exports.msg.textContent = t("Exported {count} entries.", { count: logs.length });
+}
+
+function resetExportRange() {
+    if (dom.exports.from.value && dom.exports.to.value) return;
+    const today = new Date();
+    dom.exports.to.value = localDateKey(today);
+    dom.exports.from.value = localDateKey(addDays(today, -29)); // Last 30 days
+}
+
+dom.exports.reportBtn.addEventListener('click', () => runExport('report'));
+dom.exports.csvBtn.addEventListener('click', () => runExport('csv'));
+dom.exports.jsonBtn.addEventListener('click', () => runExport('json'));
+
+// --- BACKUP & RESTORE ---
+// One versioned file with every dispenser's record, catalogue and schedule plus the whole log store.
+// Device PINs stay out: they are encrypted with this phone's app PIN and useless anywhere else.
+const BACKUP_FORMAT = 'pill-dispenser-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_DEVICE_FIELDS = ['key', 'patientName', 'ip', 'id', 'logOffset', 'lastLogFetch', 'legacy', 'logsLate'];
+
+function readStored(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+        return null;
+    }
+}
+
+async function buildBackup() {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        activeDevice: state.device.key,
+        devices: state.devices.map(device => ({
+            ...Object.fromEntries(BACKUP_DEVICE_FIELDS.map(f => [f, device[f]])),
+            medications: readStored(medsStorageKey(device)) || (device.legacy && readStored(MEDS_STORAGE_KEY)) || null,
+            schedule: readStored(scheduleStorageKey(device))
+        })),
+        logs: await getAllLogs()
+    };
+}
+
+// Returns what is wrong with a parsed backup file, or null when it can be restored
+function validateBackup(data) {
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (!isObject(data) || data.format !== BACKUP_FORMAT) return t("This is not a pill dispenser backup file.");
+    if (!Number.isInteger(data.version) || data.version < 1) return t("The backup has no valid version.");
+    if (data.version > BACKUP_VERSION) return t("The backup was made by a newer version of the app.");
+    if (!Array.isArray(data.devices) || !Array.isArray(data.logs)) return t("The backup is missing its dispensers or logs.");
+
+    // Colours and times end up in the page's markup and styles, so only the shapes the app writes get in
+    const isTime = (v) => typeof v === 'string' && CONFIG_SCHEMA.time.test(v);
+    const allTimes = (v) => isObject(v) && Object.values(v).every(isTime);
+    const validMed = (med) => isObject(med) && typeof med.color === 'string' && /^#[0-9a-f]{6}$/i.test(med.color);
+    // Each compartment lists ids from the same catalogue, as saveMedications() writes them
+    const validMedications = (meds) => Array.isArray(meds.catalogue) && meds.catalogue.every(validMed)
+        && (meds.assignments === undefined || (isObject(meds.assignments) && Object.values(meds.assignments).every(ids =>
+            Array.isArray(ids) && ids.every(id => meds.catalogue.some(med => med.id === id)))));
+    const validTimings = (timings) => timings === undefined || (isObject(timings)
+        && CONFIG_SCHEMA.mealKeys.every(key => timings[key] === undefined || isTime(timings[key]))
+        && (timings.dayTimes === undefined || (isObject(timings.dayTimes) && Object.values(timings.dayTimes).every(allTimes)))
+        && (timings.slotTimes === undefined || allTimes(timings.slotTimes)));
+    const badDevice = data.devices.findIndex(d => !isObject(d) || typeof d.key !== 'string' || typeof d.ip !== 'string'
+        || (d.medications && (!isObject(d.medications) || !validMedications(d.medications)))
+        || (d.schedule && (!Array.isArray(d.schedule.selectedPills) || !validTimings(d.schedule.timings))));
+    if (badDevice >= 0) return t("Dispenser #{number} in the backup is malformed.", { number: badDevice + 1 });
+
+    const badLog = data.logs.findIndex(l => !isObject(l) || typeof l.deviceId !== 'string' || !Number.isFinite(l.timestamp)
+        || !Number.isInteger(l.day) || !Number.isInteger(l.slot) || typeof l.event !== 'string');
+    if (badLog >= 0) return t("Log entry #{number} in the backup is malformed.", { number: badLog + 1 });
+    return null;
+}
+
+// Merges a backup into what this phone already has. Dispensers already registered (same MAC or key)
+// keep their local settings; new ones are added with their catalogue and schedule. Logs are merged
+// on their [deviceId, timestamp, day, slot, event] key, so entries already stored are skipped.
+async function restoreBackup(data) {
+    const error = validateBackup(data);
+    if (error) throw new Error(error);
+
+    // A phone that was never set up only has the default dispenser, which the backup replaces
+    const untouched = state.devices.length === 1 && !state.devices[0].id && !state.devices[0].credentials;
+    const devices = untouched ? [] : [...state.devices];
+    const renamed = {}; // Backup key -> local key, for dispensers registered under another key here
+    let added = 0;
+
+    data.devices.forEach(record => {
+        const match = devices.find(d => (record.id && d.id === record.id) || d.key === record.key);
+        if (match) {
+            if (match.key !== record.key) renamed[record.key] = match.key;
+            if (record.legacy) match.legacy = true;
+            return;
+        }
+        const device = createDevice(Object.fromEntries(BACKUP_DEVICE_FIELDS.map(f => [f, record[f]])));
+        if (record.medications) localStorage.setItem(medsStorageKey(device), JSON.stringify(record.medications));
+        if (record.schedule) localStorage.setItem(scheduleStorageKey(device), JSON.stringify(record.schedule));
+        devices.push(device);
+        added++;
+    });
+
+    const logs = data.logs.map(log => renamed[log.deviceId] ? { ...log, deviceId: renamed[log.deviceId] } : log);
+    const newLogs = await saveNewLogs(logs);
+
+    if (untouched) {
+        localStorage.removeItem(medsStorageKey(state.device));
+        localStorage.removeItem(scheduleStorageKey(state.device));
+        state.device = devices.find(d => d.key === data.activeDevice) || devices[0];
+    }
+    state.devices = devices;
+    saveDevices();
+    renderActiveDevice();
+    renderLogsAndAnalytics();
+    return { devices: added, logs: newLogs.length };
 }
 
+dom.backup.downloadBtn.addEventListener('click', async () => {
+    if (!db) return;
+    const backup = await buildBackup();
+    downloadFile(`pill-dispenser-backup-${localDateKey(new Date())}.json`, 'application/json', JSON.stringify(backup));
+});
+
+dom.backup.restoreBtn.addEventListener('click', () => dom.backup.fileInput.click());
+
+dom.backup.fileInput.addEventListener('change', async () => {
+    const file = dom.backup.fileInput.files[0];
+    dom.backup.fileInput.value = "";
+    if (!file || !db) return;
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        alert(t("Restore failed: the file is not valid JSON."));
+        return;
+    }
+    try {
+        const result = await restoreBackup(data);
+        alert(t("Restored {devices} dispenser(s) and {logs} new log entries.", { devices: result.devices, logs: result.logs }) +
+            (result.devices > 0 ? ` ${t("Enter each restored dispenser's PIN under Dispensers to reconnect.")}` : ""));
+    } catch (e) {
+        alert(t("Restore failed: {error}", { error: e.message }));
+    }
+});
+
 // --- TAB SWITCHING ---
 document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -725,19 +4940,32 @@ document.querySelectorAll('.tab-btn').forEach(btn => {
 
         // Toggle Views
         const tab = e.target.dataset.tab;
-        if(tab === 'logs') {
-            document.getElementById('view-logs').style.display = 'flex';
-            document.getElementById('view-analytics').style.display = 'none';
-        } else {
-            document.getElementById('view-logs').style.display = 'none';
-            document.getElementById('view-analytics').style.display = 'block';
+        document.getElementById('view-logs').style.display = tab === 'logs' ? 'flex' : 'none';
+        document.getElementById('view-analytics').style.display = tab === 'analytics' ? 'block' : 'none';
+        document.getElementById('view-export').style.display = tab === 'export' ? 'block' : 'none';
+        if (tab === 'analytics') {
             renderLogsAndAnalytics(); // Refresh chart
+        } else if (tab === 'export') {
+            resetExportRange();
+            dom.exports.msg.textContent = "";
         }
     });
 });
 
 // Start
+// Offline support: caches the app shell (see sw.js). Unavailable from file:// and plain-http hosts.
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(e => console.log("Service worker not registered.", e));
+}
+loadPreferences();
+loadAlertSettings();
+translateStatic(); // Before anything is drawn, so only index.html's own text is collected
+loadDevices();
 initDispenser();
-// Initialize with default IP check
-dom.inputs.ip.value = state.device.ip;
-startHeartbeat();
\ No newline at end of file
+fillControlTargets();
+fillLogFilters();
+buildCourseForm();
+buildScheduleTable();
+renderActiveDevice();
+// Device checks start once the app is unlocked (see unlockApp)
+showLoginMode();
\ No newline at end of file
@@ -0,0 +1,59 @@
+// --- Service Worker: offline app shell ---
+// The phone is usually on the dispenser's SoftAP with no internet, so every file the app
+// needs is cached at install. Requests to the dispenser itself (another origin) are never touched.
+
+const CACHE_NAME = 'pill-dispenser-v2'; // Bump when APP_SHELL changes so old caches are dropped
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'config-schema.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'vendor/chart.umd.min.js',
+    'fonts/inter-latin-400-normal.woff2',
+    'fonts/inter-latin-600-normal.woff2',
+    'fonts/inter-latin-800-normal.woff2',
+    'fonts/jetbrains-mono-latin-400-normal.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Stale-while-revalidate: answer from the cache straight away, refresh it when the network is there
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const cached = await cache.match(request, { ignoreSearch: true })
+                || (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cached || Response.error());
+            if (cached) {
+                event.waitUntil(network);
+                return cached;
+            }
+            return network;
+        })
+    );
+});
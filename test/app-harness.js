@@ -0,0 +1,145 @@
+// --- App Harness ---
+// Loads index.html + script.js into jsdom with a private in-memory IndexedDB and Node's real
+// fetch, so the app talks to a mock dispenser over HTTP exactly as it would in a browser.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { webcrypto } = require('node:crypto');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+const APP_PIN = "4321";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, { timeout = 4000, message = "condition" } = {}) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const value = await check();
+        if (value) return value;
+        await wait(20);
+    }
+    throw new Error(`Timed out waiting for ${message}`);
+}
+
+// devices: registry records written to localStorage before the app starts, e.g. [{ ip: "127.0.0.1:8080" }]
+function loadApp({ devices } = {}) {
+    // External scripts/styles aren't needed: Chart.js is stubbed and styles don't affect behaviour
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script[^>]*src="[^"]*"[^>]*><\/script>/g, '')
+        .replace(/<link[^>]*>/g, '');
+    const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost/', pretendToBeVisual: true });
+    const w = dom.window;
+
+    const app = { window: w, document: w.document, alerts: [], errors: [], notifications: [], streams: [], downloads: [] };
+    w.addEventListener('error', (e) => app.errors.push(e.error || e.message));
+    w.console.log = () => {};
+    w.console.error = () => {};
+    w.indexedDB = new IDBFactory();
+    w.IDBKeyRange = IDBKeyRange;
+    // close() stops the app rather than the window: IndexedDB callbacks already queued still run
+    // after a test ends, and need a document to draw into. So it stops every timer the app started,
+    // refuses new ones, and holds back responses that arrive later, as a closed tab never sees them.
+    let closed = false;
+    const never = new Promise(() => {});
+    const timers = new Set();
+    const track = (schedule) => (...args) => {
+        if (closed) return 0;
+        const id = schedule(...args);
+        timers.add(id);
+        return id;
+    };
+    w.setTimeout = track(w.setTimeout.bind(w));
+    w.setInterval = track(w.setInterval.bind(w));
+    w.fetch = (...args) => fetch(...args).then(
+        response => closed ? never : response,
+        error => closed ? never : Promise.reject(error));
+    w.AbortController = AbortController; // Node's fetch only accepts its own AbortSignal
+    Object.defineProperty(w.crypto, 'subtle', { value: webcrypto.subtle });
+    w.TextEncoder = TextEncoder;
+    w.TextDecoder = TextDecoder;
+    w.alert = (message) => app.alerts.push(message);
+    w.confirm = () => false;
+    w.Chart = function () { this.destroy = () => {}; };
+    w.HTMLCanvasElement.prototype.getContext = () => ({});
+    // Node's EventSource (node --experimental-eventsource); without it the app falls back to polling
+    if (globalThis.EventSource) {
+        w.EventSource = class extends globalThis.EventSource {
+            constructor(...args) {
+                super(...args);
+                app.streams.push(this);
+            }
+        };
+    }
+    // jsdom can't save files: each download the app starts is recorded as { name, blob }
+    const blobs = new Map();
+    w.URL.createObjectURL = (blob) => {
+        const url = `blob:http://localhost/${blobs.size}`;
+        blobs.set(url, blob);
+        return url;
+    };
+    w.URL.revokeObjectURL = (url) => {};
+    w.HTMLAnchorElement.prototype.click = function () {
+        if (this.download) app.downloads.push({ name: this.download, blob: blobs.get(this.href) });
+    };
+    // jsdom has no notifications: permission is granted and each one is recorded
+    w.Notification = function (title, options = {}) { app.notifications.push({ title, ...options }); };
+    w.Notification.permission = 'granted';
+    w.Notification.requestPermission = async () => w.Notification.permission;
+
+    if (devices) {
+        const records = devices.map((d, i) => ({ key: `dev-test-${i}`, patientName: `Patient ${i + 1}`, legacy: i === 0, ...d }));
+        w.localStorage.setItem('pillDispenser.devices', JSON.stringify(records));
+    }
+
+    // One eval, as the page's classic scripts share one global scope: script.js uses config-schema.js's constants
+    w.eval(['config-schema.js', 'script.js'].map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n') + '\n//# sourceURL=script.js');
+
+    app.$ = (selector) => w.document.querySelector(selector);
+    app.byId = (id) => w.document.getElementById(id);
+    app.lastAlert = () => app.alerts[app.alerts.length - 1];
+    app.close = () => {
+        closed = true;
+        app.streams.forEach(source => source.close());
+        timers.forEach(id => w.clearInterval(id)); // Also clears timeouts: they share one list
+    };
+    return app;
+}
+
+// Creates the app PIN on first run and waits for the local database
+async function unlock(app, pin = APP_PIN) {
+    app.byId('login-pin').value = pin;
+    app.byId('btn-login').click();
+    await waitFor(() => app.byId('login-overlay').style.display === 'none', { message: "login" });
+    await waitFor(() => /^\d+ entries$/.test(app.byId('log-stats').textContent), { message: "log database" });
+}
+
+// Enters the device PIN for the active dispenser through the Dispensers modal
+async function connect(app, devicePin = "1234") {
+    app.byId('btn-wifi').click();
+    app.$('#device-list .device-row.active .med-edit').click();
+    app.byId('device-pass').value = devicePin;
+    app.byId('btn-connect-device').click();
+    await waitFor(() => /Connected to/.test(app.byId('connection-msg').textContent), { message: "connection" });
+    // A fresh connection pulls the log and reads the config back; let both land before the test acts
+    await waitFor(() => /^Synced/.test(app.lastAlert() || ""), { message: "initial log sync" });
+    await wait(100);
+}
+
+// Opens the sync review, waits for it to read the device's config and sends the payload
+async function sync(app) {
+    app.byId('btn-save').click();
+    await waitFor(() => !app.byId('btn-confirm-sync').disabled, { message: "sync review" });
+    app.byId('btn-confirm-sync').click();
+}
+
+function clickSegment(app, id) {
+    app.$(`path[data-id="${id}"]`).dispatchEvent(new app.window.MouseEvent('click', { bubbles: true }));
+}
+
+function logCount(app) {
+    return parseInt(app.byId('log-stats').textContent, 10);
+}
+
+module.exports = { loadApp, unlock, connect, sync, clickSegment, logCount, waitFor, wait };
@@ -0,0 +1,1174 @@
+// End-to-end: the web app (in jsdom) against the mock dispenser over real HTTP.
+// Run with `npm test`.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockDispenser } = require('./mock-dispenser');
+const { createAlertReceiver } = require('./mock-alert-receiver');
+const { expectedSlots, configChecksum } = require('../config-schema');
+const { loadApp, unlock, connect, sync, clickSegment, logCount, waitFor, wait } = require('./app-harness');
+
+describe('mock dispenser contract', () => {
+    let mock, base;
+
+    beforeEach(async () => {
+        mock = createMockDispenser();
+        base = `http://${await mock.listen()}`;
+    });
+    afterEach(() => mock.close());
+
+    const login = async (pin = "1234") => (await fetch(`${base}/login`, { method: 'POST', body: JSON.stringify({ pin }) })).json();
+
+    it('answers preflights and exposes the log cursor headers', async () => {
+        const res = await fetch(`${base}/save-config`, { method: 'OPTIONS' });
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('access-control-allow-origin'), '*');
+        assert.match(res.headers.get('access-control-allow-headers'), /Authorization/);
+        assert.equal(res.headers.get('access-control-expose-headers'), 'X-Log-Start, X-Log-Next');
+    });
+
+    it('requires a session token and locks out repeated wrong PINs', async () => {
+        assert.equal((await fetch(`${base}/status`)).status, 401);
+        assert.equal((await fetch(`${base}/nope`)).status, 404);
+        for (let i = 0; i < 5; i++) assert.equal((await login("0000")).error, "Incorrect PIN");
+        const locked = await login();
+        assert.equal(locked.error, "Too many attempts");
+        assert.ok(locked.retry_after > 0);
+    });
+
+    it('stores a saved config and reads it back with the same overrides', async () => {
+        const { token } = await login();
+        const headers = { Authorization: `Bearer ${token}` };
+        const config = {
+            settings: { breakfast: "07:30", lunch: "13:00", dinner: "19:00", windowPostMin: 45, dayTimes: { Saturday: { breakfast: "09:00" } }, slotTimes: { "Sunday-Lunch-After": "14:15" } },
+            schedule: ["Saturday-Breakfast-Before", "Sunday-Lunch-After"],
+            assignments: { "Sunday-Lunch-After": [{ name: "Metformin", strength: "500mg", count: 2 }] }
+        };
+        const saved = await fetch(`${base}/save-config`, { method: 'POST', headers, body: JSON.stringify(config) });
+        assert.deepEqual(await saved.json(), {
+            message: "Config Saved",
+            version: 1,
+            revision: 1,
+            checksum: configChecksum(expectedSlots(config), { windowPreMin: 0, windowPostMin: 45, remindEveryMin: 0, lateGraceMin: 0 }),
+            accepted: { "Saturday-Breakfast-Before": "09:00", "Sunday-Lunch-After": "14:15" },
+            rejected: []
+        });
+
+        const read = await (await fetch(`${base}/get-config`, { headers })).json();
+        assert.equal(read.settings.breakfast, "07:30");
+        assert.equal(read.settings.windowPostMin, 45);
+        assert.deepEqual(read.settings.dayTimes, { Saturday: { breakfast: "09:00" } });
+        assert.deepEqual(read.settings.slotTimes, { "Sunday-Lunch-After": "14:15" });
+        assert.deepEqual(read.schedule, config.schedule);
+        assert.equal(mock.dispense(6, 3, new Date(2025, 0, 12, 14, 16)), "2025-01-12 14:16:00,6,3,DISPENSED,Metformin 500mg x2");
+    });
+
+    it('refuses bad settings and skips unknown compartments instead of guessing', async () => {
+        const { token } = await login();
+        const save = async (config) => {
+            const res = await fetch(`${base}/save-config`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: JSON.stringify(config) });
+            return { status: res.status, body: await res.json() };
+        };
+        const settings = { breakfast: "08:00", lunch: "13:00", dinner: "20:00" };
+
+        const refused = await save({ settings: { ...settings, lunch: "1pm", remindEveryMin: 500 }, schedule: ["Monday-Lunch-Before"] });
+        assert.equal(refused.status, 400);
+        assert.deepEqual(refused.body.problems, [
+            { field: "settings.lunch", problem: "bad-time" },
+            { field: "settings.remindEveryMin", problem: "out-of-range" }
+        ]);
+        assert.equal(mock.schedule[0][2].active, false, "nothing is applied");
+
+        // An unknown day used to land on Monday; now only the valid compartment is scheduled
+        const { body } = await save({
+            settings: { ...settings, slotTimes: { "Tuesday-Lunch-After": "25:00" } },
+            schedule: ["Funday-Lunch-Before", "Tuesday-Lunch-After"],
+            slotDates: { "Tuesday-Lunch-After": "2025-02-30x" }
+        });
+        assert.deepEqual(body.accepted, { "Tuesday-Lunch-After": "13:00" });
+        assert.deepEqual(body.rejected, [
+            { field: "settings.slotTimes.Tuesday-Lunch-After", problem: "bad-time" },
+            { field: "schedule[0]", problem: "unknown-slot" },
+            { field: "slotDates.Tuesday-Lunch-After", problem: "bad-date" }
+        ]);
+        assert.equal(mock.schedule[0][2].active, false);
+        assert.equal(body.version, 1);
+        const read = await (await fetch(`${base}/get-config`, { headers: { Authorization: `Bearer ${token}` } })).json();
+        assert.equal(read.config_version, 1);
+        assert.equal(read.checksum, body.checksum);
+    });
+
+    it('only takes a config revision newer than its own', async () => {
+        const { token } = await login();
+        const save = async (revision) => {
+            const body = { settings: { breakfast: "08:00", lunch: "13:00", dinner: "20:00" }, schedule: ["Monday-Lunch-Before"], revision };
+            const res = await fetch(`${base}/save-config`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: JSON.stringify(body) });
+            return { status: res.status, body: await res.json() };
+        };
+        assert.equal((await save(5)).body.revision, 5);
+        assert.deepEqual(await save(5), { status: 409, body: { error: "Conflict", revision: 5 } });
+        assert.equal((await save(undefined)).body.revision, 6, "a payload without one overwrites");
+        const read = await (await fetch(`${base}/get-config`, { headers: { Authorization: `Bearer ${token}` } })).json();
+        assert.equal(read.revision, 6);
+    });
+
+    it('serves the log from a byte offset', async () => {
+        const { token } = await login();
+        mock.dispense(0, 0, new Date(2025, 0, 6, 8, 1));
+        const first = await fetch(`${base}/get-logs?offset=0`, { headers: { Authorization: `Bearer ${token}` } });
+        const next = first.headers.get('x-log-next');
+        assert.equal(await first.text(), "2025-01-06 08:01:00,0,0,DISPENSED\r\n");
+
+        mock.miss(0, 2, new Date(2025, 0, 6, 13, 30));
+        const second = await fetch(`${base}/get-logs?offset=${next}`, { headers: { Authorization: `Bearer ${token}` } });
+        assert.equal(second.headers.get('x-log-start'), next);
+        assert.equal(await second.text(), "2025-01-06 13:30:00,0,2,MISSED\r\n");
+    });
+
+    it('reports the full device time and accepts a new one', async () => {
+        const { token } = await login();
+        const headers = { Authorization: `Bearer ${token}` };
+        mock.clockSkewSec = 3600;
+        const status = await (await fetch(`${base}/status`, { headers })).json();
+        assert.ok(Math.abs(status.epoch - Date.now() / 1000 - 3600) < 2);
+        assert.match(status.device_datetime, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d$/);
+        assert.equal(status.utc_offset_min, -new Date().getTimezoneOffset() || 0);
+
+        const set = (body) => fetch(`${base}/set-time`, { method: 'POST', headers, body: JSON.stringify(body) });
+        assert.equal((await set({ epoch: 0 })).status, 400);
+        assert.equal((await set({ epoch: Math.round(Date.now() / 1000), utc_offset_min: 60 })).status, 200);
+        assert.equal(mock.utcOffsetMin, 60);
+        assert.ok(Math.abs(mock.clockSkewSec) <= 1);
+        assert.match(mock.log, /,-1,-1,CLOCK_SET,,Set from app \(was .+\)\r\n$/);
+    });
+
+    it('keeps the compartment inventory across dispenses until the next week', async () => {
+        const { token } = await login();
+        const headers = { Authorization: `Bearer ${token}` };
+        await fetch(`${base}/inventory`, { method: 'POST', headers, body: JSON.stringify({ loaded: ["Monday-Breakfast-Before", "Friday-Dinner-After"] }) });
+        mock.dispense(0, 0, new Date(2025, 0, 6, 8, 1));
+        assert.deepEqual((await (await fetch(`${base}/get-config`, { headers })).json()).inventory,
+            { "Monday-Breakfast-Before": "dispensed", "Friday-Dinner-After": "loaded" });
+        mock.newWeek();
+        assert.deepEqual((await (await fetch(`${base}/get-config`, { headers })).json()).inventory, { "Friday-Dinner-After": "loaded" });
+    });
+
+    it('runs each weekday from its own compartments', () => {
+        mock.schedule[2][2].active = true; // Wednesday lunch, before
+        mock.schedule[6][5].active = true; // Sunday dinner, after
+        assert.deepEqual(mock.runSchedule(new Date(2025, 0, 8, 13, 5)), ["2025-01-08 13:05:00,2,2,DISPENSED"]);
+        assert.deepEqual(mock.runSchedule(new Date(2025, 0, 12, 20, 10), false), ["2025-01-12 20:10:00,6,5,MISSED"]);
+        assert.deepEqual(mock.runSchedule(new Date(2025, 0, 6, 13, 5)), [], "nothing is due on Monday");
+    });
+
+    it('requires a reason for control actions and logs it', async () => {
+        const { token } = await login();
+        const post = (path, body) => fetch(`${base}${path}`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: JSON.stringify(body) });
+
+        assert.equal((await post('/home', {})).status, 400);
+        assert.equal((await post('/test-flap', { day: 7, slot: 0, reason: "Refill" })).status, 400);
+        assert.deepEqual(await (await post('/home', { reason: "Wheel, out of line" })).json(), { message: "Carousel homed" });
+        assert.match(mock.log, /,-1,-1,HOMED,,Wheel  out of line\r\n$/);
+        assert.equal(mock.carouselIndex, 21);
+    });
+
+    it('trims only log lines every phone has confirmed, keeping offsets stable, and reports diagnostics', async () => {
+        const { token } = await login();
+        const headers = { Authorization: `Bearer ${token}` };
+        const ack = async (offset, phone = "phone-a") => (await fetch(`${base}/ack-logs`, { method: 'POST', headers, body: JSON.stringify({ offset, phone }) })).json();
+        const read = (offset) => fetch(`${base}/get-logs?offset=${offset}`, { headers });
+        mock.logMaxBytes = 200;
+        mock.logKeepBytes = 80;
+        for (let day = 0; day < 7; day++) mock.dispense(day, 0, new Date(2025, 0, 6 + day, 8, 1)); // 35 bytes a line
+        for (let day = 0; day < 3; day++) mock.dispense(day, 1, new Date(2025, 0, 6 + day, 8, 31));
+        assert.equal(Buffer.byteLength(mock.log), 350);
+
+        // Past the end is from before a reset, and is ignored
+        assert.deepEqual(await ack(9999), { acked: 0, log_base: 0 });
+        // Only the three confirmed lines go, although the log is over its limit
+        assert.deepEqual(await ack(105), { acked: 105, log_base: 105 });
+        const trimmed = await read(0);
+        assert.equal(trimmed.headers.get('x-log-start'), "105");
+        assert.equal(trimmed.headers.get('x-log-next'), "350");
+        assert.match(await trimmed.text(), /^2025-01-09 08:01:00,3,0,DISPENSED\r\n/);
+        assert.equal(await (await read(315)).text(), "2025-01-08 08:31:00,2,1,DISPENSED\r\n");
+
+        // A second phone has only stored up to 140, so the first phone confirming everything trims no further
+        assert.deepEqual(await ack(140, "phone-b"), { acked: 140, log_base: 105 });
+        assert.deepEqual(await ack(350), { acked: 350, log_base: 140 });
+        assert.equal(await (await read(0)).headers.get('x-log-start'), "140");
+
+        // Silent for over 30 days, the second phone stops holding the log back: the last logKeepBytes
+        // stay, cut at a line boundary
+        mock.clockSkewSec = 31 * 86400;
+        assert.deepEqual(await ack(350), { acked: 350, log_base: 280 });
+        assert.equal(await (await read(105)).text(), "2025-01-07 08:31:00,1,1,DISPENSED\r\n2025-01-08 08:31:00,2,1,DISPENSED\r\n");
+        assert.deepEqual(await ack(200), { acked: 350, log_base: 280 }, "never moves back");
+        assert.deepEqual(Object.keys(mock.logReaders), ["phone-a"]);
+
+        const diag = await (await fetch(`${base}/diagnostics`, { headers })).json();
+        assert.equal(diag.firmware_version, "4.1.0");
+        assert.equal(diag.log_size, 70);
+        assert.equal(diag.log_base, 280);
+        assert.equal(diag.log_acked, 350);
+        assert.equal(diag.log_readers, 1);
+        assert.equal(diag.wifi_mode, "ap");
+        assert.equal((await fetch(`${base}/diagnostics`)).status, 401);
+    });
+});
+
+// An unlocked app connected to a fresh mock; options go to createMockDispenser()
+async function startApp(options = {}) {
+    const mock = createMockDispenser({ id: "AA:BB:CC:00:00:01", ...options });
+    const ip = await mock.listen();
+    const app = loadApp({ devices: [{ ip }] });
+    await unlock(app);
+    await connect(app);
+    return { mock, app };
+}
+
+async function stopApp({ mock, app }) {
+    await wait(100); // Let in-flight requests settle before the window goes away
+    app.close();
+    await mock.close();
+}
+
+describe('app against the mock dispenser', () => {
+    let mock, app;
+
+    beforeEach(async () => {
+        ({ mock, app } = await startApp());
+        await waitFor(() => mock.streamCount() === 1, { message: "live event stream" });
+    });
+    afterEach(() => stopApp({ mock, app }));
+
+    const syncLogs = async () => {
+        const before = app.alerts.length;
+        app.byId('btn-refresh-logs').click();
+        await waitFor(() => app.alerts.length > before && /^Synced/.test(app.lastAlert()), { message: "log sync" });
+        return app.lastAlert();
+    };
+
+    it('signs in with the device PIN and learns the device ID', () => {
+        assert.equal(app.byId('connection-msg').textContent, `Status: Connected to ${mock.requests[0].headers.host}`);
+        const saved = JSON.parse(app.window.localStorage.getItem('pillDispenser.devices'));
+        assert.equal(saved[0].id, "AA:BB:CC:00:00:01");
+        assert.equal(saved[0].password, undefined, "the device PIN is never stored in the clear");
+    });
+
+    it('syncs the wheel and a per-compartment time to the device', async () => {
+        clickSegment(app, 'Monday-Lunch-Before');
+        clickSegment(app, 'Friday-Dinner-After');
+        app.$('.pill-tag').click(); // Monday lunch comes first
+        app.byId('assign-time').value = "12:15";
+        app.byId('btn-save-assign').click();
+
+        await sync(app);
+        await waitFor(() => app.lastAlert() === "Sync Successful!", { message: "sync" });
+        assert.equal(mock.schedule[0][2].active, true);
+        assert.equal(mock.schedule[4][5].active, true);
+        assert.deepEqual([mock.schedule[0][2].hour, mock.schedule[0][2].minute], [12, 15]);
+        assert.deepEqual([mock.schedule[4][5].hour, mock.schedule[4][5].minute], [20, 0]);
+    });
+
+    it('adds pushed log lines without a sync', async () => {
+        const logFetches = mock.requests.filter(r => r.path === '/get-logs').length;
+        mock.dispense(0, 0, new Date(2025, 0, 6, 8, 2));
+        await waitFor(() => logCount(app) === 1, { message: "live entry listed" });
+        assert.match(app.$('#log-container .log-msg').textContent, /^DISPENSED \(Day 0, Slot 0\)/);
+        assert.equal(mock.requests.filter(r => r.path === '/get-logs').length, logFetches);
+
+        // The next sync downloads the same line again and skips it
+        assert.equal(await syncLogs(), "Synced 0 new entries.");
+        assert.equal(logCount(app), 1);
+    });
+
+    it('notifies about dose alarms and missed doses', async () => {
+        mock.schedule[0][2].active = true;
+        mock.runSchedule(new Date(2025, 0, 6, 13, 10), false); // A Monday, nobody takes the dose
+        await waitFor(() => app.notifications.length === 2, { message: "notifications" });
+        assert.deepEqual(app.notifications.map(n => n.title), ["Dose due: Patient 1", "Missed dose: Patient 1"]);
+        assert.equal(app.notifications[0].body, "Monday Lunch (Before) (13:00) is alarming now.");
+        assert.match(app.notifications[1].body, /^MISSED \(Day 0, Slot 2\)/);
+    });
+
+    it('reads back a config saved from another phone', async () => {
+        const base = `http://${mock.requests[0].headers.host}`;
+        const { token } = await (await fetch(`${base}/login`, { method: 'POST', body: JSON.stringify({ pin: "1234" }) })).json();
+        await fetch(`${base}/save-config`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ settings: { breakfast: "07:30", lunch: "13:00", dinner: "20:00" }, schedule: ["Wednesday-Dinner-After"] })
+        });
+        await waitFor(() => app.$('.pill-tag'), { message: "schedule read back" });
+        assert.equal(app.byId('time-breakfast').value, "07:30");
+    });
+
+    it('edits the wheel by keyboard, drag and the table', () => {
+        const segment = (id) => app.$(`path[data-id="${id}"]`);
+        const focused = () => app.document.activeElement.dataset.id;
+        const press = (key) => app.document.activeElement.dispatchEvent(new app.window.KeyboardEvent('keydown', { key, bubbles: true }));
+        const pointer = (type, target) => target.dispatchEvent(new app.window.MouseEvent(type, { bubbles: true }));
+
+        assert.equal(app.$('.pill-section[tabindex="0"]').dataset.id, "Monday-Breakfast-Before");
+        segment('Monday-Breakfast-Before').focus();
+        press('ArrowRight');
+        press('ArrowUp');
+        press(' ');
+        assert.equal(focused(), "Monday-Lunch-After");
+        assert.equal(segment('Monday-Lunch-After').getAttribute('aria-checked'), "true");
+        assert.equal(segment('Monday-Lunch-After').getAttribute('aria-label'), "Monday, Lunch, after meal, scheduled");
+        assert.equal(app.$('.pill-section[tabindex="0"]').dataset.id, "Monday-Lunch-After");
+
+        press('ArrowLeft');
+        press('ArrowLeft'); // Wraps round to the end of the week
+        assert.equal(focused(), "Sunday-Dinner-After");
+        press('d');
+        assert.equal(app.byId('summary-text').textContent, "7 slots active.");
+
+        // Dragging paints every segment it crosses
+        pointer('pointerdown', segment('Tuesday-Breakfast-Before'));
+        pointer('pointerover', segment('Tuesday-Lunch-Before'));
+        pointer('pointerover', segment('Tuesday-Dinner-Before'));
+        pointer('pointerup', app.window);
+        assert.equal(app.byId('summary-text').textContent, "10 slots active.");
+
+        // The table edits the same schedule
+        app.byId('btn-table').click();
+        assert.equal(app.byId('schedule-table-wrapper').style.display, 'block');
+        assert.equal(app.$('#schedule-table input[data-id="Tuesday-Lunch-Before"]').checked, true);
+        app.$('#schedule-table tbody tr:last-child th button').click(); // Sunday is full, so it is cleared
+        assert.equal(app.byId('summary-text').textContent, "4 slots active.");
+        const box = app.$('#schedule-table input[data-id="Monday-Lunch-After"]');
+        box.checked = false;
+        box.dispatchEvent(new app.window.Event('change'));
+        assert.equal(segment('Monday-Lunch-After').getAttribute('aria-checked'), "false");
+        assert.equal(app.byId('summary-text').textContent, "3 slots active.");
+    });
+
+    it('shows the app in Spanish with a Sunday week and 12-hour times, syncing the same schedule', async () => {
+        const choose = (id, value) => {
+            app.byId(id).value = value;
+            app.byId(id).dispatchEvent(new app.window.Event('change'));
+        };
+        app.byId('btn-settings').click();
+        choose('pref-language', 'es');
+        assert.equal(app.document.documentElement.lang, "es");
+        assert.equal(app.$('#settings-modal h3').textContent, "Horas de las comidas");
+        assert.equal(app.$('#settings-modal .modal-footer .btn-primary').textContent, "Hecho");
+
+        clickSegment(app, 'Monday-Lunch-After');
+        assert.equal(app.byId('summary-text').textContent, "1 hueco activo.");
+        assert.equal(app.$('path[data-id="Monday-Lunch-After"]').getAttribute('aria-label'), "Lunes, Comida, después de comer, programado");
+        assert.match(app.$('.pill-tag').textContent, /^ Lunes \(Después\) - Comida 13:00/);
+
+        choose('pref-week-start', '0');
+        choose('pref-hour-cycle', 'h12');
+        assert.equal(app.$('#schedule-table tbody th button').textContent, "Domingo");
+        assert.match(app.$('.pill-tag').textContent, /Comida 1:00\s?p/);
+
+        // Only the display changed: the device gets the same English segment IDs and 24-hour times
+        await sync(app);
+        await waitFor(() => app.lastAlert() === "¡Sincronización correcta!", { message: "sync" });
+        assert.equal(mock.schedule[0][3].active, true);
+        assert.deepEqual([mock.schedule[0][3].hour, mock.schedule[0][3].minute], [13, 0]);
+
+        // Stored logs stay English and are shown in Spanish
+        mock.dispense(0, 3, new Date(2025, 0, 6, 13, 2));
+        await waitFor(() => logCount(app) === 1, { message: "live entry listed" });
+        assert.match(app.$('#log-container .log-msg').textContent, /^DISPENSADO \(Día 0, Hueco 3\)/);
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('pillDispenser.preferences')), { language: 'es', weekStart: 0, hourCycle: 'h12' });
+
+        choose('pref-language', 'en');
+        assert.equal(app.byId('summary-text').textContent, "1 slot active.");
+        assert.equal(app.$('#settings-modal h3').textContent, "Meal Timings");
+    });
+
+    it('reviews a sync against the device, blocks invalid settings and flags what the device did not take', async () => {
+        const review = async () => {
+            app.byId('btn-save').click();
+            await waitFor(() => !/^Checking/.test(app.byId('sync-summary').textContent), { message: "sync review" });
+            return Array.from(app.document.querySelectorAll('#sync-changes li'), li => li.textContent);
+        };
+        clickSegment(app, 'Monday-Lunch-Before');
+        assert.deepEqual(await review(), ["Monday Lunch (Before): added at 13:00"]);
+        assert.equal(app.byId('sync-summary').textContent, "1 change on Patient 1:");
+        assert.match(app.byId('sync-version').textContent, /^Device config version 0, checksum [0-9a-f]{8}$/);
+        app.byId('btn-cancel-sync').click();
+        assert.equal(app.byId('sync-modal').style.display, 'none');
+        assert.equal(mock.schedule[0][2].active, false, "cancelling sends nothing");
+
+        app.byId('btn-settings').click();
+        app.byId('time-lunch').value = "12:30";
+        app.byId('rule-remind').value = "500";
+        app.byId('btn-save-settings').click();
+        await review();
+        assert.equal(app.byId('sync-summary').textContent, "Fix these settings before syncing:");
+        assert.deepEqual(Array.from(app.document.querySelectorAll('#sync-problems li'), li => li.textContent), ["settings.remindEveryMin: outside the allowed range"]);
+        assert.equal(app.byId('btn-confirm-sync').disabled, true);
+        app.byId('btn-cancel-sync').click();
+
+        app.byId('btn-settings').click();
+        app.byId('rule-remind').value = "10";
+        app.byId('btn-save-settings').click();
+        assert.deepEqual(await review(), ["Lunch time: 13:00 to 12:30", "Remind every: 0 to 10 min", "Monday Lunch (Before): added at 12:30"]);
+
+        // A dispenser that ends up running something else than it was sent
+        const accepted = mock.acceptedSlots;
+        mock.acceptedSlots = () => ({ ...accepted(), "Monday-Lunch-Before": "12:35" });
+        app.byId('btn-confirm-sync').click();
+        await waitFor(() => /^Synced, but/.test(app.lastAlert() || ""), { message: "mismatch alert" });
+        assert.equal(app.lastAlert(), "Synced, but Patient 1 is not running everything as sent:\nMonday Lunch (Before): device runs 12:35 instead of 12:30");
+        assert.equal(mock.schedule[0][2].active, true);
+        assert.equal(mock.doseRules.remindEveryMin, 10);
+    });
+
+    it('reports a rejected sync without queueing it', async () => {
+        clickSegment(app, 'Monday-Lunch-Before');
+        mock.fail('/save-config', 'bad-request', 1);
+        await sync(app);
+        await waitFor(() => /rejected/.test(app.lastAlert() || ""), { message: "rejection alert" });
+        assert.equal(app.byId('btn-save').querySelector('.btn-text').textContent, "Sync to Device");
+    });
+
+    it('queues a sync while unreachable and sends it on reconnect', async () => {
+        clickSegment(app, 'Tuesday-Breakfast-Before');
+        mock.fail('/save-config', 'reset', 1);
+        await sync(app);
+        await waitFor(() => /queued/.test(app.lastAlert() || ""), { message: "queued alert" });
+        assert.equal(app.byId('btn-save').querySelector('.btn-text').textContent, "Sync Queued");
+        assert.equal(mock.schedule[1][0].active, false);
+
+        app.window.startHeartbeat(); // Checks every device straight away
+        await waitFor(() => mock.schedule[1][0].active, { message: "queued config to arrive" });
+        await waitFor(() => app.byId('btn-save').querySelector('.btn-text').textContent === "Sync to Device", { message: "queue to clear" });
+    });
+
+    it('keeps a failed sync in IndexedDB and retries it with backoff', async () => {
+        clickSegment(app, 'Wednesday-Lunch-After');
+        mock.fail('/save-config', 'reset', 3);
+        await sync(app);
+        await waitFor(() => /queued/.test(app.lastAlert() || ""), { message: "queued alert" });
+        let [op] = await app.window.loadStoredOps();
+        assert.equal(op.kind, 'config');
+        assert.deepEqual(op.payload.schedule, ["Wednesday-Lunch-After"]);
+        assert.equal(op.attempts, 0);
+
+        // The device answers /status again but /save-config still fails: each attempt waits longer
+        app.window.startHeartbeat();
+        await waitFor(async () => (([op] = await app.window.loadStoredOps()), op.attempts === 1), { message: "first retry" });
+        assert.ok(Math.abs(op.nextAttemptAt - Date.now() - 5000) < 1000);
+        assert.match(op.lastError, /fetch failed/);
+        const sent = () => mock.requests.filter(r => r.path === '/save-config').length;
+        const before = sent();
+        await app.window.flushOps();
+        assert.equal(sent(), before, "not retried before its backoff is over");
+        await app.window.flushOps(undefined, { force: true });
+        [op] = await app.window.loadStoredOps();
+        assert.equal(op.attempts, 2);
+        assert.ok(Math.abs(op.nextAttemptAt - Date.now() - 10000) < 1000);
+        assert.equal(app.byId('btn-save').querySelector('.btn-text').textContent, "Sync Queued");
+
+        await app.window.flushOps(undefined, { force: true });
+        assert.deepEqual(await app.window.loadStoredOps(), []);
+        assert.equal(mock.schedule[2][3].active, true);
+        assert.equal(mock.revision, 1);
+        assert.equal(app.byId('btn-save').querySelector('.btn-text').textContent, "Sync to Device");
+    });
+
+    it('shows a conflict when another phone saved a newer revision', async () => {
+        clickSegment(app, 'Thursday-Dinner-Before');
+        mock.fail('/save-config', 'reset', 1);
+        await sync(app);
+        await waitFor(() => /queued/.test(app.lastAlert() || ""), { message: "queued alert" });
+
+        // Meanwhile another phone saves revision 1; these edits were made on top of revision 0
+        const base = `http://${mock.requests[0].headers.host}`;
+        const { token } = await (await fetch(`${base}/login`, { method: 'POST', body: JSON.stringify({ pin: "1234" }) })).json();
+        await fetch(`${base}/save-config`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ settings: { breakfast: "07:30", lunch: "13:00", dinner: "20:00" }, schedule: ["Friday-Lunch-Before"], revision: 1 })
+        });
+
+        // The retry meets the conflict and stays queued for the caregiver instead of overwriting
+        await app.window.flushOps(undefined, { force: true });
+        const [op] = await app.window.loadStoredOps();
+        assert.equal(op.conflictRevision, 1);
+        assert.match(app.byId('connection-msg').textContent, /queued changes conflict with a newer schedule \(revision 1\)/);
+        assert.equal(app.byId('btn-save').querySelector('.btn-text').textContent, "Sync Conflict");
+        assert.equal(mock.schedule[3][4].active, false);
+
+        app.byId('btn-save').click();
+        await waitFor(() => !app.byId('btn-confirm-sync').disabled, { message: "sync review" });
+        assert.equal(app.byId('sync-conflict').textContent, "Patient 1 was changed from another phone (revision 1) after these edits began (revision 0). Sending replaces those changes.");
+        assert.ok(Array.from(app.document.querySelectorAll('#sync-changes li'), li => li.textContent).includes("Friday Lunch (Before): removed"));
+        app.byId('btn-confirm-sync').click();
+        await waitFor(() => app.lastAlert() === "Sync Successful!", { message: "sync" });
+        assert.equal(mock.revision, 2);
+        assert.equal(mock.schedule[3][4].active, true);
+        assert.deepEqual(await app.window.loadStoredOps(), []);
+        assert.equal(app.byId('btn-save').querySelector('.btn-text').textContent, "Sync to Device");
+    });
+
+    it('dispenses a compartment on demand and logs the reason', async () => {
+        app.window.confirm = () => true;
+        const dispenseNow = async (reason) => {
+            const before = app.alerts.length;
+            app.byId('btn-controls').click();
+            app.byId('control-day').value = "2";
+            app.byId('control-slot').value = "3";
+            app.byId('control-reason').value = reason;
+            app.byId('btn-control-dispense').click();
+            await waitFor(() => app.alerts.length > before, { message: "control result" });
+            return app.lastAlert();
+        };
+
+        assert.match(await dispenseNow("IR sensor not responding"), /Dose dispensed/);
+        assert.match(mock.log, /,2,3,MANUAL_DISPENSE,,IR sensor not responding\r\n$/);
+
+        // Already dispensed today: the app asks again and forces it
+        assert.match(await dispenseNow("Dropped the first one"), /Dose dispensed/);
+        const sent = mock.requests.filter(r => r.path === '/dispense-now').map(r => JSON.parse(r.body));
+        assert.deepEqual(sent.map(body => !!body.force), [false, false, true]);
+
+        await syncLogs(); // Both land in the same second here, so they are stored as one entry
+        assert.match(app.$('#log-container .log-msg').textContent, /MANUAL_DISPENSE \(Day 2, Slot 3\) - Reason: /);
+    });
+
+    it('only silences an alarm that is sounding', async () => {
+        app.window.confirm = () => true;
+        app.byId('btn-controls').click();
+        app.byId('control-reason').value = "Patient asleep";
+        app.byId('btn-control-silence').click();
+        await waitFor(() => /No alarm is sounding/.test(app.lastAlert() || ""), { message: "refusal" });
+
+        mock.alarm(0, 4);
+        app.byId('control-reason').value = "Patient asleep";
+        app.byId('btn-control-silence').click();
+        await waitFor(() => /Alarm silenced/.test(app.lastAlert() || ""), { message: "silence" });
+        assert.equal(mock.alert.silenced, true);
+        assert.match(mock.log, /,0,4,SILENCED,,Patient asleep\r\n$/);
+    });
+
+    it('labels scheduled doses with the weekday they were taken on', async () => {
+        clickSegment(app, 'Sunday-Breakfast-Before');
+        await sync(app);
+        await waitFor(() => app.lastAlert() === "Sync Successful!", { message: "sync" });
+
+        mock.runSchedule(new Date(2025, 0, 12, 8, 4)); // A Sunday
+        await syncLogs();
+        const [log] = await app.window.getAllLogs();
+        assert.equal(app.window.slotLabel(app.window.slotIdFor(log.day, log.slot)), "Sunday Breakfast (Before)");
+        assert.equal(app.window.doseOutcome(log), 'taken');
+    });
+
+    it('takes the outcome a dispenser that logs LATE wrote, whatever the dose window is now', async () => {
+        mock.dispense(0, 2, new Date(2025, 0, 6, 13, 40)); // On time under the window the dispenser had then
+        await syncLogs();
+        const [log] = await app.window.getAllLogs();
+        assert.equal(JSON.parse(app.window.localStorage.getItem('pillDispenser.devices'))[0].logsLate, true);
+        assert.equal(app.window.doseOutcome(log), 'taken', "40 minutes is past today's 30-minute window");
+
+        // Firmware before LATE, and v1 records, only have the timing to go on
+        assert.equal(app.window.doseOutcome({ ...log, deviceId: 'unknown' }), 'late');
+    });
+
+    it('counts scheduled doses with nothing logged as no data', async () => {
+        ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].forEach(day => clickSegment(app, `${day}-Lunch-Before`));
+        mock.dispense(0, 2, new Date(2025, 0, 6, 13, 2)); // Monday
+        mock.dispense(1, 2, new Date(2025, 0, 7, 13, 50), "LATE");
+        mock.miss(2, 2, new Date(2025, 0, 8, 13, 30));
+        await waitFor(() => logCount(app) === 3, { message: "live entries" });
+
+        const records = app.window.buildDoseRecords(await app.window.getAllLogs(), new Date(2025, 0, 5), new Date(2025, 0, 10));
+        assert.deepEqual(Array.from(records, r => r.outcome), ['taken', 'late', 'missed', 'nodata']);
+        assert.deepEqual(Array.from(records, r => r.delay), [2, 50, null, null]);
+        assert.deepEqual({ ...app.window.onTimeStreaks(records) }, { best: 1, current: 0 });
+
+        app.$('.tab-btn[data-tab="analytics"]').click();
+        app.$('.range-btn[data-range="month"]').click();
+        const now = new Date();
+        for (let m = (now.getFullYear() - 2025) * 12 + now.getMonth(); m > 0; m--) app.byId('chart-prev').click();
+        assert.equal(app.byId('chart-date-range').textContent, "January 2025");
+        assert.equal(app.byId('adherence-heatmap').style.display, 'grid');
+        assert.equal(app.$('#adherence-heatmap .heatmap-cell.level-4').title, "Mon, Jan 6: 1 taken");
+        assert.equal(app.byId('stat-nodata').textContent, "23"); // Jan 9-31
+        assert.equal(app.byId('stat-delay').textContent, "+26 min");
+        const lunch = Array.from(app.$('#adherence-breakdown').rows).find(row => row.cells[0].textContent === "Lunch");
+        assert.deepEqual(Array.from(lunch.cells).slice(1, 5).map(c => c.textContent), ["1", "1", "1", "23"]);
+    });
+
+    it('syncs a course as dated compartments the device skips on other dates', async () => {
+        app.byId('btn-meds').click();
+        app.byId('med-name').value = "Amoxicillin";
+        app.byId('med-strength').value = "500mg";
+        app.byId('btn-save-med').click();
+
+        const today = new Date();
+        const day = (today.getDay() + 6) % 7;
+        const id = `${["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"][day]}-Dinner-After`;
+        app.byId('btn-courses').click();
+        app.$('#course-slots input[value="Dinner-After"]').checked = true;
+        app.byId('course-start').value = app.window.localDateKey(today);
+        app.byId('course-days').value = "1";
+        app.byId('btn-save-course').click();
+        assert.match(app.$('#course-list small').textContent, /^Amoxicillin 500mg · Dinner \(After\) · daily/);
+        assert.ok(app.$(`path[data-id="${id}"]`).classList.contains('course-slot'));
+
+        await sync(app);
+        await waitFor(() => app.lastAlert() === "Sync Successful!", { message: "sync" });
+        assert.equal(mock.schedule[day][5].active, true);
+        assert.equal(mock.schedule[day][5].date, app.window.localDateKey(today));
+        const nextWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 7, 20, 5);
+        assert.deepEqual(mock.runSchedule(nextWeek), []);
+        assert.equal(mock.runSchedule(new Date(today.getFullYear(), today.getMonth(), today.getDate(), 20, 5)).length, 1);
+
+        // Read back, the course dose stays a course: the weekly selection is untouched and next week is clear
+        await app.window.loadDeviceConfig();
+        assert.equal(app.$('.pill-tag').textContent.includes("Amoxicillin"), true);
+        app.byId('week-next').click();
+        assert.match(app.byId('week-label').textContent, /^Next week/);
+        assert.equal(app.$('.pill-tag'), null);
+    });
+
+    it('walks the refill in rim order and tracks what is loaded', async () => {
+        clickSegment(app, 'Tuesday-Dinner-After');
+        clickSegment(app, 'Monday-Lunch-Before');
+        await sync(app);
+        await waitFor(() => app.lastAlert() === "Sync Successful!", { message: "sync" });
+        await app.window.loadDeviceConfig();
+        assert.match(app.byId('inventory-warning').textContent, /^2 scheduled compartments have no pills loaded: Monday Lunch \(Before\), Tuesday Dinner \(After\)/);
+
+        app.byId('btn-refill').click();
+        assert.equal(app.byId('refill-target').textContent, "Monday Lunch (Before)");
+        assert.match(app.byId('refill-where').textContent, /^Rim number 2, inner ring/);
+        app.byId('btn-refill-loaded').click();
+        await waitFor(() => app.byId('refill-target').textContent === "Tuesday Dinner (After)", { message: "next compartment" });
+        app.byId('btn-refill-skip').click();
+        assert.equal(app.lastAlert(), "Refill complete: 1 loaded, 1 skipped.");
+        assert.equal(mock.schedule[0][2].stock, "loaded");
+        assert.equal(mock.schedule[1][5].stock, "empty");
+        assert.match(app.byId('inventory-warning').textContent, /^Tuesday Dinner \(After\) is scheduled/);
+
+        // A dispense empties the compartment; the overlay picks that up with the next log sync
+        mock.runSchedule(new Date(2025, 0, 6, 13, 2));
+        await syncLogs();
+        await waitFor(() => app.window.stockOf('Monday-Lunch-Before') === 'dispensed', { message: "inventory read-back" });
+        app.byId('btn-inventory').click();
+        assert.equal(app.$('path[data-id="Monday-Lunch-Before"]').style.fill, 'rgb(148, 163, 184)');
+        assert.ok(app.$('path[data-id="Tuesday-Dinner-After"]').classList.contains('needs-refill'));
+    });
+
+    it('flags a drifting device clock and sets it from the phone', async () => {
+        mock.clockSkewSec = -600;
+        app.window.startHeartbeat();
+        await waitFor(() => /device clock is 10 min slow/.test(app.byId('connection-msg').textContent), { message: "drift warning" });
+        assert.equal(app.byId('wifi-status-dot').className, 'status-dot warning');
+
+        app.window.confirm = () => true;
+        app.byId('btn-controls').click();
+        assert.match(app.byId('clock-msg').textContent, /10 min slow/);
+        app.byId('btn-set-clock').click();
+        await waitFor(() => /Clock set/.test(app.lastAlert() || ""), { message: "clock set" });
+        assert.ok(Math.abs(mock.clockSkewSec) <= 1);
+        await waitFor(() => /in sync/.test(app.byId('clock-msg').textContent), { message: "clock read back" });
+        assert.equal(app.byId('wifi-status-dot').className, 'status-dot connected');
+    });
+
+    it('stops signing in with a PIN the device has refused and asks for it instead', async () => {
+        // Another phone changes the PIN, which signs this one out
+        const { token } = await (await fetch(`http://${mock.requests[0].headers.host}/login`, { method: 'POST', body: JSON.stringify({ pin: "1234" }) })).json();
+        await fetch(`http://${mock.requests[0].headers.host}/change-pin`, {
+            method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: JSON.stringify({ current: "1234", pin: "5678" })
+        });
+        const logins = () => mock.requests.filter(r => r.path === '/login').length;
+        const before = logins();
+
+        await app.window.checkConnection();
+        assert.equal(logins(), before + 1);
+        assert.equal(app.byId('wifi-modal').style.display, 'flex');
+        assert.equal(app.byId('device-key').value, "dev-test-0");
+        for (let i = 0; i < 3; i++) await app.window.checkConnection();
+        assert.equal(logins(), before + 1, "no more wrong PINs after the first");
+        assert.equal(app.byId('connection-msg').textContent, "Status: Device PIN required");
+
+        // The refusal is remembered, so the saved PIN isn't tried again after a restart either
+        const saved = () => JSON.parse(app.window.localStorage.getItem('pillDispenser.devices'))[0];
+        assert.equal(saved().pinRejected, true);
+        await app.window.loadDeviceCredentials();
+        await app.window.checkConnection();
+        assert.equal(logins(), before + 1);
+
+        await connect(app, "5678");
+        assert.equal(logins(), before + 2);
+        assert.equal(saved().pinRejected, false);
+    });
+
+    it('keeps its PIN through a lockout caused by another phone and signs in again once it is over', async () => {
+        const host = `http://${mock.requests[0].headers.host}`;
+        const login = (pin) => fetch(`${host}/login`, { method: 'POST', body: JSON.stringify({ pin }) });
+        for (let i = 0; i < 4; i++) await login("1234"); // Fills the session table, dropping this phone's session
+        for (let i = 0; i < 5; i++) await login("0000");
+        const logins = () => mock.requests.filter(r => r.path === '/login').length;
+        const before = logins();
+        app.byId('close-wifi').click();
+
+        await app.window.checkConnection();
+        assert.equal(logins(), before + 1);
+        assert.match(app.byId('connection-msg').textContent, /^Status: Too many wrong PINs\. Try again in \d+s\.$/);
+        assert.notEqual(app.byId('wifi-modal').style.display, 'flex', "not asked for the PIN");
+        await app.window.checkConnection();
+        assert.equal(logins(), before + 1, "waits out the lockout");
+
+        const saved = JSON.parse(app.window.localStorage.getItem('pillDispenser.devices'))[0];
+        assert.equal(saved.pinRejected, false);
+        const now = app.window.Date.now;
+        app.window.Date.now = () => now() + 60000;
+        try {
+            await app.window.checkConnection();
+        } finally {
+            app.window.Date.now = now;
+        }
+        assert.equal(logins(), before + 2, "the saved PIN is tried again");
+        assert.equal(JSON.parse(mock.requests.filter(r => r.path === '/login').pop().body).pin, "1234");
+    });
+
+    it('reports a control action the device refused as a refusal, not a sign-in problem', async () => {
+        app.window.confirm = () => true;
+        app.byId('btn-controls').click();
+        app.byId('control-reason').value = "Wheel stuck";
+        mock.fail('/home', 'bad-request', 1);
+        app.byId('btn-control-home').click();
+        await waitFor(() => /^Action failed/.test(app.lastAlert() || ""), { message: "refusal" });
+        assert.equal(app.lastAlert(), "Action failed. Device rejected the request");
+        assert.equal(app.byId('connection-msg').textContent, `Status: Connected to ${mock.requests[0].headers.host}`);
+
+        app.byId('btn-control-home').click();
+        await waitFor(() => app.lastAlert() === "Patient 1: Carousel homed.", { message: "home" });
+        assert.equal(mock.carouselIndex, 21);
+    });
+
+    it('shows the dispenser as disconnected when it stops answering', async () => {
+        mock.fail('/status', 'timeout');
+        app.window.startHeartbeat();
+        await waitFor(() => /Disconnected/.test(app.byId('connection-msg').textContent), { timeout: 4000, message: "status timeout" });
+    });
+
+    it('pages through the whole log newest first, with filters and search', async () => {
+        const rows = () => [...app.document.querySelectorAll('#log-container .log-entry')];
+        const setFilter = (id, value, event = 'change') => {
+            app.byId(id).value = value;
+            app.byId(id).dispatchEvent(new app.window.Event(event));
+        };
+        // 60 days of lunch doses, every fifth one missed; every other day was logged before the
+        // device had an ID, so two cursors are merged
+        const entries = [];
+        for (let i = 0; i < 60; i++) {
+            const at = new Date(2025, 0, 1 + i, 13, 5);
+            const line = `${app.window.localDateKey(at)} 13:05:00,${(at.getDay() + 6) % 7},2,${i % 5 === 4 ? "MISSED" : "DISPENSED"}${i === 30 ? ",Metformin 500mg" : ""}`;
+            entries.push(app.window.parseLogLine(line, i % 2 ? "AA:BB:CC:00:00:01" : "unknown"));
+        }
+        entries.push(app.window.parseLogLine('2025-03-15 09:00:00,-1,-1,HOMED,,<img src=x onerror="window.hacked=1">', "AA:BB:CC:00:00:01"));
+        await app.window.saveNewLogs(entries);
+        await app.window.renderLogList();
+
+        assert.equal(rows().length, 50);
+        assert.equal(app.byId('log-stats').textContent, "61 entries");
+        assert.equal(app.byId('log-page-msg').textContent, "50 entries shown");
+        assert.equal(rows()[0].querySelector('.log-msg').textContent, 'HOMED - Reason: <img src=x onerror="window.hacked=1">');
+        assert.equal(app.$('#log-container img'), null, "free text is never parsed as HTML");
+        assert.equal(rows()[1].querySelector('.log-time').textContent, app.window.formatDateTime(new Date(2025, 2, 1, 13, 5)));
+        assert.equal(rows()[2].querySelector('.log-time').textContent, app.window.formatDateTime(new Date(2025, 1, 28, 13, 5)));
+        assert.ok(rows()[1].classList.contains('log-missed'));
+
+        app.byId('btn-more-logs').click();
+        await waitFor(() => rows().length === 61, { message: "second page" });
+        assert.equal(rows()[60].querySelector('.log-time').textContent, app.window.formatDateTime(new Date(2025, 0, 1, 13, 5)));
+        assert.equal(app.byId('log-page-msg').textContent, "End of the log (61 shown).");
+        assert.equal(app.byId('btn-more-logs').style.display, 'none');
+
+        setFilter('log-type', 'missed');
+        await waitFor(() => rows().length === 12, { message: "missed only" });
+        assert.ok(rows().every(row => /^MISSED/.test(row.textContent.slice(row.querySelector('.log-time').textContent.length))));
+
+        setFilter('log-type', '');
+        setFilter('log-day', '0'); // Mondays from 6 January to 24 February
+        await waitFor(() => rows().length === 8, { message: "Mondays only" });
+
+        setFilter('log-day', '');
+        setFilter('log-search', 'metformin', 'input');
+        await waitFor(() => rows().length === 1, { message: "search" });
+        assert.match(rows()[0].textContent, /Metformin 500mg/);
+
+        app.byId('btn-clear-log-filters').click();
+        setFilter('log-from', '2025-02-01');
+        setFilter('log-to', '2025-02-10');
+        await waitFor(() => rows().length === 10 && app.byId('log-page-msg').textContent === "End of the log (10 shown).", { message: "date range" });
+
+        setFilter('log-from', '2025-02-11');
+        await waitFor(() => app.byId('log-page-msg').textContent === "No entries match.", { message: "empty range" });
+        assert.equal(rows().length, 0);
+    });
+
+    it('sends caregiver alerts by webhook and MQTT, holds them back until quiet hours end and logs each one', async () => {
+        const receiver = createAlertReceiver({ username: "caregiver", password: "s3cret" });
+        const host = await receiver.listen();
+        const logMessages = () => [...app.document.querySelectorAll('#log-container .log-msg')].map(el => el.textContent);
+        try {
+            app.byId('btn-settings').click();
+            app.byId('btn-open-alerts').click();
+            assert.equal(app.byId('alert-template-missed').placeholder, "Missed dose for {patient}: {slot} at {time}.");
+            app.byId('btn-test-alert').click();
+            await waitFor(() => app.byId('alert-msg').textContent === "Turn on a webhook or MQTT first.", { message: "no channel" });
+
+            app.byId('alert-webhook-on').checked = true;
+            app.byId('alert-webhook-url').value = `http://${host}/hook`;
+            app.byId('alert-mqtt-on').checked = true;
+            app.byId('alert-mqtt-url').value = `ws://${host}`;
+            app.byId('alert-mqtt-user').value = "caregiver";
+            app.byId('alert-mqtt-pass').value = "s3cret";
+            app.byId('alert-offline-min').value = "0";
+            app.byId('btn-test-alert').click();
+            await waitFor(() => /^Test alert/.test(app.byId('alert-msg').textContent), { message: "test alert" });
+            assert.equal(app.byId('alert-msg').textContent, "Test alert sent via Webhook, MQTT.");
+            assert.equal(receiver.webhooks[0].event, "test");
+            assert.equal(receiver.webhooks[0].message, "Test alert for Patient 1 from the pill dispenser app.");
+            assert.equal(receiver.webhooks[0].device_id, "AA:BB:CC:00:00:01");
+            assert.deepEqual(receiver.published.map(m => [m.topic, m.username, m.password]), [["pill-dispenser/test", "caregiver", "s3cret"]]);
+            assert.deepEqual(JSON.parse(receiver.published[0].message), receiver.webhooks[0]);
+            const saved = app.window.localStorage.getItem('pillDispenser.alerts');
+            assert.ok(!saved.includes("s3cret"), "the broker password is stored encrypted");
+            await waitFor(() => logMessages()[0] === "Alert (sent via Webhook, MQTT): Test alert for Patient 1 from the pill dispenser app.", { message: "test alert logged" });
+
+            // A missed dose pushed by the device goes out with a custom message
+            app.byId('alert-template-missed').value = "{patient} missed {slot}";
+            app.byId('btn-save-alerts').click();
+            await waitFor(() => app.byId('alerts-modal').style.display === 'none', { message: "alert settings saved" });
+            mock.miss(0, 2);
+            await waitFor(() => receiver.webhooks.length === 2 && receiver.published.length === 2, { message: "missed dose alert" });
+            assert.equal(receiver.webhooks[1].event, "missed");
+            assert.equal(receiver.webhooks[1].message, "Patient 1 missed Monday Lunch (Before)");
+            assert.equal(receiver.published[1].topic, "pill-dispenser/missed");
+
+            // Quiet hours around now: going offline is logged but not sent
+            const clock = (offsetMin) => new Date(Date.now() + offsetMin * 60000).toTimeString().slice(0, 5);
+            app.byId('btn-settings').click();
+            app.byId('btn-open-alerts').click();
+            app.byId('alert-quiet-on').checked = true;
+            app.byId('alert-quiet-start').value = clock(-60);
+            app.byId('alert-quiet-end').value = clock(60);
+            app.byId('btn-save-alerts').click();
+            await waitFor(() => app.byId('alerts-modal').style.display === 'none', { message: "quiet hours saved" });
+            mock.fail('/status', 'timeout');
+            app.window.startHeartbeat();
+            await waitFor(() => /^Alert held back \(quiet hours\): Patient 1's dispenser hasn't answered since \d\d:\d\d\.$/.test(logMessages()[0]), { timeout: 6000, message: "offline alert logged" });
+            assert.equal(receiver.webhooks.length, 2);
+            assert.equal(receiver.published.length, 2);
+            assert.ok(logMessages().includes("Alert (sent via Webhook, MQTT): Patient 1 missed Monday Lunch (Before)"));
+
+            // Once quiet hours are over, the held-back alert goes out and its log entry says so
+            app.byId('btn-settings').click();
+            app.byId('btn-open-alerts').click();
+            app.byId('alert-quiet-on').checked = false;
+            app.byId('btn-save-alerts').click();
+            await waitFor(() => receiver.webhooks.length === 3 && receiver.published.length === 3, { timeout: 8000, message: "held alert sent" });
+            assert.equal(receiver.webhooks[2].event, "offline");
+            assert.equal(receiver.published[2].topic, "pill-dispenser/offline");
+            await waitFor(() => /^Alert \(held until quiet hours ended, sent via Webhook, MQTT\): Patient 1's dispenser hasn't answered since \d\d:\d\d\.$/.test(logMessages()[0]), { message: "held alert logged as sent" });
+            assert.ok(!logMessages().some(msg => /^Alert held back/.test(msg)));
+        } finally {
+            await receiver.close();
+        }
+    });
+});
+
+describe('app against a dispenser without live events', () => {
+    let mock, app;
+
+    beforeEach(async () => ({ mock, app } = await startApp({ events: false })));
+    afterEach(() => stopApp({ mock, app }));
+
+    const syncLogs = async () => {
+        const before = app.alerts.length;
+        app.byId('btn-refresh-logs').click();
+        await waitFor(() => app.alerts.length > before && /^Synced/.test(app.lastAlert()), { message: "log sync" });
+        return app.lastAlert();
+    };
+
+    it('downloads only new log lines on each sync', async () => {
+        mock.dispense(0, 0, new Date(2025, 0, 6, 8, 2));
+        assert.equal(await syncLogs(), "Synced 1 new entries.");
+        const cursor = Buffer.byteLength(mock.log);
+
+        mock.miss(0, 2, new Date(2025, 0, 6, 13, 30));
+        assert.equal(await syncLogs(), "Synced 1 new entries.");
+        assert.equal(mock.requests.filter(r => r.path === '/get-logs').pop().query, `?offset=${cursor}`);
+        await waitFor(() => logCount(app) === 2, { message: "both entries listed" });
+    });
+
+    it('skips malformed CSV lines', async () => {
+        mock.dispense(1, 1, new Date(2025, 0, 7, 8, 5));
+        mock.fail('/get-logs', 'malformed', 1);
+        assert.equal(await syncLogs(), "Synced 1 new entries.");
+        await waitFor(() => logCount(app) === 1, { message: "the valid entry listed" });
+        assert.deepEqual(app.errors, []);
+    });
+
+    it('waits out a slow log stream', async () => {
+        for (let day = 0; day < 7; day++) mock.dispense(day, 1, new Date(2025, 0, 6 + day, 8, 3));
+        mock.fail('/get-logs', 'slow', 1);
+        assert.equal(await syncLogs(), "Synced 7 new entries.");
+    });
+
+    it('confirms synced lines so the device can trim its log, and shows diagnostics', async () => {
+        mock.logMaxBytes = 100;
+        mock.logKeepBytes = 35;
+        for (let day = 0; day < 5; day++) mock.dispense(day, 0, new Date(2025, 0, 6 + day, 8, 1));
+        assert.equal(await syncLogs(), "Synced 5 new entries.");
+        const phone = app.window.localStorage.getItem('pillDispenser.phoneId');
+        assert.match(phone, /^[0-9a-f]{16}$/);
+        assert.deepEqual(Object.keys(mock.logReaders), [phone]);
+        assert.equal(mock.logReaders[phone].acked, 175);
+        assert.equal(mock.logBase, 140, "all but the newest line trimmed");
+
+        mock.dispense(5, 0, new Date(2025, 0, 11, 8, 1));
+        assert.equal(await syncLogs(), "Synced 1 new entries.");
+        assert.equal(mock.requests.filter(r => r.path === '/get-logs').pop().query, "?offset=175");
+        await waitFor(() => logCount(app) === 6, { message: "every entry kept in the app" });
+
+        app.byId('btn-controls').click();
+        await waitFor(() => app.byId('diagnostics-list').children.length > 0, { message: "diagnostics" });
+        const rows = {};
+        app.document.querySelectorAll('#diagnostics-list dt').forEach(term => { rows[term.textContent] = term.nextElementSibling.textContent; });
+        assert.equal(rows["Firmware"], "4.1.0");
+        assert.equal(rows["Activity log"], "70 B, trimmed above 100 B");
+        assert.equal(rows["Wi-Fi"], "Own network, 1 phone connected, signal -52 dBm");
+        assert.equal(rows["Carousel position"], "0");
+        assert.equal(app.byId('diagnostics-msg').textContent, "");
+    });
+
+    it('keeps syncing with firmware that has no diagnostics', async () => {
+        const old = await startApp({ events: false, diagnostics: false });
+        try {
+            old.mock.dispense(0, 0, new Date(2025, 0, 6, 8, 1));
+            old.app.byId('btn-refresh-logs').click();
+            await waitFor(() => old.app.lastAlert() === "Synced 1 new entries.", { message: "log sync" });
+            old.app.byId('btn-controls').click();
+            await waitFor(() => old.app.byId('diagnostics-msg').textContent === "This firmware doesn't report diagnostics.", { message: "no diagnostics" });
+            assert.equal(old.app.byId('diagnostics-list').style.display, 'none');
+        } finally {
+            await stopApp(old);
+        }
+    });
+
+    it('polls the log in the background instead', async () => {
+        assert.equal(app.streams.length, 0);
+        mock.dispense(2, 4, new Date(2025, 0, 8, 20, 1));
+        const alerts = app.alerts.length;
+        const now = app.window.Date.now;
+        app.window.Date.now = () => now() + 60000; // As if the poll interval had passed
+        await app.window.checkConnection();
+        app.window.Date.now = now;
+        await waitFor(() => logCount(app) === 1, { message: "polled entry listed" });
+        assert.equal(app.alerts.length, alerts, "a background poll doesn't alert");
+    });
+});
+
+describe('app storage', () => {
+    let app;
+
+    afterEach(() => app.close());
+
+    // A database as the first release wrote it: keyed by the whole-second timestamp, no device or slot fields
+    const openV1 = (w, records) => new Promise((resolve, reject) => {
+        const request = w.indexedDB.open('PillDispenserDB', 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('logs', { keyPath: 'timestamp' });
+            store.createIndex('type', 'type', { unique: false });
+            records.forEach(record => store.put(record));
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    it('opens a v1 log database as v4 and re-keys its entries', async () => {
+        app = loadApp({ devices: [{ ip: "127.0.0.1:9" }] });
+        const lunch = new Date(2025, 0, 6, 13, 2).getTime() / 1000;
+        await openV1(app.window, [
+            { timestamp: lunch, msg: "DISPENSED (Day 0, Slot 2)", type: "dispense" },
+            { timestamp: lunch + 86400, msg: "MISSED (Day 1, Slot 2)", type: "info" } // v1 typed every device line but a dispense "info"
+        ]);
+        await unlock(app);
+        assert.equal(logCount(app), 2, "the legacy dispenser owns the migrated entries");
+
+        const logs = (await app.window.getAllLogs()).sort((a, b) => a.timestamp - b.timestamp);
+        assert.deepEqual(logs.map(({ deviceId, day, slot, event, type }) => ({ deviceId, day, slot, event, type })), [
+            { deviceId: 'unknown', day: 0, slot: 2, event: 'DISPENSED', type: 'dispense' },
+            { deviceId: 'unknown', day: 1, slot: 2, event: 'MISSED', type: 'missed' }
+        ]);
+        const from = new Date(2025, 0, 6), to = new Date(2025, 0, 8);
+        assert.deepEqual([...app.window.buildDoseRecords(logs, from, to)].filter(r => r.slot === 2).map(r => `${r.dateKey} ${r.outcome}`), [
+            "2025-01-06 taken",
+            "2025-01-07 missed"
+        ]);
+
+        const opened = await new Promise(resolve => {
+            const request = app.window.indexedDB.open('PillDispenserDB');
+            request.onsuccess = () => resolve(request.result);
+        });
+        assert.equal(opened.version, 4);
+        assert.deepEqual([...opened.objectStoreNames].sort(), ['logs', 'ops']);
+        const store = opened.transaction('logs').objectStore('logs');
+        assert.deepEqual([...store.keyPath], ['deviceId', 'timestamp', 'day', 'slot', 'event']);
+        assert.ok(store.indexNames.contains('deviceId_type_timestamp'));
+        opened.close();
+    });
+});
+
+describe('exports and backups', () => {
+    let mock, app;
+
+    beforeEach(async () => ({ mock, app } = await startApp({ events: false })));
+    afterEach(() => stopApp({ mock, app }));
+
+    // A lunch on time, a missed one, a late one and a dinner outside the export range, synced into the app
+    const syncHistory = async () => {
+        mock.schedule[0][2].meds = "Metformin 500mg x2";
+        mock.dispense(0, 2, new Date(2025, 0, 6, 13, 1));
+        mock.miss(1, 2, new Date(2025, 0, 7, 13, 30));
+        mock.dispense(2, 2, new Date(2025, 0, 8, 13, 40), "LATE");
+        mock.dispense(4, 4, new Date(2025, 0, 10, 20, 2));
+        app.byId('btn-refresh-logs').click();
+        await waitFor(() => app.lastAlert() === "Synced 4 new entries.", { message: "log sync" });
+    };
+
+    const exportRange = (from, to) => {
+        app.byId('export-from').value = from;
+        app.byId('export-to').value = to;
+    };
+
+    it('exports the entries in the chosen range as CSV, JSON and a printable report', async () => {
+        await syncHistory();
+        exportRange("2025-01-06", "2025-01-08");
+
+        app.byId('btn-export-csv').click();
+        await waitFor(() => app.downloads.length === 1, { message: "CSV download" });
+        assert.equal(app.downloads[0].name, "pill-history-patient-1-2025-01-06-to-2025-01-08.csv");
+        const csv = (await app.downloads[0].blob.text()).split('\r\n');
+        assert.equal(csv[0], "date,time,slot,event,outcome,medications,reason,device_id,timestamp,raw");
+        assert.deepEqual(csv.slice(1).map(row => row.split(',').slice(0, 6)), [
+            ["2025-01-06", "13:01:00", "Monday Lunch (Before)", "DISPENSED", "taken", "Metformin 500mg x2"],
+            ["2025-01-07", "13:30:00", "Tuesday Lunch (Before)", "MISSED", "missed", ""],
+            ["2025-01-08", "13:40:00", "Wednesday Lunch (Before)", "LATE", "late", ""]
+        ]);
+        assert.equal(app.byId('export-msg').textContent, "Exported 3 entries.");
+
+        app.byId('btn-export-json').click();
+        await waitFor(() => app.downloads.length === 2, { message: "JSON download" });
+        const json = JSON.parse(await app.downloads[1].blob.text());
+        assert.equal(json.patient, "Patient 1");
+        assert.equal(json.deviceId, "AA:BB:CC:00:00:01");
+        assert.deepEqual(json.logs.map(log => [log.day, log.slot, log.event]), [[0, 2, "DISPENSED"], [1, 2, "MISSED"], [2, 2, "LATE"]]);
+
+        // The report is written into a new window and printed
+        const report = app.document.implementation.createHTMLDocument("");
+        let printed = false;
+        app.window.open = () => ({ document: report, print: () => { printed = true; } });
+        app.byId('btn-export-report').click();
+        await waitFor(() => printed, { message: "report printed" });
+        const tables = [...report.querySelectorAll('table')].map(table => [...table.querySelectorAll('tr')].map(tr => [...tr.children].map(cell => cell.textContent)));
+        assert.deepEqual(tables[0][1], ["1", "1", "1", "67%"], "summary: on time, late, missed, adherence");
+        assert.equal(tables[1].length, 4, "a row for each day in the range");
+        assert.deepEqual(tables[3].slice(1).map(row => row[1]), ["Tuesday Lunch (Before)"], "missed doses");
+    });
+
+    // Picks a file in the Restore dialog
+    const restore = (target, text) => {
+        const input = target.byId('backup-file');
+        Object.defineProperty(input, 'files', { value: [new target.window.File([text], "backup.json")], configurable: true });
+        input.dispatchEvent(new target.window.Event('change'));
+    };
+
+    const downloadBackup = async () => {
+        app.byId('btn-backup').click();
+        await waitFor(() => app.downloads.length === 1, { message: "backup download" });
+        return app.downloads[0].blob.text();
+    };
+
+    it('restores a backup on a new phone and skips entries it already has', async () => {
+        await syncHistory();
+        app.byId('med-name').value = "Metformin";
+        app.byId('med-color').value = "#16a34a";
+        app.byId('btn-save-med').click();
+        const backup = await downloadBackup();
+        assert.equal(JSON.parse(backup).format, "pill-dispenser-backup");
+
+        const phone = loadApp();
+        try {
+            await unlock(phone);
+            restore(phone, backup);
+            await waitFor(() => /^Restored/.test(phone.lastAlert() || ""), { message: "restore" });
+            assert.equal(phone.lastAlert(), "Restored 1 dispenser(s) and 4 new log entries. Enter each restored dispenser's PIN under Dispensers to reconnect.");
+            const devices = JSON.parse(phone.window.localStorage.getItem('pillDispenser.devices'));
+            assert.deepEqual(devices.map(d => [d.patientName, d.id]), [["Patient 1", "AA:BB:CC:00:00:01"]]);
+            await waitFor(() => logCount(phone) === 4, { message: "restored entries listed" });
+            phone.byId('btn-meds').click();
+            assert.equal(phone.$('#med-list strong').textContent, "Metformin");
+            assert.equal(phone.$('#med-list .pill-dot').style.background, 'rgb(22, 163, 74)');
+
+            restore(phone, backup);
+            await waitFor(() => phone.alerts.length === 2, { message: "second restore" });
+            assert.equal(phone.lastAlert(), "Restored 0 dispenser(s) and 0 new log entries.");
+        } finally {
+            phone.close();
+        }
+    });
+
+    it('refuses a malformed backup without changing anything', async () => {
+        await syncHistory();
+        const backup = JSON.parse(await downloadBackup());
+        const devicesBefore = app.window.localStorage.getItem('pillDispenser.devices');
+        const tryRestore = async (text) => {
+            const before = app.alerts.length;
+            restore(app, text);
+            await waitFor(() => app.alerts.length > before, { message: "restore result" });
+            return app.lastAlert();
+        };
+        const tampered = (change) => {
+            const copy = JSON.parse(JSON.stringify(backup));
+            change(copy.devices[0]);
+            copy.devices[0].key = "dev-other";
+            copy.devices[0].id = "AA:BB:CC:00:00:02";
+            return JSON.stringify(copy);
+        };
+
+        assert.equal(await tryRestore("{ not json"), "Restore failed: the file is not valid JSON.");
+        assert.equal(await tryRestore(JSON.stringify({ format: "something-else" })), "Restore failed: This is not a pill dispenser backup file.");
+        assert.equal(await tryRestore(JSON.stringify({ ...backup, version: 99 })), "Restore failed: The backup was made by a newer version of the app.");
+        assert.equal(await tryRestore(JSON.stringify({ ...backup, logs: [{ deviceId: "x", timestamp: "soon" }] })), "Restore failed: Log entry #1 in the backup is malformed.");
+        // Colours and times are written into the page, so markup in them is refused
+        assert.equal(await tryRestore(tampered(d => {
+            d.medications = { catalogue: [{ id: "m1", name: "X", color: '"><img src=x onerror=alert(1)>' }], assignments: {} };
+        })), "Restore failed: Dispenser #1 in the backup is malformed.");
+        // Compartments may only list medications from the backup's own catalogue
+        const catalogue = [{ id: "m1", name: "Metformin", color: "#ff0000" }];
+        for (const assignments of [null, [["m1"]], { "Monday-Lunch-Before": "m1" }, { "Monday-Lunch-Before": ["m2"] }]) {
+            assert.equal(await tryRestore(tampered(d => {
+                d.medications = { catalogue: catalogue, assignments: assignments };
+            })), "Restore failed: Dispenser #1 in the backup is malformed.", JSON.stringify(assignments));
+        }
+        assert.equal(await tryRestore(tampered(d => {
+            d.schedule = { selectedPills: [], timings: { lunch: "13:00", slotTimes: { "Monday-Lunch-Before": "<b>13:00</b>" } } };
+        })), "Restore failed: Dispenser #1 in the backup is malformed.");
+        assert.equal(await tryRestore(tampered(d => {
+            d.schedule = { selectedPills: [], timings: { dayTimes: { Monday: { lunch: "1pm" } } } };
+        })), "Restore failed: Dispenser #1 in the backup is malformed.");
+
+        assert.equal(app.window.localStorage.getItem('pillDispenser.devices'), devicesBefore);
+        assert.equal(app.window.localStorage.getItem('pillDispenser.meds.dev-other'), null);
+    });
+});
@@ -0,0 +1,201 @@
+// --- Mock Alert Receiver ---
+// What a caregiver's home server would run for the app's alerts: a webhook (POST /hook, with the
+// CORS headers a browser needs) and an MQTT 3.1.1 broker over WebSocket (any other path), both on
+// one port. The broker only does what the app uses: CONNECT (checked against { username, password }
+// when given), QoS 0 PUBLISH and DISCONNECT.
+//
+//   node test/mock-alert-receiver.js [--port 1880] [--user caregiver --pass secret]
+//
+// then use "http://127.0.0.1:1880/hook" and "ws://127.0.0.1:1880" in the app's Alert Settings.
+//
+// webhookStatus: what /hook answers (200 by default), e.g. 500 to model a receiver that is down.
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const CONNACK_BAD_CREDENTIALS = 4;
+
+function corsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    };
+}
+
+// Server-to-client frames are never masked
+function wsFrame(opcode, payload) {
+    const header = payload.length < 126
+        ? Buffer.from([0x80 | opcode, payload.length])
+        : Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+    return Buffer.concat([header, payload]);
+}
+
+// One complete frame from the start of buf, or null while it is still arriving
+function readWsFrame(buf) {
+    if (buf.length < 2) return null;
+    let length = buf[1] & 0x7f, offset = 2;
+    if (length === 126) {
+        if (buf.length < 4) return null;
+        length = buf.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buf.length < 10) return null;
+        length = Number(buf.readBigUInt64BE(2));
+        offset = 10;
+    }
+    const masked = (buf[1] & 0x80) !== 0;
+    const mask = masked ? buf.subarray(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buf.length < offset + length) return null;
+    const payload = Buffer.from(buf.subarray(offset, offset + length));
+    if (masked) payload.forEach((b, i) => { payload[i] = b ^ mask[i % 4]; });
+    return { opcode: buf[0] & 0x0f, payload, size: offset + length };
+}
+
+// One complete MQTT packet from the start of buf, or null while it is still arriving
+function readMqttPacket(buf) {
+    let length = 0, multiplier = 1, i = 1;
+    for (; ; i++) {
+        if (i >= buf.length) return null;
+        length += (buf[i] & 0x7f) * multiplier;
+        multiplier *= 128;
+        if ((buf[i] & 0x80) === 0) break;
+    }
+    const start = i + 1;
+    if (buf.length < start + length) return null;
+    return { type: buf[0] >> 4, flags: buf[0] & 0x0f, body: buf.subarray(start, start + length), size: start + length };
+}
+
+function readMqttString(body, offset) {
+    const length = body.readUInt16BE(offset);
+    return { text: body.subarray(offset + 2, offset + 2 + length).toString('utf8'), next: offset + 2 + length };
+}
+
+function parseConnect(body) {
+    let { next } = readMqttString(body, 0); // "MQTT"
+    const flags = body[next + 1];
+    next += 4; // Level, flags, keep-alive
+    const client = readMqttString(body, next);
+    const connect = { clientId: client.text };
+    next = client.next;
+    if (flags & 0x80) ({ text: connect.username, next } = readMqttString(body, next));
+    if (flags & 0x40) ({ text: connect.password, next } = readMqttString(body, next));
+    return connect;
+}
+
+function createAlertReceiver(options = {}) {
+    const receiver = {
+        webhooks: [], // Parsed JSON bodies POSTed to /hook
+        published: [], // { topic, message, clientId, username, password }
+        connects: [], // Every CONNECT, accepted or not
+        webhookStatus: 200
+    };
+    const sockets = new Set();
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders());
+            return res.end();
+        }
+        if (req.method !== 'POST' || req.url !== '/hook') {
+            res.writeHead(404);
+            return res.end();
+        }
+        let body = "";
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            if (options.verbose) console.log(`webhook: ${body}`);
+            try {
+                receiver.webhooks.push(JSON.parse(body));
+            } catch (e) {
+                receiver.webhooks.push({ invalid: body });
+            }
+            res.writeHead(receiver.webhookStatus, { ...corsHeaders(), 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: receiver.webhookStatus < 400 }));
+        });
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const protocols = (req.headers['sec-websocket-protocol'] || "").split(',').map(p => p.trim());
+        if (!protocols.includes('mqtt')) return socket.destroy();
+        const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            "HTTP/1.1 101 Switching Protocols",
+            "Upgrade: websocket",
+            "Connection: Upgrade",
+            `Sec-WebSocket-Accept: ${accept}`,
+            "Sec-WebSocket-Protocol: mqtt",
+            "", ""
+        ].join('\r\n'));
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => socket.destroy());
+
+        let frames = Buffer.alloc(0), stream = Buffer.alloc(0), session = null;
+        const sendMqtt = (bytes) => socket.write(wsFrame(0x2, Buffer.from(bytes)));
+        // Whole MQTT packets from the WebSocket payloads so far; false once the connection is done
+        const readPackets = () => {
+            for (let packet = readMqttPacket(stream); packet; packet = readMqttPacket(stream)) {
+                stream = stream.subarray(packet.size);
+                if (packet.type === 1) {
+                    const connect = parseConnect(packet.body);
+                    receiver.connects.push(connect);
+                    const refused = options.username !== undefined
+                        && (connect.username !== options.username || connect.password !== options.password);
+                    sendMqtt([0x20, 2, 0, refused ? CONNACK_BAD_CREDENTIALS : 0]);
+                    if (refused) return false;
+                    session = connect;
+                } else if (packet.type === 3 && session) {
+                    const topic = readMqttString(packet.body, 0);
+                    const packetId = packet.flags & 0x06 ? 2 : 0; // Only QoS 1 and 2 carry one; the app sends QoS 0
+                    const message = packet.body.subarray(topic.next + packetId).toString('utf8');
+                    if (options.verbose) console.log(`mqtt ${topic.text}: ${message}`);
+                    receiver.published.push({ ...session, topic: topic.text, message });
+                } else if (packet.type === 14) {
+                    return false; // DISCONNECT
+                }
+            }
+            return true;
+        };
+        socket.on('data', (chunk) => {
+            frames = Buffer.concat([frames, chunk]);
+            for (let frame = readWsFrame(frames); frame; frame = readWsFrame(frames)) {
+                frames = frames.subarray(frame.size);
+                if (frame.opcode === 0x9) socket.write(wsFrame(0xa, frame.payload)); // Ping
+                if (frame.opcode === 0x8) return socket.end(wsFrame(0x8, Buffer.alloc(0)));
+                if (frame.opcode !== 0x2 && frame.opcode !== 0x0) continue;
+                stream = Buffer.concat([stream, frame.payload]);
+                if (!readPackets()) return socket.end(wsFrame(0x8, Buffer.alloc(0)));
+            }
+        });
+    });
+
+    // Resolves with "127.0.0.1:<port>"
+    receiver.listen = (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(`${host}:${server.address().port}`));
+    });
+
+    receiver.close = () => new Promise(resolve => {
+        sockets.forEach(socket => socket.destroy());
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+
+    return receiver;
+}
+
+// --- CLI ---
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const arg = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : undefined; };
+    const port = parseInt(arg('--port') || "1880", 10);
+    const receiver = createAlertReceiver({ username: arg('--user'), password: arg('--pass'), verbose: true });
+    receiver.listen(port, '0.0.0.0').then(() => {
+        console.log(`Alert receiver listening on port ${port}: webhook http://127.0.0.1:${port}/hook, broker ws://127.0.0.1:${port}`);
+    });
+}
+
+module.exports = { createAlertReceiver };
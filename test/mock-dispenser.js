@@ -0,0 +1,756 @@
+// --- Mock Dispenser ---
+// A stand-in for the ESP32 that answers the same HTTP contract as esp_code.ino, so the app
+// can be developed and tested without hardware or Wokwi.
+//
+//   node test/mock-dispenser.js [--port 8080] [--pin 1234] [--id AA:BB:CC:DD:EE:FF]
+//                               [--seed 14] [--fail /get-logs=slow] ...
+//
+// then register a dispenser in the app with the IP "127.0.0.1:8080".
+//
+// Each route mirrors its handler in the firmware; where the two differ, the route says so.
+// Tests drive it through the dispenser object createMockDispenser() returns.
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { CONFIG_SCHEMA, slotIndexes, settingsProblems, configChecksum } = require('../config-schema');
+
+const DAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const MEAL_NAMES = ["Breakfast", "Lunch", "Dinner"];
+const MEAL_KEYS = ["breakfast", "lunch", "dinner"];
+
+const DEFAULT_PIN = "1234";
+const MAX_SESSIONS = 4;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_FREE_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 30000;
+const LOCKOUT_MAX_MS = 15 * 60 * 1000;
+const FAILURE_MODES = ['timeout', 'reset', 'bad-request', 'malformed', 'slow'];
+const HOME_INDEX = 21;
+const MAX_REASON_LEN = 80;
+const MIN_VALID_EPOCH = 1577836800; // 2020-01-01
+const FIRMWARE_VERSION = "4.1.0";
+const LOG_MAX_BYTES = 128 * 1024;
+const LOG_KEEP_BYTES = 64 * 1024;
+const MAX_LOG_READERS = 4;
+const LOG_READER_EXPIRE_SEC = 30 * 86400;
+const SPIFFS_TOTAL = 1318001; // What a default 1.5 MB partition reports
+
+const MALFORMED_LINES = [
+    "garbage without commas",
+    "2025-13-45 99:99:99,x,y,DISPENSED",
+    ",,,",
+    "2025-01-06 08:00:00,0"
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "Monday-Lunch-Before" for (0, 2), as slotId() in the firmware
+function slotId(day, slot) {
+    return `${DAY_NAMES[day]}-${MEAL_NAMES[Math.floor(slot / 2)]}-${slot % 2 === 0 ? "Before" : "After"}`;
+}
+
+// As parseSlotId(): { day, slot }, or null for anything that isn't one of the 42 compartments
+function parseSlotId(id) {
+    return slotIndexes(id);
+}
+
+// As parseTimeStr(): { hour, minute } for a 24-hour "HH:MM", otherwise null
+function parseTime(str) {
+    if (typeof str !== 'string' || !CONFIG_SCHEMA.time.test(str)) return null;
+    const [hour, minute] = str.split(':').map(n => parseInt(n, 10));
+    return { hour, minute };
+}
+
+function formatTime(hour, minute) {
+    return `${pad(hour)}:${pad(minute)}`;
+}
+
+// buildMedsLabel(): "Metformin 500mg x2; Aspirin 75mg", commas swapped so it stays one CSV field
+function buildMedsLabel(meds) {
+    return (Array.isArray(meds) ? meds : []).map(med => {
+        let label = med.name || "";
+        if (med.strength) label += ` ${med.strength}`;
+        if ((med.count || 1) > 1) label += ` x${med.count}`;
+        return label;
+    }).join('; ').replace(/,/g, ' ').slice(0, 63);
+}
+
+function createMockDispenser(options = {}) {
+    const mealTimes = [{ hour: 8, minute: 0 }, { hour: 13, minute: 0 }, { hour: 20, minute: 0 }];
+    const dispenser = {
+        id: options.id || "24:6F:28:00:00:01",
+        pin: options.pin || DEFAULT_PIN,
+        doseRules: { windowPreMin: 0, windowPostMin: 30, remindEveryMin: 0, lateGraceMin: 0 },
+        schedule: DAY_NAMES.map(() => [0, 1, 2, 3, 4, 5].map(s => ({
+            ...mealTimes[Math.floor(s / 2)], active: false, dispensed: false, missed: false, meds: "", date: "",
+            stock: "empty" // Compartment inventory: "empty" | "loaded" | "dispensed"
+        }))),
+        weekOf: "", // Monday the last saved config was worked out for (courses)
+        configVersion: 0, // Bumped by every /save-config, as configVersion in the firmware
+        revision: options.revision || 0, // configRevision: survives reboots in the firmware, only goes up
+        log: "", // Contents of /med_log.txt, in logEvent's CSV format
+        logBase: 0, // Bytes trimmed off the front of the log so far
+        logReaders: {}, // { [phone id]: { acked, seen } } from /ack-logs; seen in RTC seconds
+        logReaderExpireSec: options.logReaderExpireSec || LOG_READER_EXPIRE_SEC,
+        logDropped: 0, // Lines that couldn't be written (never, here)
+        logMaxBytes: options.logMaxBytes || LOG_MAX_BYTES,
+        logKeepBytes: options.logKeepBytes || LOG_KEEP_BYTES,
+        bootedAt: Date.now(),
+        carouselIndex: 0,
+        clockSkewSec: options.clockSkewSec || 0, // How far the RTC is ahead of real time; /status reports it, /set-time resets it
+        utcOffsetMin: options.utcOffsetMin ?? -new Date().getTimezoneOffset(),
+        clockLostPower: !!options.clockLostPower,
+        alert: null, // { day, slot, silenced } while a dose is alarming
+        requests: [], // Every request seen: { method, path, query, headers, body }
+        slowChunkBytes: options.slowChunkBytes || 24,
+        slowDelayMs: options.slowDelayMs || 40
+    };
+    const sessions = [];
+    const streams = new Set(); // Open /events responses
+    const failures = new Map(); // path -> { mode, times }
+    const hanging = new Set(); // Responses held open by 'timeout'
+    let failedAttempts = 0;
+    let lockoutUntil = 0;
+
+    // What each active compartment runs, as slotSummary(): "08:00", or "20:00@2025-01-09" when dated
+    dispenser.acceptedSlots = () => {
+        const accepted = {};
+        dispenser.schedule.forEach((slots, d) => slots.forEach((slot, s) => {
+            if (slot.active) accepted[slotId(d, s)] = formatTime(slot.hour, slot.minute) + (slot.date ? `@${slot.date}` : "");
+        }));
+        return accepted;
+    };
+
+    dispenser.checksum = () => configChecksum(dispenser.acceptedSlots(), dispenser.doseRules);
+
+    // --- Log (logEvent) ---
+    dispenser.logEvent = (at, day, slot, event, reason = "") => {
+        const t = at instanceof Date ? at : new Date(at);
+        let line = `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())} ` +
+            `${pad(t.getHours())}:${pad(t.getMinutes())}:${pad(t.getSeconds())},${day},${slot},${event}`;
+        const meds = day >= 0 && slot >= 0 ? dispenser.schedule[day][slot].meds : "";
+        if (meds || reason) line += `,${meds}`;
+        if (reason) line += `,${reason}`;
+        dispenser.log += line + "\r\n"; // File.println
+        dispenser.broadcast("log", line);
+        return line;
+    };
+
+    // What checkSchedules()/performDispense() would record for a slot
+    dispenser.dispense = (day, slot, at = new Date(), event = "DISPENSED", reason = "") => {
+        const state = dispenser.schedule[day][slot];
+        state.dispensed = true;
+        state.missed = false;
+        state.stock = "dispensed";
+        if (dispenser.alert && dispenser.alert.day === day && dispenser.alert.slot === slot) dispenser.alert = null;
+        return dispenser.logEvent(at, day, slot, event, reason);
+    };
+
+    dispenser.miss = (day, slot, at = new Date()) => {
+        const state = dispenser.schedule[day][slot];
+        state.missed = true;
+        state.dispensed = false;
+        return dispenser.logEvent(at, day, slot, "MISSED");
+    };
+
+    // One checkSchedules() pass at local time `at`: every active slot of that day whose dose window
+    // contains `at` is dispensed (or missed when taken is false)
+    dispenser.runSchedule = (at, taken = true) => {
+        const day = (at.getDay() + 6) % 7; // RTClib's dayOfTheWeek() is Sunday = 0
+        const today = [at.getFullYear(), at.getMonth() + 1, at.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+        const lines = [];
+        dispenser.schedule[day].forEach((slot, s) => {
+            if (!slot.active || slot.dispensed || slot.missed) return;
+            if (slot.date && slot.date !== today) return; // Course dose for another date
+            const due = new Date(at.getFullYear(), at.getMonth(), at.getDate(), slot.hour, slot.minute);
+            const minutes = (at - due) / 60000;
+            if (minutes < -dispenser.doseRules.windowPreMin || minutes > dispenser.doseRules.windowPostMin) return;
+            const doseWindow = { day, slot: s, time: formatTime(slot.hour, slot.minute) };
+            dispenser.broadcast("window", { state: "open", ...doseWindow });
+            lines.push(taken ? dispenser.dispense(day, s, at) : dispenser.miss(day, s, at));
+            dispenser.broadcast("window", { state: "close", ...doseWindow, result: taken ? "taken" : "missed" });
+        });
+        return lines;
+    };
+
+    // dailyResetIfNeeded() on a Monday: the dispensed compartments are empty again
+    dispenser.newWeek = () => {
+        dispenser.schedule.forEach(slots => slots.forEach(slot => {
+            if (slot.stock === "dispensed") slot.stock = "empty";
+        }));
+    };
+
+    // The RTC's local time as a Date whose UTC fields hold the local reading
+    function rtcNow() {
+        return new Date(Date.now() + dispenser.clockSkewSec * 1000 + dispenser.utcOffsetMin * 60000);
+    }
+
+    // checkSchedules() waiting on a dose with the buzzer on, for /silence to act on
+    dispenser.alarm = (day, slot) => {
+        dispenser.alert = { day, slot, silenced: false };
+    };
+
+    // logAckedByAll(): the lowest offset among the phones confirming the log
+    dispenser.logAckedByAll = () => {
+        const offsets = Object.values(dispenser.logReaders).map(reader => reader.acked);
+        return offsets.length > 0 ? Math.min(...offsets) : dispenser.logBase;
+    };
+
+    // expireLogReaders(): phones silent for logReaderExpireSec stop holding the log back
+    dispenser.expireLogReaders = (now) => {
+        Object.entries(dispenser.logReaders).forEach(([id, reader]) => {
+            if (now > reader.seen && now - reader.seen > dispenser.logReaderExpireSec) delete dispenser.logReaders[id];
+        });
+    };
+
+    // trimLogIfNeeded(): drop the front every phone has confirmed once the log is too big, cutting at a line boundary
+    dispenser.trimLog = () => {
+        const bytes = Buffer.from(dispenser.log);
+        if (bytes.length <= dispenser.logMaxBytes) return;
+        const acked = dispenser.logAckedByAll() - dispenser.logBase;
+        let cut = Math.min(acked, bytes.length - dispenser.logKeepBytes);
+        if (cut <= 0) return;
+        if (cut < acked) {
+            const newline = bytes.indexOf(0x0a, cut - 1); // As the firmware, from the byte before the cut
+            cut = newline < 0 ? bytes.length : newline + 1;
+        }
+        dispenser.log = bytes.subarray(cut).toString();
+        dispenser.logBase += cut;
+    };
+
+    // --- Live events (broadcastEvent) ---
+    dispenser.broadcast = (type, data) => {
+        const payload = typeof data === 'string' ? data : JSON.stringify(data);
+        streams.forEach(res => res.write(`event: ${type}\ndata: ${payload}\n\n`));
+    };
+
+    dispenser.streamCount = () => streams.size;
+
+    function closeStreams() {
+        streams.forEach(res => res.end());
+        streams.clear();
+    }
+
+    // --- Failure scripting ---
+    // fail(path, mode, times) makes the next `times` requests to path (all of them by default) fail:
+    //   timeout     - accept the request and never answer
+    //   reset       - drop the connection without a response
+    //   bad-request - 400 "Invalid JSON", as the firmware answers unparseable bodies
+    //   malformed   - /get-logs only: mix broken CSV lines into the log
+    //   slow        - stream the response body in small chunks with a pause between them
+    dispenser.fail = (path, mode, times = Infinity) => {
+        if (!FAILURE_MODES.includes(mode)) throw new Error(`Unknown failure mode "${mode}"`);
+        failures.set(path, { mode, times });
+    };
+
+    dispenser.recover = (path) => {
+        if (path) failures.delete(path);
+        else failures.clear();
+    };
+
+    function takeFailure(path) {
+        const failure = failures.get(path);
+        if (!failure) return null;
+        if (--failure.times <= 0) failures.delete(path);
+        return failure.mode;
+    }
+
+    // --- HTTP plumbing ---
+    // enableCORS(): every handled route sends these; a 404 from onNotFound doesn't
+    function corsHeaders() {
+        return {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Expose-Headers': 'X-Log-Start, X-Log-Next'
+        };
+    }
+
+    function send(res, status, type, body, headers = {}, slow = false) {
+        const payload = typeof body === 'string' ? body : JSON.stringify(body);
+        res.writeHead(status, { ...corsHeaders(), 'Content-Type': type, 'Content-Length': Buffer.byteLength(payload), ...headers });
+        if (!slow) return res.end(payload);
+
+        const bytes = Buffer.from(payload);
+        let sent = 0;
+        const next = () => {
+            if (res.destroyed) return;
+            if (sent >= bytes.length) return res.end();
+            res.write(bytes.subarray(sent, sent + dispenser.slowChunkBytes));
+            sent += dispenser.slowChunkBytes;
+            setTimeout(next, dispenser.slowDelayMs);
+        };
+        next();
+    }
+
+    const sendJson = (res, status, body, headers) => send(res, status, 'application/json', body, headers);
+
+    // Bearer-token sessions, with the firmware's PIN lockout after repeated wrong PINs
+    function isValidSession(token) {
+        const session = sessions.find(s => s.token === token);
+        return !!session && Date.now() - session.issuedAt <= SESSION_TTL_MS;
+    }
+
+    // requireAuth(): answers 401 itself when the bearer token isn't a live session
+    function requireAuth(req, res) {
+        const header = req.headers.authorization || "";
+        if (header.startsWith("Bearer ") && isValidSession(header.substring(7))) return true;
+        sendJson(res, 401, { error: "Unauthorized" });
+        return false;
+    }
+
+    function rejectIfLockedOut(res) {
+        if (lockoutUntil === 0 || Date.now() >= lockoutUntil) return false;
+        sendJson(res, 429, { error: "Too many attempts", retry_after: Math.floor((lockoutUntil - Date.now()) / 1000) + 1 });
+        return true;
+    }
+
+    function registerFailedAttempt() {
+        failedAttempts++;
+        if (failedAttempts >= MAX_FREE_ATTEMPTS) {
+            const extra = Math.min(failedAttempts - MAX_FREE_ATTEMPTS, 5);
+            lockoutUntil = Date.now() + Math.min(LOCKOUT_BASE_MS * 2 ** extra, LOCKOUT_MAX_MS);
+        }
+    }
+
+    function issueSession() {
+        const token = crypto.randomBytes(16).toString('hex');
+        sessions.push({ token, issuedAt: Date.now() });
+        if (sessions.length > MAX_SESSIONS) sessions.shift(); // Oldest session is dropped when full
+        return token;
+    }
+
+    function parseBody(req, res) {
+        try {
+            return JSON.parse(req.body);
+        } catch (e) {
+            send(res, 400, 'text/plain', "Invalid JSON");
+            return null;
+        }
+    }
+
+    // readControlRequest(): answers 400 itself when the body can't be used
+    function readControlRequest(req, res, needsSlot) {
+        const doc = parseBody(req, res);
+        if (!doc) return null;
+        const reason = String(doc.reason || "").replace(/[,\r\n]/g, ' ').trim().slice(0, MAX_REASON_LEN);
+        if (!reason) {
+            sendJson(res, 400, { error: "A reason is required" });
+            return null;
+        }
+        const day = Number.isInteger(doc.day) ? doc.day : -1;
+        const slot = Number.isInteger(doc.slot) ? doc.slot : -1;
+        if (needsSlot && (day < 0 || day > 6 || slot < 0 || slot > 5)) {
+            sendJson(res, 400, { error: "Unknown compartment" });
+            return null;
+        }
+        return { day, slot, reason, force: !!doc.force };
+    }
+
+    // --- Routes (same order of checks as the firmware handlers) ---
+    const routes = {
+        'POST /login': (req, res) => {
+            if (rejectIfLockedOut(res)) return;
+            const doc = parseBody(req, res);
+            if (!doc) return;
+            if ((doc.pin || "") !== dispenser.pin) {
+                registerFailedAttempt();
+                return sendJson(res, 401, { error: "Incorrect PIN" });
+            }
+            failedAttempts = 0;
+            lockoutUntil = 0;
+            sendJson(res, 200, { token: issueSession() });
+        },
+
+        'POST /change-pin': (req, res) => {
+            if (!requireAuth(req, res) || rejectIfLockedOut(res)) return;
+            const doc = parseBody(req, res);
+            if (!doc) return;
+            if ((doc.current || "") !== dispenser.pin) {
+                registerFailedAttempt();
+                return sendJson(res, 401, { error: "Incorrect PIN" });
+            }
+            if (!/^\d{4,8}$/.test(doc.pin || "")) return sendJson(res, 400, { error: "PIN must be 4-8 digits" });
+            dispenser.pin = doc.pin;
+            sessions.length = 0;
+            closeStreams();
+            sendJson(res, 200, { token: issueSession() });
+        },
+
+        'GET /status': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const now = rtcNow();
+            const time = `${pad(now.getUTCHours())}:${pad(now.getUTCMinutes())}:${pad(now.getUTCSeconds())}`;
+            const status = {
+                status: "online",
+                ip: req.socket.localAddress,
+                device_id: dispenser.id,
+                device_time: time,
+                device_datetime: `${now.getUTCFullYear()}-${pad(now.getUTCMonth() + 1)}-${pad(now.getUTCDate())}T${time}`,
+                utc_offset_min: dispenser.utcOffsetMin,
+                epoch: Math.floor(Date.now() / 1000) + dispenser.clockSkewSec,
+                clock_lost_power: dispenser.clockLostPower,
+                alarm: !dispenser.alert ? "off" : dispenser.alert.silenced ? "silenced" : "sounding",
+                carousel_index: dispenser.carouselIndex
+            };
+            if (options.events !== false) status.events_port = server.address().port;
+            sendJson(res, 200, status);
+        },
+
+        // The live event stream. The firmware serves it on its own port (events_port in /status); here it
+        // shares the HTTP port. { events: false } models firmware without it.
+        // acceptEventClient(): the token comes in the query string as EventSource can't send headers
+        'GET /events': (req, res, query) => {
+            if (options.events === false) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                return res.end("Not Found");
+            }
+            if (!isValidSession(query.get('token') || "")) return sendJson(res, 401, { error: "Unauthorized" });
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Access-Control-Allow-Origin': '*' });
+            res.write("retry: 5000\n\n");
+            res.write(`event: hello\ndata: ${JSON.stringify({ device_id: dispenser.id })}\n\n`);
+            streams.add(res);
+            res.on('close', () => streams.delete(res));
+        },
+
+        // The log from a byte offset. Offsets count from the first line ever written, so they stay
+        // valid after the front is trimmed off (logBase)
+        'GET /get-logs': (req, res, query, failure) => {
+            if (!requireAuth(req, res)) return;
+            let log = dispenser.log;
+            if (failure === 'malformed') log += MALFORMED_LINES.join("\r\n") + "\r\n";
+            const base = dispenser.logBase;
+            const end = base + Buffer.byteLength(log);
+            let offset = parseInt(query.get('offset') || "0", 10) || 0;
+            if (offset < base || offset > end) offset = base;
+            const body = Buffer.from(log).subarray(offset - base).toString();
+            send(res, 200, 'text/plain', body, { 'X-Log-Start': String(offset), 'X-Log-Next': String(end) }, failure === 'slow');
+        },
+
+        // A phone has stored the log up to an offset; past logMaxBytes the front every phone has
+        // confirmed is trimmed, keeping at least logKeepBytes, as trimLogIfNeeded() does. A new phone
+        // in a full table takes the place of the one seen longest ago.
+        'POST /ack-logs': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const doc = parseBody(req, res);
+            if (!doc) return;
+            const offset = Number.isInteger(doc.offset) ? doc.offset : -1;
+            const phone = typeof doc.phone === 'string' ? doc.phone.slice(0, 32) : "";
+            const now = Math.floor(Date.now() / 1000) + dispenser.clockSkewSec;
+            dispenser.expireLogReaders(now);
+            if (offset >= dispenser.logBase && offset <= dispenser.logBase + Buffer.byteLength(dispenser.log)) {
+                const readers = Object.entries(dispenser.logReaders);
+                if (!dispenser.logReaders[phone] && readers.length === MAX_LOG_READERS) {
+                    delete dispenser.logReaders[readers.reduce((a, b) => b[1].seen < a[1].seen ? b : a)[0]];
+                }
+                const reader = dispenser.logReaders[phone] || { acked: dispenser.logBase };
+                dispenser.logReaders[phone] = { acked: Math.max(reader.acked, offset), seen: now };
+                dispenser.trimLog();
+            }
+            const reader = dispenser.logReaders[phone];
+            sendJson(res, 200, { acked: reader ? reader.acked : 0, log_base: dispenser.logBase });
+        },
+
+        // Simulated heap, SPIFFS and Wi-Fi numbers alongside the real log figures.
+        // { diagnostics: false } models firmware without this route or /ack-logs.
+        'GET /diagnostics': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const logSize = Buffer.byteLength(dispenser.log);
+            sendJson(res, 200, {
+                firmware_version: FIRMWARE_VERSION,
+                uptime_s: Math.floor((Date.now() - dispenser.bootedAt) / 1000),
+                free_heap: 182340,
+                min_free_heap: 161208,
+                spiffs_used: Math.min(SPIFFS_TOTAL, 12048 + logSize),
+                spiffs_total: SPIFFS_TOTAL,
+                log_size: logSize,
+                log_max: dispenser.logMaxBytes,
+                log_base: dispenser.logBase,
+                log_acked: dispenser.logAckedByAll(),
+                log_readers: Object.keys(dispenser.logReaders).length,
+                log_dropped: dispenser.logDropped,
+                wifi_mode: "ap",
+                wifi_rssi: -52,
+                wifi_clients: 1,
+                carousel_index: dispenser.carouselIndex
+            });
+        },
+
+        // Built like handleGetConfig
+        'GET /get-config': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const settings = {};
+            MEAL_KEYS.forEach((key, m) => { settings[key] = formatTime(mealTimes[m].hour, mealTimes[m].minute); });
+            Object.assign(settings, dispenser.doseRules, { dayTimes: {}, slotTimes: {} });
+
+            // Overrides rebuilt from per-slot times, exactly as handleGetConfig does
+            dispenser.schedule.forEach((slots, d) => {
+                for (let m = 0; m < 3; m++) {
+                    const before = slots[m * 2], after = slots[m * 2 + 1];
+                    let dayTime = mealTimes[m];
+                    if (before.hour === after.hour && before.minute === after.minute &&
+                        (before.hour !== dayTime.hour || before.minute !== dayTime.minute)) {
+                        dayTime = before;
+                        settings.dayTimes[DAY_NAMES[d]] = { ...settings.dayTimes[DAY_NAMES[d]], [MEAL_KEYS[m]]: formatTime(before.hour, before.minute) };
+                    }
+                    [m * 2, m * 2 + 1].forEach(s => {
+                        const slot = slots[s];
+                        if (slot.hour !== dayTime.hour || slot.minute !== dayTime.minute) settings.slotTimes[slotId(d, s)] = formatTime(slot.hour, slot.minute);
+                    });
+                }
+            });
+
+            const schedule = [];
+            const slots = {};
+            const slotDates = {};
+            dispenser.schedule.forEach((daySlots, d) => daySlots.forEach((slot, s) => {
+                if (!slot.active) return;
+                schedule.push(slotId(d, s));
+                slots[slotId(d, s)] = slot.dispensed ? "dispensed" : slot.missed ? "missed" : "pending";
+                if (slot.date) slotDates[slotId(d, s)] = slot.date;
+            }));
+            const inventory = {};
+            dispenser.schedule.forEach((daySlots, d) => daySlots.forEach((slot, s) => {
+                if (slot.stock !== "empty") inventory[slotId(d, s)] = slot.stock;
+            }));
+            sendJson(res, 200, {
+                settings, schedule, slots, slotDates, week_of: dispenser.weekOf, inventory,
+                config_version: dispenser.configVersion, revision: dispenser.revision, checksum: dispenser.checksum()
+            });
+        },
+
+        // Parsed like handleSaveConfig, with the payload checked by config-schema.js: a settings problem is
+        // a 400 with the problems listed, unusable compartments are skipped and listed under "rejected",
+        // and the reply carries the config version, checksum and the time each active compartment now
+        // runs. A revision that isn't newer than the running one gets 409 "Conflict" with the device's.
+        'POST /save-config': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const doc = parseBody(req, res);
+            if (!doc) return;
+            // A bad meal time or dose rule refuses the whole config before anything changes
+            const problems = settingsProblems(doc);
+            if (problems.length) return sendJson(res, 400, { error: "Invalid config", problems });
+            if (doc.revision !== undefined && !(doc.revision > dispenser.revision)) {
+                return sendJson(res, 409, { error: "Conflict", revision: dispenser.revision });
+            }
+            const settings = doc.settings;
+            const rejected = [];
+            const reject = (field, problem) => rejected.push({ field, problem });
+
+            MEAL_KEYS.forEach((key, m) => { mealTimes[m] = parseTime(settings[key]); });
+            Object.keys(dispenser.doseRules).forEach(key => {
+                if (settings[key] !== undefined) dispenser.doseRules[key] = settings[key];
+            });
+
+            dispenser.weekOf = typeof doc.weekOf === 'string' ? doc.weekOf : "";
+
+            const dayTimes = settings.dayTimes || {};
+            const slotTimes = settings.slotTimes || {};
+            Object.entries(slotTimes).forEach(([id, time]) => {
+                if (!parseSlotId(id)) reject(`settings.slotTimes.${id}`, "unknown-slot");
+                else if (!parseTime(time)) reject(`settings.slotTimes.${id}`, "bad-time");
+            });
+            dispenser.schedule.forEach((slots, d) => slots.forEach((slot, s) => {
+                const m = Math.floor(s / 2);
+                const time = parseTime(slotTimes[slotId(d, s)]) || parseTime((dayTimes[DAY_NAMES[d]] || {})[MEAL_KEYS[m]]);
+                Object.assign(slot, time || mealTimes[m], { active: false, meds: "", date: "" });
+            }));
+
+            (Array.isArray(doc.schedule) ? doc.schedule : []).forEach((id, i) => {
+                const at = parseSlotId(id);
+                if (!at) return reject(`schedule[${i}]`, "unknown-slot");
+                dispenser.schedule[at.day][at.slot].active = true;
+            });
+            Object.entries(doc.slotDates || {}).forEach(([id, date]) => {
+                const at = parseSlotId(id);
+                if (!at) return reject(`slotDates.${id}`, "unknown-slot");
+                if (typeof date !== 'string' || !CONFIG_SCHEMA.date.test(date)) return reject(`slotDates.${id}`, "bad-date");
+                dispenser.schedule[at.day][at.slot].date = date;
+            });
+            Object.entries(doc.assignments || {}).forEach(([id, meds]) => {
+                const at = parseSlotId(id);
+                if (!at) return reject(`assignments.${id}`, "unknown-slot");
+                if (!Array.isArray(meds)) return reject(`assignments.${id}`, "not-list");
+                dispenser.schedule[at.day][at.slot].meds = buildMedsLabel(meds);
+            });
+
+            dispenser.configVersion++;
+            dispenser.revision = doc.revision === undefined ? dispenser.revision + 1 : Math.trunc(doc.revision);
+            sendJson(res, 200, {
+                message: "Config Saved", version: dispenser.configVersion, revision: dispenser.revision,
+                checksum: dispenser.checksum(), accepted: dispenser.acceptedSlots(), rejected
+            });
+            dispenser.broadcast("sync", { message: "Config Saved", version: dispenser.configVersion, revision: dispenser.revision });
+        },
+
+        'POST /inventory': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const doc = parseBody(req, res);
+            if (!doc) return;
+            ["empty", "loaded"].forEach(stock => (doc[stock] || []).forEach(id => {
+                const at = parseSlotId(id);
+                if (at) dispenser.schedule[at.day][at.slot].stock = stock;
+            }));
+            sendJson(res, 200, { message: "Inventory updated" });
+        },
+
+        'POST /set-time': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const doc = parseBody(req, res);
+            if (!doc) return;
+            const offset = Number.isInteger(doc.utc_offset_min) ? doc.utc_offset_min : dispenser.utcOffsetMin;
+            if (!(doc.epoch >= MIN_VALID_EPOCH) || offset < -720 || offset > 840) return sendJson(res, 400, { error: "Invalid time" });
+
+            const before = rtcNow();
+            dispenser.clockSkewSec = Math.trunc(doc.epoch) - Math.floor(Date.now() / 1000);
+            dispenser.utcOffsetMin = offset;
+            dispenser.clockLostPower = false;
+            const was = before.toISOString().slice(0, 19).replace('T', ' ');
+            dispenser.logEvent(new Date(), -1, -1, "CLOCK_SET", `Set from app (was ${was})`);
+            sendJson(res, 200, { message: "Clock set" });
+        },
+
+        // The remote controls (/dispense-now, /test-flap, /home, /silence) log with their reason like the firmware
+        'POST /dispense-now': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const doc = readControlRequest(req, res, true);
+            if (!doc) return;
+            if (dispenser.schedule[doc.day][doc.slot].dispensed && !doc.force) {
+                return sendJson(res, 409, { error: "Already dispensed today" });
+            }
+            dispenser.dispense(doc.day, doc.slot, new Date(), "MANUAL_DISPENSE", doc.reason);
+            sendJson(res, 200, { message: "Dose dispensed" });
+        },
+
+        'POST /test-flap': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const doc = readControlRequest(req, res, true);
+            if (!doc) return;
+            dispenser.schedule[doc.day][doc.slot].stock = "empty";
+            dispenser.logEvent(new Date(), doc.day, doc.slot, "TEST_FLAP", doc.reason);
+            sendJson(res, 200, { message: "Flap tested" });
+        },
+
+        'POST /home': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const doc = readControlRequest(req, res, false);
+            if (!doc) return;
+            dispenser.carouselIndex = HOME_INDEX;
+            dispenser.logEvent(new Date(), -1, -1, "HOMED", doc.reason);
+            sendJson(res, 200, { message: "Carousel homed" });
+        },
+
+        'POST /silence': (req, res) => {
+            if (!requireAuth(req, res)) return;
+            const doc = readControlRequest(req, res, false);
+            if (!doc) return;
+            if (!dispenser.alert) return sendJson(res, 409, { error: "No alarm is sounding" });
+            dispenser.alert.silenced = true;
+            dispenser.logEvent(new Date(), dispenser.alert.day, dispenser.alert.slot, "SILENCED", doc.reason);
+            sendJson(res, 200, { message: "Alarm silenced" });
+        }
+    };
+    if (options.diagnostics === false) {
+        delete routes['POST /ack-logs'];
+        delete routes['GET /diagnostics'];
+    }
+
+    function handle(req, res) {
+        const url = new URL(req.url, 'http://dispenser');
+        dispenser.requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers, body: req.body });
+        if (options.verbose) console.log(`${req.method} ${url.pathname}${url.search}`);
+
+        // onNotFound: preflights are answered for any path, everything else unknown is a bare 404
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders());
+            return res.end();
+        }
+        const route = routes[`${req.method} ${url.pathname}`];
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end("Not Found");
+        }
+
+        const failure = takeFailure(url.pathname);
+        if (failure === 'timeout') return hanging.add(res);
+        if (failure === 'reset') return req.socket.destroy();
+        if (failure === 'bad-request') return send(res, 400, 'text/plain', "Invalid JSON");
+        if (failure === 'slow' && url.pathname !== '/get-logs') {
+            return setTimeout(() => route(req, res, url.searchParams, null), dispenser.slowDelayMs * 10);
+        }
+        route(req, res, url.searchParams, failure);
+    }
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.setEncoding('utf8');
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            req.body = body;
+            handle(req, res);
+        });
+    });
+
+    // Resolves with the "ip" to register in the app, e.g. "127.0.0.1:53211"
+    dispenser.listen = (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(`${host}:${server.address().port}`));
+    });
+
+    dispenser.close = () => new Promise(resolve => {
+        hanging.forEach(res => res.destroy());
+        hanging.clear();
+        closeStreams();
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+
+    return dispenser;
+}
+
+// --- CLI ---
+function parseArgs(argv) {
+    const args = { port: 8080, fail: [], verbose: true };
+    for (let i = 0; i < argv.length; i += 2) {
+        const [flag, value] = [argv[i], argv[i + 1]];
+        if (flag === '--port') args.port = parseInt(value, 10);
+        else if (flag === '--pin') args.pin = value;
+        else if (flag === '--id') args.id = value;
+        else if (flag === '--seed') args.seed = parseInt(value, 10);
+        else if (flag === '--fail') args.fail.push(value);
+        else throw new Error(`Unknown option ${flag}`);
+    }
+    return args;
+}
+
+// A few days of after-meal doses ending today, every fifth one missed
+function seedLog(dispenser, days) {
+    const now = new Date();
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+        const day = (date.getDay() + 6) % 7; // Monday = 0, like the app
+        [1, 3, 5].forEach((slot, n) => {
+            const meal = dispenser.schedule[day][slot];
+            const at = new Date(date.getFullYear(), date.getMonth(), date.getDate(), meal.hour, meal.minute + 5);
+            if (at > now) return;
+            if ((i * 3 + n) % 5 === 4) dispenser.miss(day, slot, at);
+            else dispenser.dispense(day, slot, at);
+        });
+    }
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const dispenser = createMockDispenser(args);
+    if (args.seed) seedLog(dispenser, args.seed);
+    args.fail.forEach(spec => {
+        const [path, mode] = spec.split('=');
+        dispenser.fail(path, mode);
+    });
+    dispenser.listen(args.port, '0.0.0.0').then(() => {
+        console.log(`Mock dispenser ${dispenser.id} listening on port ${args.port} (PIN ${dispenser.pin})`);
+        console.log(`Register it in the app with the IP "127.0.0.1:${args.port}"`);
+    });
+}
+
+module.exports = { createMockDispenser, seedLog, slotId, parseSlotId, DAY_NAMES, MEAL_NAMES };